@@ -1,5 +1,6 @@
 const modelManager = require('../models/modelManager');
 const sessionService = require('../services/sessionService');
+const webhookService = require('../services/webhookService');
 
 module.exports.evaluateSolution = async function evaluateSolution(req, res) {
   try {
@@ -9,11 +10,8 @@ module.exports.evaluateSolution = async function evaluateSolution(req, res) {
       return res.status(400).send({ error: 'SessionId and result are required' });
     }
 
-    // Obtener la sesión
-    const sessionData = await sessionService.getSession(sessionId);
-    if (!sessionData) {
-      return res.status(404).send({ error: `Session with ID: ${sessionId} not found` });
-    }
+    // Obtener la sesión (404 si no existe, 410 si ha expirado)
+    const sessionData = await sessionService.requireSession(sessionId);
 
     // Obtener los metadatos de LEIA
     const leiaMeta = await sessionService.getLeiaMeta(sessionId);
@@ -21,6 +19,10 @@ module.exports.evaluateSolution = async function evaluateSolution(req, res) {
       return res.status(404).send({ error: `LEIA metadata for session ID: ${sessionId} not found` });
     }
 
+    // Una solución solo se evalúa una vez: la sesión pasa a `submitted` y el
+    // alumno ya no puede seguir conversando (409 si ya se entregó o se cerró)
+    sessionService.ensureActive(sessionId, sessionData);
+
     const token = `${sessionData.provider}:${sessionData.modelName}:${sessionData.apiKeyId}`;
     const model = await modelManager.getModel(
       sessionData.provider,
@@ -29,14 +31,34 @@ module.exports.evaluateSolution = async function evaluateSolution(req, res) {
       token
     );
 
-    // Evaluar la solución
-    const evaluationResult = await model.evaluateSolution({
-      leiaMeta,
-      result
+    // Evaluar la solución; si falla, la entrega se deshace para poder
+    // reintentarla, salvo que mientras tanto la sesión haya cambiado de estado
+    // (p. ej. el profesor la cerró)
+    await sessionService.setStatus(sessionId, 'submitted');
+    let evaluationResult;
+    try {
+      evaluationResult = await model.evaluateSolution({
+        leiaMeta,
+        result
+      });
+    } catch (error) {
+      await sessionService.setStatus(sessionId, 'active', { from: 'submitted' }).catch((revertError) => {
+        console.error(`Error reverting the submission of session ${sessionId}:`, revertError);
+      });
+      throw error;
+    }
+
+    webhookService.emit('evaluation.completed', {
+      sessionId,
+      leiaId: leiaMeta.leiaId,
+      ...evaluationResult
     });
 
     res.status(200).send(evaluationResult);
   } catch (error) {
+    if (error.expose) {
+      return res.status(error.status).send({ error: error.message });
+    }
     console.error(`Error evaluating solution for session ${req.body.sessionId}:`, error);
     res.status(500).send({ error: 'Internal error evaluating solution' });
   }
@@ -1,106 +1,497 @@
+const { randomUUID } = require('crypto');
 const sessionService = require('../services/sessionService');
 const modelManager = require('../models/modelManager');
+const transcriptService = require('../services/transcriptService');
+const exportService = require('../services/exportService');
+const leiaService = require('../services/leiaService');
+const supervisionService = require('../services/supervisionService');
+const webhookService = require('../services/webhookService');
+const idempotencyService = require('../services/idempotencyService');
+const { collectImageAttachments } = require('../utils/imageAttachments');
+const Errors = require('../utils/errors');
 
 module.exports.createLeia = async function createLeia(req, res) {
   try {
-    const { sessionId, leia } = req.body;
-    const runnerConfiguration = req.body.runnerConfiguration || { provider: 'default' };
+    const { sessionId, leia, runnerConfiguration, openingMessage, supervisorConfig } = req.body;
 
-    if (!sessionId || !leia) {
-      return res.status(400).send({ error: 'SessionId and leia are required' });
-    }
+    const result = await leiaService.createLeia({ sessionId, leia, runnerConfiguration, openingMessage, supervisorConfig });
 
-    // Check if session already exists
-    const existingSession = await sessionService.getSession(sessionId);
-    if (existingSession) {
+    if (!result.created) {
       return res.status(409).send({
         error: `Session with ID: ${sessionId} already exists`,
         sessionId,
-        modelName: existingSession.modelName,
+        modelName: result.modelName,
         created: false
       });
     }
 
-    // Extract necessary information from leia for instructions
-    const instructions = buildInstructionsFromLeia(leia);
-
-    // Determine which model provider to use
-    const { provider, modelName, apiKeyId, apiKeyRequesterId } = runnerConfiguration; 
-    // Create session with the specified provider
-    const sessionData = await sessionService.createSession(sessionId, instructions,modelName, provider, apiKeyId, apiKeyRequesterId);
-
-    // Activity-level toolfunctions gate. Tools are honored only when:
-    //   - the activity declares at least one widget, AND
-    //   - the active runner provider implements function tools — which
-    //     in this runner is `openai-responses` only (Gemini text /
-    //     Ollama ignore the tools array).
-    // luke voice mode goes through a different stack (luke-server) and
-    // is not gated here.
-    //
-    // Widgets now live in the problem definition (authored in the designer)
-    // and ride here inside leia.spec.problem.spec.widgets. We fall back to the
-    // legacy runnerConfiguration.lukeConfig.widgets for LEIAs configured
-    // before the migration (dual-read).
-    const problemWidgets = leia?.spec?.problem?.spec?.widgets;
-    const legacyWidgets = runnerConfiguration?.lukeConfig?.widgets;
-    const widgets = Array.isArray(problemWidgets) && problemWidgets.length > 0
-      ? problemWidgets
-      : (Array.isArray(legacyWidgets) ? legacyWidgets : []);
-    const toolCapableProvider = runnerConfiguration?.provider === 'openai-responses';
-    const toolFunctionsEnabled = widgets.length > 0 && toolCapableProvider;
-
-    // Store leia metadata in Redis for future reference
-    await sessionService.storeLeiaMeta(sessionId, {
-      leiaId: leia.id || sessionId,
-      solution: leia.spec?.problem?.spec?.solution || '',
-      solutionFormat: leia.spec?.problem?.spec?.solutionFormat || 'text',
-      evaluationPrompt: leia.spec?.problem?.spec?.evaluationPrompt || '',
-      toolFunctionsEnabled: toolFunctionsEnabled ? 'true' : 'false',
-    });
-
     res.status(201).send({
       sessionId,
-      provider: provider,
-      created: true
+      provider: result.provider,
+      created: true,
+      templateIssues: result.templateIssues,
+      openingMessage: result.openingMessage
     });
   } catch (error) {
+    if (error.expose) {
+      return res.status(error.status).send({ error: error.message, violations: error.violations });
+    }
     console.error('Error creating LEIA:', error);
     res.status(500).send({ error: 'Internal error creating LEIA' });
   }
 };
 
+/**
+ * Creates the LEIA sessions of a whole class in one call, concurrently.
+ * Body: { leia, runnerConfiguration, sessionIds: [...] } or
+ *       { items: [{ sessionId, leia, runnerConfiguration }] }
+ * Responds 200 with one result per session (status 201, 409 or the error).
+ * POST /api/v1/leias/batch
+ */
+module.exports.createLeiaBatch = async function createLeiaBatch(req, res) {
+  try {
+    const summary = await leiaService.createLeiaBatch(req.body);
+
+    res.status(200).send(summary);
+  } catch (error) {
+    if (error.expose) {
+      return res.status(error.status).send({ error: error.message });
+    }
+    console.error('Error creating LEIA batch:', error);
+    res.status(500).send({ error: 'Internal error creating LEIA batch' });
+  }
+};
+
+/**
+ * Sends a student message (or tool results) to the LEIA. Images can be
+ * attached as base64 in `attachments` (JSON) or as `images` files
+ * (multipart/form-data, where tools/toolResults come JSON-encoded).
+ * POST /api/v1/leias/:sessionId/messages
+ */
 module.exports.sendLeiaMessage = async function sendLeiaMessage(req, res) {
   try {
     const sessionId = req.params.sessionId;
-    const { message, tools, toolResults } = req.body;
+    const { message } = req.body;
+    const attachments = parseMultipartJson(req.body.attachments, 'attachments');
+    const tools = parseMultipartJson(req.body.tools, 'tools');
+    const toolResults = parseMultipartJson(req.body.toolResults, 'toolResults');
 
     const hasToolResults = Array.isArray(toolResults) && toolResults.length > 0;
     if (!sessionId || (!message && !hasToolResults)) {
       return res.status(400).send({ error: 'SessionId and message (or toolResults) are required' });
     }
 
-    // Check if session exists
-    const sessionExists = await sessionService.getSession(sessionId);
-    if (!sessionExists) {
-      return res.status(404).send({ error: `Session with ID: ${sessionId} not found` });
+    const images = collectImageAttachments({ attachments, files: req.files });
+    if (images.length > 0 && hasToolResults) {
+      throw Errors.attachment.notWithToolResults();
+    }
+
+    // Check if session exists (404) and has not expired (410)
+    await sessionService.requireSession(sessionId);
+
+    // A retry with the same Idempotency-Key gets the original reply back
+    // instead of running a second turn
+    const idempotencyKey = req.get('Idempotency-Key');
+    if (idempotencyKey !== undefined) {
+      const previousResponse = await idempotencyService.begin(sessionId, idempotencyKey, req.body, req.files);
+      if (previousResponse) {
+        res.set('Idempotent-Replayed', 'true');
+        return res.status(200).send(previousResponse);
+      }
     }
 
     // Send message through the session service
-    const response = await sessionService.sendMessage(sessionId, message, { tools, toolResults });
+    let response;
+    try {
+      response = await sessionService.sendMessage(sessionId, message, { tools, toolResults, images });
+    } catch (error) {
+      if (idempotencyKey !== undefined) {
+        await idempotencyService.release(sessionId, idempotencyKey);
+      }
+      throw error;
+    }
+
+    if (idempotencyKey !== undefined) {
+      await idempotencyService.complete(sessionId, idempotencyKey, req.body, response, req.files);
+    }
 
     res.status(200).send(response);
   } catch (error) {
+    if (error.expose) {
+      return res.status(error.status).send({ error: error.message, quota: error.quota, toolCallMismatch: error.toolCallMismatch });
+    }
     console.error(`Error sending message to LEIA (${req.params.sessionId}):`, error);
     res.status(500).send({ error: 'Internal error sending message to LEIA' });
   }
 };
 
 /**
- * Builds instructions for the model from the LEIA configuration
- * @param {Object} leia - LEIA configuration
- * @returns {string} - Instructions for the model
+ * Ends a LEIA session and tears down all of its state, including the
+ * provider's remote conversation when there is one.
+ * DELETE /api/v1/leias/:sessionId
+ */
+module.exports.deleteLeia = async function deleteLeia(req, res) {
+  try {
+    const sessionId = req.params.sessionId;
+
+    await sessionService.requireSession(sessionId);
+    await sessionService.deleteSession(sessionId);
+
+    webhookService.emit('session.deleted', { sessionId });
+
+    res.status(200).send({
+      sessionId,
+      deleted: true
+    });
+  } catch (error) {
+    if (error.expose) {
+      return res.status(error.status).send({ error: error.message });
+    }
+    console.error(`Error deleting LEIA (${req.params.sessionId}):`, error);
+    res.status(500).send({ error: 'Internal error deleting LEIA' });
+  }
+};
+
+/**
+ * Returns the full ordered conversation of a session (roles, timestamps and
+ * tool calls) from the runner-side transcript, whatever the provider.
+ * GET /api/v1/leias/:sessionId/messages
+ */
+module.exports.getLeiaMessages = async function getLeiaMessages(req, res) {
+  try {
+    const sessionId = req.params.sessionId;
+
+    const sessionData = await sessionService.requireSession(sessionId);
+
+    const messages = await transcriptService.getTranscript(sessionId);
+
+    res.status(200).send({
+      sessionId,
+      provider: sessionData.provider,
+      modelName: sessionData.modelName,
+      status: sessionService.getStatus(sessionData),
+      messages
+    });
+  } catch (error) {
+    if (error.expose) {
+      return res.status(error.status).send({ error: error.message });
+    }
+    console.error(`Error getting LEIA messages (${req.params.sessionId}):`, error);
+    res.status(500).send({ error: 'Internal error getting LEIA messages' });
+  }
+};
+
+/**
+ * Returns the flags and nudges the in-session supervisor (supervisorConfig)
+ * has stored for a session, oldest first.
+ * GET /api/v1/leias/:sessionId/flags
  */
-function buildInstructionsFromLeia(leia) {
-  let instructions = leia.spec?.behaviour?.spec?.description || '';
-  return instructions;
-}
\ No newline at end of file
+module.exports.getLeiaFlags = async function getLeiaFlags(req, res) {
+  try {
+    const sessionId = req.params.sessionId;
+
+    await sessionService.requireSession(sessionId);
+
+    const { flags, nudges, observations } = await supervisionService.getFlags(sessionId);
+
+    res.status(200).send({
+      sessionId,
+      observations,
+      flags,
+      nudges
+    });
+  } catch (error) {
+    if (error.expose) {
+      return res.status(error.status).send({ error: error.message });
+    }
+    console.error(`Error getting LEIA flags (${req.params.sessionId}):`, error);
+    res.status(500).send({ error: 'Internal error getting LEIA flags' });
+  }
+};
+
+/**
+ * Moves a live session to another provider, model or api key (e.g. during a
+ * provider outage or after a key is revoked). The conversation carries over.
+ * Body: { provider, modelName, apiKeyId, apiKeyRequesterId }
+ * PATCH /api/v1/leias/:sessionId/runner
+ */
+module.exports.updateLeiaRunner = async function updateLeiaRunner(req, res) {
+  try {
+    const sessionId = req.params.sessionId;
+    const { provider, modelName, apiKeyId, apiKeyRequesterId } = req.body;
+
+    const sessionData = await sessionService.switchRunner(sessionId, {
+      provider,
+      modelName,
+      apiKeyId,
+      apiKeyRequesterId
+    });
+
+    res.status(200).send({
+      sessionId,
+      provider: sessionData.provider,
+      modelName: sessionData.modelName,
+      switched: true
+    });
+  } catch (error) {
+    if (error.expose) {
+      return res.status(error.status).send({ error: error.message });
+    }
+    console.error(`Error switching LEIA runner (${req.params.sessionId}):`, error);
+    res.status(500).send({ error: 'Internal error switching LEIA runner' });
+  }
+};
+
+/**
+ * Changes the lifecycle status of a session: submit it, close the activity
+ * or reopen it. Only active sessions accept messages.
+ * Body: { status: 'active' | 'submitted' | 'closed' }
+ * PATCH /api/v1/leias/:sessionId/status
+ */
+module.exports.updateLeiaStatus = async function updateLeiaStatus(req, res) {
+  try {
+    const sessionId = req.params.sessionId;
+    const { status } = req.body;
+
+    const sessionData = await sessionService.setStatus(sessionId, status);
+
+    res.status(200).send({
+      sessionId,
+      status: sessionData.status,
+      statusChangedAt: new Date(Number(sessionData.statusChangedAt)).toISOString()
+    });
+  } catch (error) {
+    if (error.expose) {
+      return res.status(error.status).send({ error: error.message, status: error.sessionStatus });
+    }
+    console.error(`Error updating LEIA status (${req.params.sessionId}):`, error);
+    res.status(500).send({ error: 'Internal error updating LEIA status' });
+  }
+};
+
+/**
+ * Downloads the session (transcript, LEIA metadata and timestamps) as a
+ * JSON, Markdown or CSV document.
+ * GET /api/v1/leias/:sessionId/export?format=json|md|csv
+ */
+module.exports.exportLeia = async function exportLeia(req, res) {
+  try {
+    const sessionId = req.params.sessionId;
+    const format = req.query.format || 'json';
+
+    const doc = await exportService.buildExport(sessionId);
+    const { contentType, extension, body } = exportService.render(doc, format);
+
+    res.attachment(`leia-${sessionId}.${extension}`);
+    res.type(contentType);
+    res.status(200).send(body);
+  } catch (error) {
+    if (error.expose) {
+      return res.status(error.status).send({ error: error.message });
+    }
+    console.error(`Error exporting LEIA (${req.params.sessionId}):`, error);
+    res.status(500).send({ error: 'Internal error exporting LEIA' });
+  }
+};
+
+/**
+ * Rolls back the last student turn (the student message, any tool rounds and
+ * the LEIA reply). The removed student message is returned so the client can
+ * put it back in the input box.
+ * POST /api/v1/leias/:sessionId/messages/undo
+ */
+module.exports.undoLeiaMessage = async function undoLeiaMessage(req, res) {
+  try {
+    const sessionId = req.params.sessionId;
+
+    const { sessionData, removedEntries } = await sessionService.rewindLastTurn(sessionId);
+
+    res.status(200).send({
+      sessionId,
+      turn: removedEntries[0].turn,
+      removed: removedEntries.length,
+      message: removedEntries[0].content,
+      quota: sessionService.getQuota(sessionData) ?? undefined
+    });
+  } catch (error) {
+    if (error.expose) {
+      return res.status(error.status).send({ error: error.message });
+    }
+    console.error(`Error undoing LEIA message (${req.params.sessionId}):`, error);
+    res.status(500).send({ error: 'Internal error undoing LEIA message' });
+  }
+};
+
+/**
+ * Discards the last LEIA reply and asks again with the same student message.
+ * The turn is rolled back first, so if the new request fails the client can
+ * simply resend the message. A turn sent with images answers 409, since the
+ * runner does not keep the images to send them again.
+ * POST /api/v1/leias/:sessionId/messages/regenerate
+ */
+module.exports.regenerateLeiaMessage = async function regenerateLeiaMessage(req, res) {
+  try {
+    const sessionId = req.params.sessionId;
+    const { tools } = req.body;
+
+    // Undo and resend as a single step, so no other message lands in between
+    const response = await sessionService.withSessionLock(sessionId, async () => {
+      // Check the budget before the current reply is thrown away. The undo
+      // gives the turn back, so only the token budget can stop the resend
+      sessionService.enforceLimits(await sessionService.requireSession(sessionId), '', false);
+
+      // The transcript keeps only a description of the images, so a turn
+      // that had attachments cannot be resent as it was asked
+      const transcript = await transcriptService.getTranscript(sessionId);
+      const lastUserEntry = transcript.filter((entry) => entry.role === 'user').pop();
+      if (lastUserEntry?.attachments?.length > 0) {
+        throw Errors.session.regenerateWithAttachments(sessionId);
+      }
+
+      const { removedEntries } = await sessionService.rewindLastTurn(sessionId);
+      return sessionService.sendMessage(sessionId, removedEntries[0].content, { tools });
+    });
+
+    res.status(200).send(response);
+  } catch (error) {
+    if (error.expose) {
+      return res.status(error.status).send({ error: error.message, quota: error.quota });
+    }
+    console.error(`Error regenerating LEIA message (${req.params.sessionId}):`, error);
+    res.status(500).send({ error: 'Internal error regenerating LEIA message' });
+  }
+};
+
+/**
+ * Forks a session at a student turn: the new session keeps the conversation
+ * before that turn (so the next message replaces it) and the same provider,
+ * model and LEIA metadata.
+ * POST /api/v1/leias/:sessionId/fork
+ */
+module.exports.forkLeia = async function forkLeia(req, res) {
+  try {
+    const sessionId = req.params.sessionId;
+    const { turn } = req.body;
+    const newSessionId = req.body.newSessionId || randomUUID();
+
+    if (turn === undefined || turn === null) {
+      return res.status(400).send({ error: 'turn is required' });
+    }
+
+    const { sessionData, entries } = await sessionService.forkSession(sessionId, {
+      turn: Number(turn),
+      newSessionId
+    });
+
+    webhookService.emit('session.created', {
+      sessionId: newSessionId,
+      forkedFrom: sessionId,
+      turn: Number(turn),
+      provider: sessionData.provider,
+      modelName: sessionData.modelName
+    });
+
+    res.status(201).send({
+      sessionId: newSessionId,
+      forkedFrom: sessionId,
+      turn: Number(turn),
+      provider: sessionData.provider,
+      modelName: sessionData.modelName,
+      messages: entries.length,
+      created: true
+    });
+  } catch (error) {
+    if (error.expose) {
+      return res.status(error.status).send({ error: error.message });
+    }
+    console.error(`Error forking LEIA (${req.params.sessionId}):`, error);
+    res.status(500).send({ error: 'Internal error forking LEIA' });
+  }
+};
+
+/**
+ * Streams the LEIA reply as Server-Sent Events. Emits one `delta` event per
+ * text fragment and a final `done` event with the same payload that
+ * sendLeiaMessage returns (message or toolCalls). Failures after the stream
+ * has started are reported as an `error` event.
+ * POST /api/v1/leias/:sessionId/messages/stream
+ */
+module.exports.streamLeiaMessage = async function streamLeiaMessage(req, res) {
+  const sessionId = req.params.sessionId;
+  const { message, tools, toolResults } = req.body;
+
+  const hasToolResults = Array.isArray(toolResults) && toolResults.length > 0;
+  if (!sessionId || (!message && !hasToolResults)) {
+    return res.status(400).send({ error: 'SessionId and message (or toolResults) are required' });
+  }
+
+  try {
+    await sessionService.requireSession(sessionId);
+  } catch (error) {
+    if (error.expose) {
+      return res.status(error.status).send({ error: error.message });
+    }
+    console.error(`Error streaming message to LEIA (${sessionId}):`, error);
+    return res.status(500).send({ error: 'Internal error sending message to LEIA' });
+  }
+
+  res.status(200);
+  res.setHeader('Content-Type', 'text/event-stream');
+  res.setHeader('Cache-Control', 'no-cache');
+  res.setHeader('Connection', 'keep-alive');
+  res.setHeader('X-Accel-Buffering', 'no');
+  res.flushHeaders();
+
+  try {
+    const response = await sessionService.sendMessage(sessionId, message, {
+      tools,
+      toolResults,
+      onDelta: (text) => writeSseEvent(res, 'delta', { text }),
+    });
+
+    writeSseEvent(res, 'done', response);
+  } catch (error) {
+    console.error(`Error streaming message to LEIA (${sessionId}):`, error);
+    writeSseEvent(res, 'error', {
+      error: error.expose ? error.message : 'Internal error sending message to LEIA',
+      status: error.expose ? error.status : 500,
+      quota: error.quota,
+      toolCallMismatch: error.toolCallMismatch
+    });
+  } finally {
+    res.end();
+  }
+};
+
+/**
+ * Multipart fields are plain strings: JSON-encoded arrays are decoded, any
+ * other value is passed through unchanged
+ * @param {*} value - Field value
+ * @param {string} field - Field name (for the error message)
+ * @returns {*} Decoded value
+ */
+function parseMultipartJson(value, field) {
+  if (typeof value !== 'string') {
+    return value;
+  }
+
+  try {
+    return JSON.parse(value);
+  } catch (error) {
+    throw Errors.leia.invalidJsonField(field);
+  }
+}
+
+/**
+ * Writes a single Server-Sent Event, ignoring writes once the client is gone
+ * @param {Object} res - Respuesta HTTP
+ * @param {string} event - Event name
+ * @param {Object} data - JSON payload
+ */
+function writeSseEvent(res, event, data) {
+  if (res.writableEnded || res.destroyed) {
+    return;
+  }
+
+  res.write(`event: ${event}\ndata: ${JSON.stringify(data ?? {})}\n\n`);
+}
@@ -7,7 +7,7 @@ const transcriptionService = new TranscriptionService();
  */
 module.exports.generateTranscription = async function generateTranscription(req, res) {
   try {
-    const { leia } = req.body;
+    const { leia, leiaStarts } = req.body;
 
     if (!leia) {
       return res.status(400).send({
@@ -23,7 +23,7 @@ module.exports.generateTranscription = async function generateTranscription(req,
     }
 
     // Generate transcription using the service
-    const transcription = await transcriptionService.generateTranscription({ leia });
+    const transcription = await transcriptionService.generateTranscription({ leia, leiaStarts: leiaStarts === true });
 
     res.status(200).send(transcription);
 
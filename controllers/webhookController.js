@@ -0,0 +1,96 @@
+const webhookService = require('../services/webhookService');
+
+/**
+ * Registers a webhook for session events. The secret used to sign the
+ * deliveries (generated when not given) is only returned here.
+ * Body: { url, events?: ['*'] | ['session.created', ...], secret?, description? }
+ * POST /api/v1/webhooks
+ */
+module.exports.registerWebhook = async function registerWebhook(req, res) {
+  try {
+    const { url, events, secret, description } = req.body;
+
+    const webhook = await webhookService.registerWebhook({ url, events, secret, description });
+
+    res.status(201).send(webhook);
+  } catch (error) {
+    if (error.expose) {
+      return res.status(error.status).send({ error: error.message });
+    }
+    console.error('Error registering webhook:', error);
+    res.status(500).send({ error: 'Internal error registering webhook' });
+  }
+};
+
+/**
+ * GET /api/v1/webhooks
+ */
+module.exports.listWebhooks = async function listWebhooks(req, res) {
+  try {
+    const webhooks = await webhookService.listWebhooks();
+
+    res.status(200).send({ events: webhookService.events, webhooks });
+  } catch (error) {
+    console.error('Error listing webhooks:', error);
+    res.status(500).send({ error: 'Internal error listing webhooks' });
+  }
+};
+
+/**
+ * DELETE /api/v1/webhooks/:webhookId
+ */
+module.exports.deleteWebhook = async function deleteWebhook(req, res) {
+  try {
+    const webhookId = req.params.webhookId;
+
+    await webhookService.deleteWebhook(webhookId);
+
+    res.status(200).send({ webhookId, deleted: true });
+  } catch (error) {
+    if (error.expose) {
+      return res.status(error.status).send({ error: error.message });
+    }
+    console.error(`Error deleting webhook (${req.params.webhookId}):`, error);
+    res.status(500).send({ error: 'Internal error deleting webhook' });
+  }
+};
+
+/**
+ * Deliveries that kept failing after every retry, newest first.
+ * GET /api/v1/webhooks/dead-letters
+ */
+module.exports.listDeadLetters = async function listDeadLetters(req, res) {
+  try {
+    const deadLetters = await webhookService.listDeadLetters();
+
+    res.status(200).send({ deadLetters });
+  } catch (error) {
+    console.error('Error listing webhook dead letters:', error);
+    res.status(500).send({ error: 'Internal error listing webhook dead letters' });
+  }
+};
+
+/**
+ * Sends a dead-lettered delivery again (in the background, with retries).
+ * POST /api/v1/webhooks/dead-letters/:deliveryId/redeliver
+ */
+module.exports.redeliverDeadLetter = async function redeliverDeadLetter(req, res) {
+  try {
+    const deliveryId = req.params.deliveryId;
+
+    const deadLetter = await webhookService.redeliver(deliveryId);
+
+    res.status(202).send({
+      deliveryId,
+      webhookId: deadLetter.webhookId,
+      event: deadLetter.event,
+      redelivering: true
+    });
+  } catch (error) {
+    if (error.expose) {
+      return res.status(error.status).send({ error: error.message });
+    }
+    console.error(`Error redelivering webhook delivery (${req.params.deliveryId}):`, error);
+    res.status(500).send({ error: 'Internal error redelivering webhook delivery' });
+  }
+};
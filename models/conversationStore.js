@@ -53,26 +53,43 @@ class ConversationStore {
 
   /**
    * Normalizes and validates a message
-   * @param {string} role - Message role (system, user, assistant)
+   * @param {string} role - Message role (system, user, assistant, tool)
    * @param {string} content - Message content
+   * @param {Object} [fields] - Tool fields: tool_calls (assistant) or tool_name (tool)
    * @returns {Object|null} Normalized message or null if invalid
    */
-  normalizeMessage(role, content) {
+  normalizeMessage(role, content, fields = {}) {
     const normalizedRole = typeof role === 'string' ? role.trim() : '';
     const normalizedContent = typeof content === 'string' ? content.trim() : '';
 
-    if (!['system', 'user', 'assistant'].includes(normalizedRole)) {
+    if (!['system', 'user', 'assistant', 'tool'].includes(normalizedRole)) {
       return null;
     }
 
-    if (!normalizedContent) {
+    // An assistant turn that only calls tools has no text, and a tool may
+    // legitimately return an empty output
+    const toolCalls = normalizedRole === 'assistant' && Array.isArray(fields?.tool_calls) && fields.tool_calls.length > 0
+      ? fields.tool_calls
+      : null;
+
+    if (!normalizedContent && !toolCalls && normalizedRole !== 'tool') {
       return null;
     }
 
-    return {
+    const message = {
       role: normalizedRole,
       content: normalizedContent,
     };
+
+    if (toolCalls) {
+      message.tool_calls = toolCalls;
+    }
+
+    if (normalizedRole === 'tool' && typeof fields?.tool_name === 'string') {
+      message.tool_name = fields.tool_name;
+    }
+
+    return message;
   }
 
   /**
@@ -91,7 +108,7 @@ class ConversationStore {
           return null;
         }
       })
-      .map((message) => (message ? this.normalizeMessage(message.role, message.content) : null))
+      .map((message) => (message ? this.normalizeMessage(message.role, message.content, message) : null))
       .filter(Boolean);
   }
 
@@ -100,10 +117,11 @@ class ConversationStore {
    * @param {string} sessionId - Session identifier
    * @param {string} role - Message role
    * @param {string} content - Message content
+   * @param {Object} [fields] - Tool fields (see normalizeMessage)
    * @returns {Promise<void>}
    */
-  async appendMessage(sessionId, role, content) {
-    const message = this.normalizeMessage(role, content);
+  async appendMessage(sessionId, role, content, fields = {}) {
+    const message = this.normalizeMessage(role, content, fields);
 
     if (!message) {
       return;
@@ -188,6 +206,59 @@ class ConversationStore {
     await this.appendMessage(sessionId, 'assistant', assistantMessage);
   }
 
+  /**
+   * Builds a complete conversation that continues a tool-call round
+   * Ensures system message, adds one tool message per result, and returns full history
+   * @param {string} sessionId - Session identifier
+   * @param {string} systemInstruction - System instruction to ensure
+   * @param {Array<{content: string, tool_name?: string}>} toolMessages - Tool outputs in call order
+   * @returns {Promise<Array>} Complete conversation history ready for LLM
+   */
+  async buildConversationForToolResults(sessionId, systemInstruction, toolMessages) {
+    await this.ensureSystemMessage(sessionId, systemInstruction);
+
+    for (const toolMessage of toolMessages) {
+      await this.appendMessage(sessionId, 'tool', toolMessage.content, toolMessage);
+    }
+
+    return this.getConversation(sessionId);
+  }
+
+  /**
+   * Stores an assistant turn that only calls tools
+   * @param {string} sessionId - Session identifier
+   * @param {Array<Object>} toolCalls - tool_calls as returned by the provider
+   * @returns {Promise<void>}
+   */
+  async storeAssistantToolCalls(sessionId, toolCalls) {
+    await this.appendMessage(sessionId, 'assistant', '', { tool_calls: toolCalls });
+  }
+
+  /**
+   * Replaces the whole conversation history (system message first), e.g. when
+   * a session is rebuilt from the runner transcript
+   * @param {string} sessionId - Session identifier
+   * @param {string} systemInstruction - System instruction text
+   * @param {Array<{role: string, content: string}>} messages - Messages in order
+   * @returns {Promise<void>}
+   */
+  async replaceConversation(sessionId, systemInstruction, messages = []) {
+    const key = this.getConversationKey(sessionId);
+    const normalizedMessages = [
+      this.normalizeMessage('system', systemInstruction),
+      ...messages.map((message) => this.normalizeMessage(message.role, message.content)),
+    ].filter(Boolean);
+
+    await redisClient.del(key);
+
+    if (normalizedMessages.length === 0) {
+      return;
+    }
+
+    await redisClient.rPush(key, normalizedMessages.map((message) => JSON.stringify(message)));
+    await redisClient.lTrim(key, -this.maxMessages, -1);
+  }
+
   /**
    * Completely clears the conversation history for a session
    * @param {string} sessionId - Session identifier
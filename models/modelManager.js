@@ -14,6 +14,8 @@ class ModelManager {
     this.modelApiKeyProviders = new Map();
     // Mapa para relacionar providerModules con sus proveedores de API Key
     this.providerProviderModuleMap = new Map();
+    // Proveedor de API Key de cada providerModule
+    this.providerModuleApiKeyProviders = new Map();
     // Cache para instancias de modelos, claveada por un token que puede ser provider:modelName:apiKeyId o similar
     this.instancePromiseCache = new Map();
   }
@@ -66,6 +68,7 @@ class ModelManager {
           this.providerModules.set(providerModuleName, ProviderModule);
           this.setApiKeyProviders(providerInstance);
           this.setProviderModulesProvidersMap(providerModuleName, providerInstance.apiKeyProvider);
+          this.providerModuleApiKeyProviders.set(providerModuleName, providerInstance.apiKeyProvider);
           console.log(`Modelo '${providerModuleName}' cargado exitosamente`);
         } catch (error) {
           console.error(`Error cargando el modelo '${providerModuleName}':`, error);
@@ -207,6 +210,16 @@ class ModelManager {
     return this.defaultModel;
   }
 
+  /**
+   * Proveedor de API key (openai, gemini...) con el que trabaja un providerModule
+   * @param {string} [provider] - providerModule o 'default'
+   * @returns {string|undefined}
+   */
+  getApiKeyProviderOf(provider = 'default') {
+    const providerModuleName = !provider || provider === 'default' ? this.defaultModel : provider;
+    return this.providerModuleApiKeyProviders.get(providerModuleName);
+  }
+
   setDefaultModel(name) {
     if (!this.providerModules.has(name)) {
       throw new Error(`Model ${name} not found`);
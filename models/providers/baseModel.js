@@ -8,6 +8,14 @@ class BaseModel {
     this._client = null;
     this.apiKeyProvider = null;
     this.apiKey = null;
+    // Indica si el proveedor implementa function tools (tools/toolResults)
+    this.supportsTools = false;
+    // Indica si el proveedor acepta imágenes adjuntas en los mensajes (options.images)
+    this.supportsImages = false;
+    // Indica si el proveedor reconstruye su contexto desde el transcript
+    // (restoreHistory), necesario para bifurcar, deshacer, regenerar, abrir la
+    // conversación y cambiar de proveedor
+    this.supportsHistoryRestore = this.restoreHistory !== BaseModel.prototype.restoreHistory;
   }
 
   // Methods implemented for all providers by default
@@ -103,6 +111,127 @@ class BaseModel {
     };
   }
 
+  /**
+   * Elimina el estado remoto asociado a la sesión (conversación, cadena de
+   * interacciones...). Por defecto no hay nada que borrar; los proveedores con
+   * estado en servidor deben sobrescribirlo.
+   * @param {Object} options - Opciones para eliminar la sesión
+   * @param {string} options.sessionId - ID de la sesión
+   * @param {Object} options.sessionData - Datos de sesión almacenados
+   * @returns {Promise<void>}
+   */
+  async deleteSession(options) {
+    return undefined;
+  }
+
+  /**
+   * Sustituye el contexto del proveedor por un historial del transcript del
+   * runner (al bifurcar una sesión o deshacer un turno). El contexto anterior
+   * se descarta, incluido su estado remoto. Solo se reproducen los turnos de
+   * texto; las llamadas a herramientas no se pueden reenviar, así que las
+   * pendientes (providerState.pendingToolCalls) se descartan.
+   * @param {Object} options - Opciones para restaurar el historial
+   * @param {string} options.sessionId - ID de la sesión
+   * @param {Object} options.sessionData - Datos de sesión actuales
+   * @param {Array<{role: string, content: string}>} options.history - Mensajes user/assistant en orden
+   * @returns {Promise<Object>} - Actualizaciones de sessionData (threadId, providerState)
+   */
+  async restoreHistory(options) {
+    throw new Error('Method restoreHistory must be implemented by subclasses');
+  }
+
+  /**
+   * Normaliza el consumo de un turno para que todos los proveedores devuelvan
+   * la misma forma. Los contadores que el proveedor no informa quedan a null.
+   * @param {Object} usage - Datos de consumo ya extraídos de la respuesta
+   * @param {string} [usage.model] - Modelo que respondió realmente
+   * @param {number} [usage.inputTokens] - Tokens de entrada
+   * @param {number} [usage.outputTokens] - Tokens de salida
+   * @param {number} [usage.reasoningTokens] - Tokens de razonamiento
+   * @param {number} [usage.totalTokens] - Tokens totales
+   * @param {string} [usage.finishReason] - stop, length, tool_calls...
+   * @param {number} startedAt - Marca temporal (ms) del inicio de la llamada al modelo
+   * @returns {Object} - { model, inputTokens, outputTokens, reasoningTokens, totalTokens, latencyMs, finishReason }
+   */
+  buildUsage(usage, startedAt) {
+    const toCount = (value) => (value === null || value === undefined || !Number.isFinite(Number(value)) ? null : Number(value));
+    const inputTokens = toCount(usage.inputTokens);
+    const outputTokens = toCount(usage.outputTokens);
+    const totalTokens = toCount(usage.totalTokens)
+      ?? (inputTokens !== null && outputTokens !== null ? inputTokens + outputTokens : null);
+
+    return {
+      model: usage.model || this.model || this.name,
+      inputTokens,
+      outputTokens,
+      reasoningTokens: toCount(usage.reasoningTokens),
+      totalTokens,
+      latencyMs: Date.now() - startedAt,
+      finishReason: usage.finishReason || null,
+    };
+  }
+
+  /**
+   * Deja solo las tools bien formadas que envía el frontend (o el registro de
+   * herramientas del runner), con la forma común { name, description, parameters }.
+   * Cada proveedor las adapta después a su API.
+   * @param {Array<Object>} tools - Tools recibidas
+   * @returns {Array<Object>|null} - Tools normalizadas o null si no queda ninguna
+   */
+  normalizeToolDefinitions(tools) {
+    if (!Array.isArray(tools) || tools.length === 0) return null;
+
+    const definitions = tools
+      .filter((tool) => tool && typeof tool.name === 'string')
+      .map((tool) => ({
+        name: tool.name,
+        description: typeof tool.description === 'string' ? tool.description : '',
+        parameters: tool.parameters && typeof tool.parameters === 'object'
+          ? tool.parameters
+          : { type: 'object', properties: {} },
+      }));
+
+    return definitions.length > 0 ? definitions : null;
+  }
+
+  /**
+   * Salida de una tool como texto para los proveedores que solo aceptan strings
+   * @param {*} output - output de un toolResult
+   * @returns {string}
+   */
+  serializeToolOutput(output) {
+    return typeof output === 'string' ? output : JSON.stringify(output ?? null);
+  }
+
+  // Appends a per-turn tool-usage block to the LEIA's system instruction
+  // so the model is explicitly told (a) the names of the tools it can
+  // call, and (b) the circumstances each one is for. We rely on each
+  // tool's own description containing a "Call this when…" cue (that is
+  // how the widget catalog authors them), so the format here is just a
+  // structured listing.
+  appendToolUsageBlock(baseInstruction, tools) {
+    if (!Array.isArray(tools) || tools.length === 0) return baseInstruction || '';
+    const lines = tools.map((t) => {
+      const desc = (t.description || '').trim() || 'No description provided.';
+      return `- \`${t.name}\`: ${desc}`;
+    });
+    const block = [
+      '',
+      '## Available tools',
+      '',
+      'You have access to the following tool functions. Each description states the circumstances in which the tool should be invoked.',
+      '',
+      ...lines,
+      '',
+      'Hard rules for tool use:',
+      '- If the user explicitly asks you to put, write, add, insert, or leave something (a comment, example, hint, snippet, explanation, pseudo-code) in the editor — you MUST fulfill the request via the editing tool. Do NOT answer only in chat: the artifact must end up inside the editor.',
+      '- Before any edit, call the read tool first so your `find` anchor matches the live editor content.',
+      '- Prefer the tools over guessing about state the user controls (their code, their editor).',
+      '- Respect the LEIA behaviour: only the behaviour above decides whether you may write the solution itself. By default, help goes in as comments / hints / examples, not as the answer.',
+    ].join('\n');
+    return ((baseInstruction || '').trim() + '\n\n' + block).trim();
+  }
+
   /**
    * Evalúa una solución de estudiante
    * @param {Object} options - Opciones para la evaluación
@@ -139,12 +268,38 @@ class BaseModel {
   /**
    * Envía un mensaje a la sesión
    * @param {Object} options - Opciones para enviar el mensaje
-   * @returns {Promise<Object>} - Respuesta del modelo
+   * @param {Array<{mimeType: string, data: string}>} [options.images] - Imágenes en base64 (solo si supportsImages)
+   * @param {boolean} [options.allowTools] - Si se deben ofrecer options.tools al modelo (solo si supportsTools)
+   * @param {Array<Object>} [options.tools] - Tools { name, description, parameters }
+   * @param {Array<{callId: string, output: *}>} [options.toolResults] - Resultados de las toolCalls del turno anterior
+   * @returns {Promise<Object>} - Respuesta del modelo: { message } o
+   *   { toolCalls: [{ callId, name, arguments }] }, más usage y sessionData.
+   *   Las toolCalls quedan en providerState.pendingToolCalls ([{ callId, name }])
+   *   hasta la respuesta siguiente
    */
   async sendMessage(options) {
     throw new Error('Method sendMessage must be implemented by subclasses');
   }
 
+  /**
+   * Envía un mensaje a la sesión emitiendo la respuesta por fragmentos.
+   * Por defecto delega en sendMessage y emite el texto completo como un único
+   * fragmento; los proveedores con streaming nativo deben sobrescribirlo.
+   * @param {Object} options - Mismas opciones que sendMessage más options.onDelta
+   * @param {Function} options.onDelta - Callback invocado con cada fragmento de texto
+   * @returns {Promise<Object>} - Respuesta final del modelo (misma forma que sendMessage)
+   */
+  async streamMessage(options) {
+    const { onDelta, ...sendOptions } = options;
+    const response = await this.sendMessage(sendOptions);
+
+    if (response?.message) {
+      onDelta(response.message);
+    }
+
+    return response;
+  }
+
   /**
    * Define el threadId para la sesión. Este método debe ser implementado por cada proveedor para determinar cómo manejar el contexto de la conversación.
    * @returns {string} El threadId a usar para la sesión, o un string vacío si el proveedor no utiliza threadId.
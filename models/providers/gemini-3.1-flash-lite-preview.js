@@ -16,6 +16,8 @@ class Gemini31FlashLitePreviewProvider extends BaseModel {
     this.model = process.env.GEMINI_MODEL || 'gemini-3.1-flash-lite-preview';
     this.evaluationModel = process.env.GEMINI_EVALUATION_MODEL || this.model;
     this.apiKeyProvider = ApiKeyProvider.GEMINI;
+    this.supportsTools = true;
+    this.supportsImages = true;
   }
 
   // Requerido para el baseModel
@@ -25,38 +27,131 @@ class Gemini31FlashLitePreviewProvider extends BaseModel {
   }
 
   async sendMessage(options) {
-    const { message, sessionData } = options;
+    return this.runInteractionTurn(options, (request) => this.createInteraction(request));
+  }
+
+  async streamMessage(options) {
+    const { onDelta } = options;
+
+    return this.runInteractionTurn(options, (request) => this.streamInteraction(request, onDelta));
+  }
+
+  // Shared turn logic: chains the interaction to the previous one and keeps
+  // its id in providerState. A restored history (see restoreHistory) is sent
+  // as input steps ahead of the message on the first turn only. Attached
+  // images go as inline image parts of the student's step. Tool results
+  // continue a tool-call round as function_result steps.
+  async runInteractionTurn(options, interact) {
+    const { message, sessionData, images, tools, toolResults, allowTools } = options;
     const state = new ProviderState(sessionData);
-    const systemInstruction = state.getSystemInstruction();
+    const baseInstruction = state.getSystemInstruction();
     const previousInteractionId = state.get('previousInteractionId') || state.threadId;
+    const pendingHistory = state.get('pendingHistory', []);
+    const hasPendingHistory = Array.isArray(pendingHistory) && pendingHistory.length > 0;
+    const hasImages = Array.isArray(images) && images.length > 0;
+    const hasToolResults = Array.isArray(toolResults) && toolResults.length > 0;
+
+    let input;
+    if (hasToolResults) {
+      input = this.buildFunctionResultSteps(toolResults, state.get('pendingToolCalls', []));
+    } else if (hasPendingHistory || hasImages) {
+      input = [...this.buildHistorySteps(hasPendingHistory ? pendingHistory : []), this.buildUserStep(message, images)];
+    } else {
+      input = message;
+    }
+
+    // Same per-turn tool gate and instruction block as the other providers
+    const toolDefinitions = allowTools ? this.normalizeToolDefinitions(tools) : null;
+    const systemInstruction = toolDefinitions
+      ? this.appendToolUsageBlock(baseInstruction, toolDefinitions)
+      : baseInstruction;
 
     try {
-      const interaction = await this.createInteraction({
+      const startedAt = Date.now();
+      const interaction = await interact({
         model: this.model,
-        input: message,
+        input,
         systemInstruction,
-        previousInteractionId
+        previousInteractionId,
+        tools: toolDefinitions ? toolDefinitions.map((tool) => ({ type: 'function', ...tool })) : undefined
       });
 
-      const responseMessage = this.extractTextFromInteraction(interaction);
+      const toolCalls = this.extractToolCalls(interaction);
+      const responseMessage = toolCalls.length > 0 ? '' : this.extractTextFromInteraction(interaction);
 
-      if (!responseMessage) {
+      if (toolCalls.length === 0 && !responseMessage) {
         throw Errors.gemini.noTextContent();
       }
 
       state.update({
-        previousInteractionId: interaction.id || previousInteractionId
+        previousInteractionId: interaction.id || previousInteractionId,
+        interactionIds: this.appendInteractionId(state.get('interactionIds', []), interaction.id),
+        pendingHistory: hasToolResults && hasPendingHistory ? pendingHistory : undefined,
+        pendingToolCalls: toolCalls.length > 0 ? toolCalls.map(({ callId, name }) => ({ callId, name })) : undefined
       });
 
-      return {
-        message: responseMessage,
-        sessionData: state.buildSessionData(interaction.id || previousInteractionId),
-      };
+      const sessionUpdates = state.buildSessionData(interaction.id || previousInteractionId);
+
+      return toolCalls.length > 0
+        ? { toolCalls, usage: this.extractUsage(interaction, startedAt, 'tool_calls'), sessionData: sessionUpdates }
+        : { message: responseMessage, usage: this.extractUsage(interaction, startedAt), sessionData: sessionUpdates };
     } catch (error) {
       throw Errors.gemini.messageSendError(error);
     }
   }
 
+  /**
+   * Elimina la cadena de interacciones de la sesión en Gemini. Las sesiones
+   * anteriores al registro de interactionIds solo conocen la última.
+   * @param {Object} options - { sessionData }
+   * @returns {Promise<void>}
+   */
+  async deleteSession(options) {
+    const { sessionData } = options;
+    const state = new ProviderState(sessionData);
+    const interactionIds = this.appendInteractionId(
+      state.get('interactionIds', []),
+      state.get('previousInteractionId') || state.threadId
+    );
+
+    const results = await Promise.allSettled(
+      interactionIds.map((interactionId) => this.getClient().interactions.delete(interactionId))
+    );
+
+    const failed = results.filter((result) => result.status === 'rejected');
+    if (failed.length > 0) {
+      console.warn(`No se pudieron eliminar ${failed.length} interacciones de Gemini:`, failed[0].reason?.message);
+    }
+  }
+
+  /**
+   * Las interacciones no se pueden crear sin invocar al modelo, así que el
+   * historial se guarda en providerState y se envía junto al siguiente mensaje,
+   * empezando una cadena nueva. La cadena anterior se elimina.
+   * @param {Object} options - { sessionData, history }
+   * @returns {Promise<Object>} - Actualizaciones de sessionData
+   */
+  async restoreHistory(options) {
+    const { sessionData, history } = options;
+    const state = new ProviderState(sessionData);
+
+    if (state.get('previousInteractionId') || state.threadId) {
+      await this.deleteSession({ sessionData });
+    }
+
+    state.update({
+      previousInteractionId: undefined,
+      interactionIds: [],
+      pendingHistory: history || [],
+      pendingToolCalls: undefined
+    });
+
+    return {
+      threadId: '',
+      providerState: state.providerState,
+    };
+  }
+
   /**
    * Realiza la llamada al API de Gemini y devuelve la evaluación estructurada.
    * Invocado por BaseModel.evaluateSolution.
@@ -99,6 +194,80 @@ class Gemini31FlashLitePreviewProvider extends BaseModel {
     };
   }
 
+  buildHistorySteps(history) {
+    return history.map((entry) => ({
+      type: entry.role === 'assistant' ? 'model_output' : 'user_input',
+      content: [{ type: 'text', text: entry.content }]
+    }));
+  }
+
+  // function_result steps for the calls of the previous interaction. The
+  // tool name is optional for the API but helps the model, so it is taken
+  // from the calls stored when they were made.
+  buildFunctionResultSteps(toolResults, pendingToolCalls = []) {
+    return toolResults.map((toolResult) => {
+      const call = (pendingToolCalls || []).find((pending) => pending.callId === toolResult.callId);
+      const step = {
+        type: 'function_result',
+        call_id: toolResult.callId,
+        result: toolResult.output ?? null
+      };
+
+      if (call?.name) {
+        step.name = call.name;
+      }
+
+      return step;
+    });
+  }
+
+  extractToolCalls(interaction) {
+    if (!interaction || !Array.isArray(interaction.steps)) {
+      return [];
+    }
+
+    return interaction.steps
+    .filter(step => step?.type === 'function_call' && typeof step.name === 'string')
+    .map(step => ({
+      callId: step.id,
+      name: step.name,
+      arguments: typeof step.arguments === 'string' ? step.arguments : JSON.stringify(step.arguments ?? {})
+    }));
+  }
+
+  buildUserStep(message, images = []) {
+    return {
+      type: 'user_input',
+      content: [
+        { type: 'text', text: message },
+        ...(images || []).map((image) => ({ type: 'image', data: image.data, mime_type: image.mimeType }))
+      ]
+    };
+  }
+
+  extractUsage(interaction, startedAt, finishReason) {
+    const usage = interaction.usage || {};
+
+    return this.buildUsage({
+      model: interaction.model,
+      inputTokens: usage.total_input_tokens,
+      outputTokens: usage.total_output_tokens,
+      reasoningTokens: usage.total_thought_tokens,
+      totalTokens: usage.total_tokens,
+      finishReason: finishReason || (interaction.status === 'completed' ? 'stop' : interaction.status),
+    }, startedAt);
+  }
+
+  appendInteractionId(interactionIds, interactionId) {
+    const ids = Array.isArray(interactionIds) ? interactionIds : [];
+
+    if (!interactionId || ids.includes(interactionId)) {
+      return ids;
+    }
+
+    return [...ids, interactionId];
+  }
+
   sanitizeJsonResponse(responseText) {
     const trimmedResponse = responseText.trim();
     const fencedMatch = trimmedResponse.match(/^```(?:json)?\s*([\s\S]*?)\s*```$/i);
@@ -120,7 +289,67 @@ class Gemini31FlashLitePreviewProvider extends BaseModel {
     .join('\n\n');
   }
 
-  async createInteraction({ model, input, systemInstruction, previousInteractionId, responseFormat }) {
+  /**
+   * Crea una interacción en modo streaming. Cada delta de texto se reenvía a
+   * onDelta y los eventos se reconstruyen en una interacción con la misma forma
+   * que devuelve createInteraction (interaction.completed llega sin outputs).
+   * Las llamadas a funciones llegan como step.start y sus argumentos por
+   * fragmentos (arguments_delta).
+   * @param {Object} request - Mismos parámetros que createInteraction
+   * @param {Function} onDelta - Callback invocado con cada fragmento de texto
+   * @returns {Promise<Object>} - Interacción reconstruida
+   */
+  async streamInteraction(request, onDelta) {
+    const stream = await this.createInteraction({ ...request, stream: true });
+    const interaction = { id: '', status: 'completed', steps: [] };
+    const functionCalls = new Map();
+    let text = '';
+
+    for await (const event of stream) {
+      if (event?.metadata?.usage) {
+        interaction.usage = event.metadata.usage;
+      }
+
+      if (event?.event_type === 'interaction.created' || event?.event_type === 'interaction.completed') {
+        const { steps, ...rest } = event.interaction || {};
+        Object.assign(interaction, rest);
+      } else if (event?.event_type === 'step.start' && event.step?.type === 'function_call') {
+        functionCalls.set(event.index, { ...event.step, argumentsText: '' });
+      } else if (event?.event_type === 'step.delta' && event.delta?.type === 'arguments_delta') {
+        const call = functionCalls.get(event.index);
+        if (call && event.delta.arguments) {
+          call.argumentsText += event.delta.arguments;
+        }
+      } else if (event?.event_type === 'step.delta' && event.delta?.type === 'text' && event.delta.text) {
+        text += event.delta.text;
+        onDelta(event.delta.text);
+      } else if (event?.event_type === 'error') {
+        throw Errors.gemini.streamError(event.error?.message);
+      }
+    }
+
+    this.ensureInteractionStatus(interaction);
+
+    if (text) {
+      interaction.steps.push({ type: 'model_output', content: [{ type: 'text', text }] });
+    }
+
+    for (const { argumentsText, ...call } of functionCalls.values()) {
+      interaction.steps.push({ ...call, arguments: argumentsText || call.arguments || {} });
+    }
+
+    return interaction;
+  }
+
+  // An interaction that stops to wait for function results ends as
+  // requires_action; any other status but completed is a failure.
+  ensureInteractionStatus(interaction) {
+    if (interaction.status && !['completed', 'requires_action'].includes(interaction.status)) {
+      throw Errors.gemini.interactionStatusError(interaction.status);
+    }
+  }
+
+  async createInteraction({ model, input, systemInstruction, previousInteractionId, responseFormat, tools, stream }) {
     const requestBody = {
       model,
       input
@@ -138,12 +367,19 @@ class Gemini31FlashLitePreviewProvider extends BaseModel {
       requestBody.response_format = responseFormat;
     }
 
-    const interaction = await this.getClient().interactions.create(requestBody);
+    if (tools) {
+      requestBody.tools = tools;
+    }
 
-    if (interaction.status && interaction.status !== 'completed') {
-      throw Errors.gemini.interactionStatusError(interaction.status);
+    if (stream) {
+      requestBody.stream = true;
+      return this.getClient().interactions.create(requestBody);
     }
 
+    const interaction = await this.getClient().interactions.create(requestBody);
+
+    this.ensureInteractionStatus(interaction);
+
     return interaction;
   }
 }
@@ -1,4 +1,5 @@
 require('dotenv').config();
+const crypto = require('crypto');
 const BaseModel = require('./baseModel');
 const Errors = require('../../utils/errors');
 const ProviderState = require('../providerState');
@@ -13,6 +14,10 @@ class OllamaProvider extends BaseModel {
     this.apiKeyProvider = ApiKeyProvider.OLLAMA;
     this.evaluationModel = process.env.OLLAMA_EVALUATION_MODEL || this.model;
     this.baseUrl = (process.env.OLLAMA_BASE_URL || 'http://localhost:11434').replace(/\/+$/, '');
+    // Depende del modelo configurado (llama3.1, qwen3... aceptan function tools)
+    this.supportsTools = process.env.OLLAMA_SUPPORTS_TOOLS === 'true';
+    // Depende del modelo configurado (gemma3, llava... aceptan imágenes)
+    this.supportsImages = process.env.OLLAMA_SUPPORTS_IMAGES === 'true';
     this.conversationStore = new ConversationStore({
       providerName: 'ollama',
       defaultMaxMessages: 60
@@ -28,7 +33,31 @@ class OllamaProvider extends BaseModel {
   }
 
   async sendMessage(options) {
-    const { sessionId, message, sessionData } = options;
+    return this.runChatTurn(options, (messages, tools) => this.createChatCompletion({
+      model: this.model,
+      messages,
+      tools,
+    }));
+  }
+
+  async streamMessage(options) {
+    const { onDelta } = options;
+
+    return this.runChatTurn(options, (messages, tools) => this.streamChatCompletion({
+      model: this.model,
+      messages,
+      tools,
+      onDelta,
+    }));
+  }
+
+  // Shared turn logic: builds the local history, asks `complete` for the
+  // chat response and persists the assistant reply. Attached images are sent
+  // with the current student message only; the stored history keeps the text.
+  // Tool results continue a tool-call round as `tool` messages, and a reply
+  // that calls tools is stored with its tool_calls so the round stays whole.
+  async runChatTurn(options, complete) {
+    const { sessionId, message, sessionData, images, tools, toolResults, allowTools } = options;
 
     if (!sessionId) {
       throw Errors.ollama.missingSessionId();
@@ -36,41 +65,119 @@ class OllamaProvider extends BaseModel {
 
     const state = new ProviderState(sessionData);
     const systemInstruction = state.getSystemInstruction();
+    const hasToolResults = Array.isArray(toolResults) && toolResults.length > 0;
+    const toolDefinitions = allowTools ? this.normalizeToolDefinitions(tools) : null;
 
     try {
-      const conversationMessages = await this.conversationStore.buildConversationForRequest(
-        sessionId,
-        systemInstruction,
-        message
-      );
+      const conversationMessages = hasToolResults
+        ? await this.conversationStore.buildConversationForToolResults(
+          sessionId,
+          systemInstruction,
+          this.buildToolMessages(toolResults, state.get('pendingToolCalls', []))
+        )
+        : await this.conversationStore.buildConversationForRequest(
+          sessionId,
+          systemInstruction,
+          message
+        );
+
+      if (Array.isArray(images) && images.length > 0) {
+        const lastMessage = conversationMessages[conversationMessages.length - 1];
+        conversationMessages[conversationMessages.length - 1] = {
+          ...lastMessage,
+          images: images.map((image) => image.data),
+        };
+      }
 
-      const chatResponse = await this.createChatCompletion({
-        model: this.model,
-        messages: conversationMessages,
-      });
+      // The tool-usage block goes in the request only; the stored system
+      // message keeps the LEIA instruction as is.
+      if (toolDefinitions && conversationMessages[0]?.role === 'system') {
+        conversationMessages[0] = {
+          ...conversationMessages[0],
+          content: this.appendToolUsageBlock(conversationMessages[0].content, toolDefinitions),
+        };
+      }
 
+      const startedAt = Date.now();
+      const chatResponse = await complete(
+        conversationMessages,
+        toolDefinitions ? toolDefinitions.map((tool) => ({ type: 'function', function: tool })) : undefined
+      );
+
+      const toolCalls = this.extractToolCalls(chatResponse);
       const responseMessage = this.extractAssistantMessage(chatResponse);
 
-      if (!responseMessage) {
+      if (toolCalls.length === 0 && !responseMessage) {
         throw Errors.ollama.noTextContent();
       }
 
-      await this.conversationStore.storeAssistantResponse(sessionId, responseMessage);
+      if (toolCalls.length > 0) {
+        await this.conversationStore.storeAssistantToolCalls(sessionId, chatResponse.message.tool_calls);
+      } else {
+        await this.conversationStore.storeAssistantResponse(sessionId, responseMessage);
+      }
 
       state.update({
         conversationKey: this.conversationStore.getConversationKey(sessionId),
         model: this.model,
+        pendingToolCalls: toolCalls.length > 0 ? toolCalls.map(({ callId, name }) => ({ callId, name })) : undefined,
       });
 
-      return {
-        message: responseMessage,
-        sessionData: state.buildSessionData(sessionId),
-      };
+      const usage = this.buildUsage({
+        model: chatResponse.model,
+        inputTokens: chatResponse.prompt_eval_count,
+        outputTokens: chatResponse.eval_count,
+        finishReason: toolCalls.length > 0 ? 'tool_calls' : chatResponse.done_reason,
+      }, startedAt);
+
+      return toolCalls.length > 0
+        ? { toolCalls, usage, sessionData: state.buildSessionData(sessionId) }
+        : { message: responseMessage, usage, sessionData: state.buildSessionData(sessionId) };
     } catch (error) {
       throw Errors.ollama.messageSendError(error);
     }
   }
 
+  /**
+   * Elimina el historial local de la conversación.
+   * @param {Object} options - { sessionId }
+   * @returns {Promise<void>}
+   */
+  async deleteSession(options) {
+    const { sessionId } = options;
+
+    if (!sessionId) {
+      throw Errors.ollama.missingSessionId();
+    }
+
+    await this.conversationStore.clearConversation(sessionId);
+  }
+
+  /**
+   * Sustituye el historial local por el restaurado.
+   * @param {Object} options - { sessionId, sessionData, history }
+   * @returns {Promise<Object>} - Actualizaciones de sessionData
+   */
+  async restoreHistory(options) {
+    const { sessionId, sessionData, history } = options;
+
+    if (!sessionId) {
+      throw Errors.ollama.missingSessionId();
+    }
+
+    const state = new ProviderState(sessionData);
+
+    await this.conversationStore.replaceConversation(sessionId, state.getSystemInstruction(), history);
+
+    state.update({
+      conversationKey: this.conversationStore.getConversationKey(sessionId),
+      model: this.model,
+      pendingToolCalls: undefined,
+    });
+
+    return state.buildSessionData(sessionId);
+  }
+
   /**
    * Realiza la llamada al API de Ollama y devuelve la evaluación estructurada.
    * Invocado por BaseModel.evaluateSolution.
@@ -109,7 +216,7 @@ class OllamaProvider extends BaseModel {
 
   // Métodos auxiliares
 
-  async createChatCompletion({ model, messages, format }) {
+  async createChatCompletion({ model, messages, format, tools }) {
     const headers = {
       'Content-Type': 'application/json',
     };
@@ -124,6 +231,10 @@ class OllamaProvider extends BaseModel {
       requestBody.format = format;
     }
 
+    if (tools) {
+      requestBody.tools = tools;
+    }
+
     const response = await fetch(`${this.baseUrl}/api/chat`, {
       method: 'POST',
       headers,
@@ -144,6 +255,119 @@ class OllamaProvider extends BaseModel {
     return responseData;
   }
 
+  // Ollama streams newline-delimited JSON chunks. Each content delta is
+  // forwarded to onDelta and the chunks are folded back into the same shape
+  // as a non-streamed /api/chat response. Tool calls arrive whole, in the
+  // chunk that carries them.
+  async streamChatCompletion({ model, messages, tools, onDelta }) {
+    const requestBody = {
+      model,
+      messages,
+      stream: true,
+    };
+
+    if (tools) {
+      requestBody.tools = tools;
+    }
+
+    const response = await fetch(`${this.baseUrl}/api/chat`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify(requestBody),
+    });
+
+    if (!response.ok) {
+      const errorBody = await response.text();
+      throw new Error(`Ollama request failed (${response.status}): ${errorBody}`);
+    }
+
+    const decoder = new TextDecoder();
+    let buffer = '';
+    let content = '';
+    const toolCalls = [];
+    let lastChunk = {};
+
+    const handleLine = (line) => {
+      if (!line.trim()) {
+        return;
+      }
+
+      const chunk = JSON.parse(line);
+
+      if (chunk?.error) {
+        throw Errors.ollama.streamError(chunk.error);
+      }
+
+      const delta = chunk?.message?.content;
+      if (typeof delta === 'string' && delta) {
+        content += delta;
+        onDelta(delta);
+      }
+
+      if (Array.isArray(chunk?.message?.tool_calls)) {
+        toolCalls.push(...chunk.message.tool_calls);
+      }
+
+      lastChunk = chunk;
+    };
+
+    for await (const part of response.body) {
+      buffer += decoder.decode(part, { stream: true });
+
+      let newlineIndex = buffer.indexOf('\n');
+      while (newlineIndex !== -1) {
+        handleLine(buffer.slice(0, newlineIndex));
+        buffer = buffer.slice(newlineIndex + 1);
+        newlineIndex = buffer.indexOf('\n');
+      }
+    }
+
+    handleLine(buffer + decoder.decode());
+
+    return {
+      ...lastChunk,
+      message: {
+        role: 'assistant',
+        content,
+        ...(toolCalls.length > 0 ? { tool_calls: toolCalls } : {}),
+      },
+    };
+  }
+
+  // /api/chat does not always give tool calls an id, so one is made up to
+  // match the results the frontend sends back.
+  extractToolCalls(response) {
+    const toolCalls = response?.message?.tool_calls;
+
+    if (!Array.isArray(toolCalls)) {
+      return [];
+    }
+
+    return toolCalls
+      .filter((call) => typeof call?.function?.name === 'string')
+      .map((call) => ({
+        callId: call.id || `call_${crypto.randomUUID()}`,
+        name: call.function.name,
+        arguments: typeof call.function.arguments === 'string'
+          ? call.function.arguments
+          : JSON.stringify(call.function.arguments ?? {}),
+      }));
+  }
+
+  // One `tool` message per result, named after the call it answers
+  buildToolMessages(toolResults, pendingToolCalls = []) {
+    return toolResults.map((toolResult) => {
+      const call = (pendingToolCalls || []).find((pending) => pending.callId === toolResult.callId);
+
+      return {
+        content: this.serializeToolOutput(toolResult.output),
+        tool_name: call?.name,
+      };
+    });
+  }
+
   extractAssistantMessage(response) {
     if (!response || typeof response !== 'object') {
       return '';
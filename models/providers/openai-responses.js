@@ -7,6 +7,9 @@ const BaseModel = require('./baseModel');
 const Errors = require('../../utils/errors');
 const ProviderState = require('../providerState');
 
+// Límite de items por petición de la Conversations API
+const CONVERSATION_ITEMS_PER_REQUEST = 20;
+
 const EvaluationSchema = z.object({
     score: z.number().min(0).max(10),
     evaluation: z.string(),
@@ -22,6 +25,8 @@ class OpenAIResponsesProvider extends BaseModel {
         this.apiKeyProvider = ApiKeyProvider.OPENAI;
         this.model = 'gpt-5.4-mini';
         this.evaluationModel = process.env.OPENAI_EVALUATION_MODEL || 'gpt-5.4-mini';
+        this.supportsTools = true;
+        this.supportsImages = true;
     }
 
     // Requerido para el baseModel
@@ -31,125 +36,260 @@ class OpenAIResponsesProvider extends BaseModel {
     }
 
     async sendMessage(options) {
-        const { message, sessionData, tools, toolResults, allowTools } = options;
-        const state = new ProviderState(sessionData);
-        const baseInstruction = state.getSystemInstruction();
-        let conversationId = state.get('conversationId') || (state.threadId.startsWith('conv_') ? state.threadId : '');
+        try {
+            const turn = await this.prepareTurn(options);
+            turn.startedAt = Date.now();
+            const response = await this.getClient().responses.create(turn.requestPayload);
+
+            return this.buildTurnResult(response, turn);
+        } catch (error) {
+            throw Errors.openAI.messageSendError(error);
+        }
+    }
+
+    // Same turn as sendMessage, but the request is streamed and every
+    // output_text delta is forwarded to onDelta as it arrives. The final
+    // `response.completed` event carries the full response, so tool calls
+    // and state handling are shared with the non-streaming path.
+    async streamMessage(options) {
+        const { onDelta } = options;
 
         try {
-            if (!conversationId) {
-                if (sessionData?.threadId) {
-                    console.warn(
-                        'Sesion legacy de Assistants detectada. Se iniciara una nueva conversacion sin historial previo.'
-                    );
-                }
+            const turn = await this.prepareTurn(options);
+            turn.startedAt = Date.now();
+            const stream = await this.getClient().responses.create({
+                ...turn.requestPayload,
+                stream: true,
+            });
 
-                const conversation = await this.createConversation();
-                conversationId = conversation.id;
+            let finalResponse = null;
+            for await (const event of stream) {
+                if (event?.type === 'response.output_text.delta' && event.delta) {
+                    onDelta(event.delta);
+                } else if (event?.type === 'response.completed' || event?.type === 'response.incomplete') {
+                    finalResponse = event.response;
+                } else if (event?.type === 'response.failed') {
+                    throw Errors.openAI.responseError(event.response?.error?.message);
+                } else if (event?.type === 'error') {
+                    throw Errors.openAI.responseError(event.message);
+                }
             }
 
-            // Build the input for this turn: either a fresh user message
-            // or a batch of function_call_output items continuing a prior
-            // tool-call round.
-            let input;
-            if (Array.isArray(toolResults) && toolResults.length > 0) {
-                input = toolResults.map((r) => ({
-                    type: 'function_call_output',
-                    call_id: r.callId,
-                    output: typeof r.output === 'string' ? r.output : JSON.stringify(r.output ?? null),
-                }));
-            } else {
-                input = [
-                    {
-                        role: 'user',
-                        content: message,
-                    },
-                ];
-            }
+            return this.buildTurnResult(finalResponse, turn);
+        } catch (error) {
+            throw Errors.openAI.messageSendError(error);
+        }
+    }
 
-            // Only honor incoming tools when the activity opted-in at
-            // session creation time. Otherwise the prompt and request
-            // stay tool-free regardless of what the client sends.
-            const normalizedTools = allowTools ? this.normalizeTools(tools) : null;
-            // Augment the system instruction per-turn with a tool-usage
-            // block so the model is told what each tool is for and when
-            // to call it. The augmented text is NOT persisted into state
-            // — we keep the base instruction stored and re-augment each
-            // turn based on the current tool set.
-            const instructionsForCall = normalizedTools
-                ? this.appendToolUsageBlock(baseInstruction, normalizedTools)
-                : baseInstruction;
-
-            const requestPayload = {
-                model: this.model,
-                conversation: conversationId,
-                instructions: instructionsForCall,
-                input,
-                store: true,
-            };
+    // Resolves (or creates) the conversation and builds the Responses
+    // request for this turn. Shared by sendMessage and streamMessage.
+    async prepareTurn(options) {
+        const { message, sessionData, tools, toolResults, allowTools, images } = options;
+        const state = new ProviderState(sessionData);
+        const baseInstruction = state.getSystemInstruction();
+        let conversationId = state.get('conversationId') || (state.threadId.startsWith('conv_') ? state.threadId : '');
 
-            if (normalizedTools) {
-                requestPayload.tools = normalizedTools;
+        if (!conversationId) {
+            if (sessionData?.threadId) {
+                console.warn(
+                    'Sesion legacy de Assistants detectada. Se iniciara una nueva conversacion sin historial previo.'
+                );
             }
 
-            const response = await this.getClient().responses.create(requestPayload);
+            const conversation = await this.createConversation();
+            conversationId = conversation.id;
+        }
 
-            if (response?.error) {
-                throw Errors.openAI.responseError(response.error.message);
-            }
+        // Build the input for this turn: either a fresh user message
+        // or a batch of function_call_output items continuing a prior
+        // tool-call round.
+        let input;
+        if (Array.isArray(toolResults) && toolResults.length > 0) {
+            input = toolResults.map((r) => ({
+                type: 'function_call_output',
+                call_id: r.callId,
+                output: this.serializeToolOutput(r.output),
+            }));
+        } else {
+            input = [
+                {
+                    role: 'user',
+                    content: this.buildUserContent(message, images),
+                },
+            ];
+        }
 
-            const toolCalls = this.extractToolCalls(response);
-            if (toolCalls.length > 0) {
-                state.update({
-                    conversationId,
-                    systemInstruction: baseInstruction,
-                    lastResponseId: response.id || state.get('lastResponseId'),
-                });
+        // Only honor incoming tools when the activity opted-in at
+        // session creation time. Otherwise the prompt and request
+        // stay tool-free regardless of what the client sends.
+        const normalizedTools = allowTools ? this.normalizeTools(tools) : null;
+        // Augment the system instruction per-turn with a tool-usage
+        // block so the model is told what each tool is for and when
+        // to call it. The augmented text is NOT persisted into state
+        // — we keep the base instruction stored and re-augment each
+        // turn based on the current tool set.
+        const instructionsForCall = normalizedTools
+            ? this.appendToolUsageBlock(baseInstruction, normalizedTools)
+            : baseInstruction;
+
+        const requestPayload = {
+            model: this.model,
+            conversation: conversationId,
+            instructions: instructionsForCall,
+            input,
+            store: true,
+        };
+
+        if (normalizedTools) {
+            requestPayload.tools = normalizedTools;
+        }
 
-                return {
-                    toolCalls,
-                    sessionData: state.buildSessionData(conversationId),
-                };
-            }
+        return { state, baseInstruction, conversationId, requestPayload };
+    }
 
-            const responseMessage = this.extractResponseText(response);
+    buildTurnResult(response, { state, baseInstruction, conversationId, startedAt }) {
+        if (!response) {
+            throw Errors.openAI.responseError();
+        }
 
-            if (!responseMessage) {
-                throw Errors.openAI.noTextContent();
-            }
+        if (response.error) {
+            throw Errors.openAI.responseError(response.error.message);
+        }
 
+        // Outstanding calls are kept so the next toolResults can be checked
+        // against them before they reach the API.
+        const toolCalls = this.extractToolCalls(response);
+        if (toolCalls.length > 0) {
             state.update({
                 conversationId,
                 systemInstruction: baseInstruction,
                 lastResponseId: response.id || state.get('lastResponseId'),
+                pendingToolCalls: toolCalls.map(({ callId, name }) => ({ callId, name })),
             });
 
             return {
-                message: responseMessage,
+                toolCalls,
+                usage: this.extractUsage(response, 'tool_calls', startedAt),
                 sessionData: state.buildSessionData(conversationId),
             };
+        }
+
+        const responseMessage = this.extractResponseText(response);
+
+        if (!responseMessage) {
+            throw Errors.openAI.noTextContent();
+        }
+
+        state.update({
+            conversationId,
+            systemInstruction: baseInstruction,
+            lastResponseId: response.id || state.get('lastResponseId'),
+            pendingToolCalls: undefined,
+        });
+
+        return {
+            message: responseMessage,
+            usage: this.extractUsage(response, this.getFinishReason(response), startedAt),
+            sessionData: state.buildSessionData(conversationId),
+        };
+    }
+
+    extractUsage(response, finishReason, startedAt) {
+        const usage = response.usage || {};
+
+        return this.buildUsage({
+            model: response.model,
+            inputTokens: usage.input_tokens,
+            outputTokens: usage.output_tokens,
+            reasoningTokens: usage.output_tokens_details?.reasoning_tokens,
+            totalTokens: usage.total_tokens,
+            finishReason,
+        }, startedAt);
+    }
+
+    // Responses reports `incomplete` plus a reason instead of a finish
+    // reason; map it to the values the other providers use.
+    getFinishReason(response) {
+        if (response.status !== 'incomplete') {
+            return 'stop';
+        }
+
+        const reason = response.incomplete_details?.reason;
+        return reason === 'max_output_tokens' ? 'length' : (reason || 'incomplete');
+    }
+
+    // Deletes the remote conversation so nothing of the session is left
+    // stored on OpenAI's side.
+    async deleteSession(options) {
+        const { sessionData } = options;
+        const state = new ProviderState(sessionData);
+        const conversationId = state.get('conversationId') || (state.threadId.startsWith('conv_') ? state.threadId : '');
+
+        if (!conversationId) {
+            return;
+        }
+
+        await this.getClient().delete(`/conversations/${conversationId}`);
+    }
+
+    // Seeds a fresh conversation with the replayed history. The
+    // Conversations API takes at most 20 items per request, so the first
+    // chunk goes with the creation and the rest are appended in order.
+    // The previous conversation (if any) is deleted once replaced.
+    async restoreHistory(options) {
+        const { sessionData, history } = options;
+        const state = new ProviderState(sessionData);
+        const previousConversationId = state.get('conversationId') || (state.threadId.startsWith('conv_') ? state.threadId : '');
+        const items = (history || []).map((entry) => ({
+            type: 'message',
+            role: entry.role,
+            content: entry.content,
+        }));
+
+        try {
+            const conversation = await this.createConversation(items.slice(0, CONVERSATION_ITEMS_PER_REQUEST));
+
+            for (let start = CONVERSATION_ITEMS_PER_REQUEST; start < items.length; start += CONVERSATION_ITEMS_PER_REQUEST) {
+                await this.getClient().post(`/conversations/${conversation.id}/items`, {
+                    body: { items: items.slice(start, start + CONVERSATION_ITEMS_PER_REQUEST) },
+                });
+            }
+
+            state.update({ conversationId: conversation.id, lastResponseId: undefined, pendingToolCalls: undefined });
+
+            if (previousConversationId) {
+                await this.deleteSession({ sessionData }).catch((error) => {
+                    console.warn(`No se pudo eliminar la conversacion ${previousConversationId}:`, error.message);
+                });
+            }
+
+            return state.buildSessionData(conversation.id);
         } catch (error) {
-            throw Errors.openAI.messageSendError(error);
+            throw Errors.openAI.historyRestoreError(error);
         }
     }
 
+    // Plain text unless the student attached images, which go as
+    // input_image parts (data URLs) after the text.
+    buildUserContent(message, images) {
+        if (!Array.isArray(images) || images.length === 0) {
+            return message;
+        }
+
+        return [
+            { type: 'input_text', text: message },
+            ...images.map((image) => ({
+                type: 'input_image',
+                image_url: `data:${image.mimeType};base64,${image.data}`,
+            })),
+        ];
+    }
+
     // Frontend ships tools as { name, description, parameters }. The
     // Responses API expects function tools with { type: "function", ... }.
     normalizeTools(tools) {
-        if (!Array.isArray(tools) || tools.length === 0) return null;
-        const out = [];
-        for (const t of tools) {
-            if (!t || typeof t.name !== 'string') continue;
-            out.push({
-                type: 'function',
-                name: t.name,
-                description: typeof t.description === 'string' ? t.description : '',
-                parameters: t.parameters && typeof t.parameters === 'object'
-                    ? t.parameters
-                    : { type: 'object', properties: {} },
-            });
-        }
-        return out.length > 0 ? out : null;
+        const definitions = this.normalizeToolDefinitions(tools);
+        return definitions ? definitions.map((t) => ({ type: 'function', ...t })) : null;
     }
 
     extractToolCalls(response) {
@@ -166,35 +306,6 @@ class OpenAIResponsesProvider extends BaseModel {
         return calls;
     }
 
-    // Appends a per-turn tool-usage block to the LEIA's system instruction
-    // so the model is explicitly told (a) the names of the tools it can
-    // call, and (b) the circumstances each one is for. We rely on each
-    // tool's own description containing a "Call this when…" cue (that is
-    // how the widget catalog authors them), so the format here is just a
-    // structured listing.
-    appendToolUsageBlock(baseInstruction, tools) {
-        if (!Array.isArray(tools) || tools.length === 0) return baseInstruction || '';
-        const lines = tools.map((t) => {
-            const desc = (t.description || '').trim() || 'No description provided.';
-            return `- \`${t.name}\`: ${desc}`;
-        });
-        const block = [
-            '',
-            '## Available tools',
-            '',
-            'You have access to the following tool functions. Each description states the circumstances in which the tool should be invoked.',
-            '',
-            ...lines,
-            '',
-            'Hard rules for tool use:',
-            '- If the user explicitly asks you to put, write, add, insert, or leave something (a comment, example, hint, snippet, explanation, pseudo-code) in the editor — you MUST fulfill the request via the editing tool. Do NOT answer only in chat: the artifact must end up inside the editor.',
-            '- Before any edit, call the read tool first so your `find` anchor matches the live editor content.',
-            '- Prefer the tools over guessing about state the user controls (their code, their editor).',
-            '- Respect the LEIA behaviour: only the behaviour above decides whether you may write the solution itself. By default, help goes in as comments / hints / examples, not as the answer.',
-        ].join('\n');
-        return ((baseInstruction || '').trim() + '\n\n' + block).trim();
-    }
-
     /**
      * Realiza la llamada al API de OpenAI y devuelve la evaluación estructurada.
      * Invocado por BaseModel.evaluateSolution.
@@ -233,10 +344,11 @@ class OpenAIResponsesProvider extends BaseModel {
 
     // Métodos auxiliares
 
-    async createConversation() {
+    async createConversation(items = []) {
         this.ensureApiKey();
 
-        const conversation = await this.getClient().post('/conversations', { body: {} });
+        const body = items.length > 0 ? { items } : {};
+        const conversation = await this.getClient().post('/conversations', { body });
 
         if (!conversation?.id) {
             throw Errors.openAI.noConversationId();
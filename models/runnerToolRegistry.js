@@ -0,0 +1,98 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Registro de las herramientas que ejecuta el propio runner (calculadora,
+ * glosario del problema, fecha/hora...), a diferencia de las herramientas de
+ * widgets, que se ejecutan en el frontend y vuelven como toolResults.
+ *
+ * Cada fichero de models/runnerTools exporta una herramienta:
+ *   { name, description, parameters, execute(args, context) }
+ * donde `parameters` es un JSON Schema y `execute` devuelve (o resuelve) el
+ * resultado que se envía al modelo. `context` lleva { sessionId, leiaMeta }.
+ */
+class RunnerToolRegistry {
+  constructor() {
+    this.toolDir = path.join(__dirname, 'runnerTools');
+    this.tools = new Map();
+    this.maxRounds = Number.parseInt(process.env.RUNNER_TOOLS_MAX_ROUNDS, 10) || 5;
+    this.loadTools();
+  }
+
+  loadTools() {
+    const files = fs.existsSync(this.toolDir) ? fs.readdirSync(this.toolDir) : [];
+
+    for (const file of files.filter((name) => name.endsWith('.js'))) {
+      try {
+        this.register(require(path.join(this.toolDir, file)));
+      } catch (error) {
+        console.error(`Error cargando la herramienta del runner '${file}':`, error);
+      }
+    }
+  }
+
+  /**
+   * Registra una herramienta (también permite añadir herramientas desde fuera)
+   * @param {Object} tool - { name, description, parameters, execute }
+   */
+  register(tool) {
+    if (!tool || typeof tool.name !== 'string' || typeof tool.execute !== 'function') {
+      throw new Error('A runner tool needs a name and an execute function');
+    }
+
+    this.tools.set(tool.name, tool);
+  }
+
+  has(name) {
+    return this.tools.has(name);
+  }
+
+  getToolNames() {
+    return Array.from(this.tools.keys());
+  }
+
+  /**
+   * Nombres pedidos que no están registrados
+   * @param {Array<string>} names - Herramientas que activa una actividad
+   * @returns {Array<string>}
+   */
+  findUnknownTools(names) {
+    return (names || []).filter((name) => !this.has(name));
+  }
+
+  /**
+   * Definiciones en el formato que reciben los proveedores (igual que las de los widgets)
+   * @param {Array<string>} names - Herramientas activadas
+   * @returns {Array<{name: string, description: string, parameters: Object}>}
+   */
+  getDefinitions(names) {
+    return (names || [])
+      .filter((name) => this.has(name))
+      .map((name) => {
+        const { description, parameters } = this.tools.get(name);
+        return { name, description, parameters };
+      });
+  }
+
+  /**
+   * Ejecuta las llamadas del modelo a herramientas del runner. Un fallo de la
+   * herramienta se devuelve al modelo como { error } en lugar de romper el turno.
+   * @param {Array<{callId: string, name: string, arguments: string}>} toolCalls - Llamadas del modelo
+   * @param {Object} context - { sessionId, leiaMeta }
+   * @returns {Promise<Array<{callId: string, output: *}>>} - Resultados con la forma de toolResults
+   */
+  async executeCalls(toolCalls, context) {
+    return Promise.all(toolCalls.map(async (call) => {
+      try {
+        const args = call.arguments ? JSON.parse(call.arguments) : {};
+        const output = await this.tools.get(call.name).execute(args, context);
+        return { callId: call.callId, output };
+      } catch (error) {
+        return { callId: call.callId, output: { error: error.message } };
+      }
+    }));
+  }
+}
+
+const runnerToolRegistry = new RunnerToolRegistry();
+module.exports = runnerToolRegistry;
@@ -0,0 +1,180 @@
+/**
+ * Calculadora aritmética. La expresión se analiza con un parser propio (sin
+ * eval): números, + - * / % ^, paréntesis, las constantes pi y e y funciones
+ * de un argumento como sqrt, abs, round, ln, log, sin, cos y tan.
+ */
+
+const FUNCTIONS = {
+  sqrt: Math.sqrt,
+  abs: Math.abs,
+  round: Math.round,
+  floor: Math.floor,
+  ceil: Math.ceil,
+  ln: Math.log,
+  log: Math.log10,
+  exp: Math.exp,
+  sin: Math.sin,
+  cos: Math.cos,
+  tan: Math.tan,
+};
+
+const CONSTANTS = {
+  pi: Math.PI,
+  e: Math.E,
+};
+
+const MAX_EXPRESSION_LENGTH = 500;
+
+function tokenize(expression) {
+  const tokens = [];
+  const pattern = /\s*(?:(\d+(?:\.\d+)?(?:e[+-]?\d+)?|\.\d+)|([a-z]+)|(.))/gy;
+  let match;
+
+  while (pattern.lastIndex < expression.length && (match = pattern.exec(expression))) {
+    if (match[1] !== undefined) {
+      tokens.push({ type: 'number', value: Number(match[1]) });
+    } else if (match[2] !== undefined) {
+      tokens.push({ type: 'name', value: match[2] });
+    } else if (match[3] !== undefined && match[3].trim()) {
+      tokens.push({ type: 'operator', value: match[3] });
+    }
+  }
+
+  return tokens;
+}
+
+// Gramática (de menor a mayor precedencia):
+//   expression := term (('+' | '-') term)*
+//   term       := unary (('*' | '/' | '%') unary)*
+//   unary      := ('-' | '+') unary | power
+//   power      := primary ('^' unary)?
+//   primary    := number | constant | function '(' expression ')' | '(' expression ')'
+function evaluate(expression) {
+  const tokens = tokenize(expression.toLowerCase());
+  let position = 0;
+
+  const peek = () => tokens[position];
+  const isOperator = (value) => peek()?.type === 'operator' && peek().value === value;
+  const expect = (value) => {
+    if (!isOperator(value)) {
+      throw new Error(`Expected '${value}'`);
+    }
+    position += 1;
+  };
+
+  const parseExpression = () => {
+    let value = parseTerm();
+    while (isOperator('+') || isOperator('-')) {
+      const operator = tokens[position++].value;
+      const right = parseTerm();
+      value = operator === '+' ? value + right : value - right;
+    }
+    return value;
+  };
+
+  const parseTerm = () => {
+    let value = parseUnary();
+    while (isOperator('*') || isOperator('/') || isOperator('%')) {
+      const operator = tokens[position++].value;
+      const right = parseUnary();
+      if (operator === '*') {
+        value *= right;
+      } else if (operator === '/') {
+        value /= right;
+      } else {
+        value %= right;
+      }
+    }
+    return value;
+  };
+
+  const parseUnary = () => {
+    if (isOperator('-')) {
+      position += 1;
+      return -parseUnary();
+    }
+    if (isOperator('+')) {
+      position += 1;
+      return parseUnary();
+    }
+    return parsePower();
+  };
+
+  const parsePower = () => {
+    const base = parsePrimary();
+    if (isOperator('^')) {
+      position += 1;
+      return base ** parseUnary();
+    }
+    return base;
+  };
+
+  const parsePrimary = () => {
+    const token = peek();
+
+    if (!token) {
+      throw new Error('Unexpected end of expression');
+    }
+
+    if (token.type === 'number') {
+      position += 1;
+      return token.value;
+    }
+
+    if (token.type === 'name') {
+      position += 1;
+      if (Object.prototype.hasOwnProperty.call(CONSTANTS, token.value)) {
+        return CONSTANTS[token.value];
+      }
+      if (Object.prototype.hasOwnProperty.call(FUNCTIONS, token.value)) {
+        expect('(');
+        const argument = parseExpression();
+        expect(')');
+        return FUNCTIONS[token.value](argument);
+      }
+      throw new Error(`Unknown name '${token.value}'`);
+    }
+
+    if (isOperator('(')) {
+      position += 1;
+      const value = parseExpression();
+      expect(')');
+      return value;
+    }
+
+    throw new Error(`Unexpected '${token.value}'`);
+  };
+
+  const result = parseExpression();
+
+  if (position < tokens.length) {
+    throw new Error(`Unexpected '${tokens[position].value}'`);
+  }
+
+  return result;
+}
+
+module.exports = {
+  name: 'calculator',
+  description: 'Evaluates an arithmetic expression and returns the exact result. Call this whenever you need to compute a number instead of calculating it yourself. Supports + - * / % ^, parentheses, pi, e and sqrt, abs, round, floor, ceil, ln, log, exp, sin, cos, tan.',
+  parameters: {
+    type: 'object',
+    properties: {
+      expression: { type: 'string', description: 'Expression to evaluate, e.g. "(12.5 * 4) / sqrt(16)"' },
+    },
+    required: ['expression'],
+  },
+  execute({ expression }) {
+    if (typeof expression !== 'string' || !expression.trim() || expression.length > MAX_EXPRESSION_LENGTH) {
+      throw new Error('expression must be a non-empty string');
+    }
+
+    const result = evaluate(expression);
+
+    if (!Number.isFinite(result)) {
+      throw new Error('The expression does not evaluate to a finite number');
+    }
+
+    return { expression, result };
+  },
+};
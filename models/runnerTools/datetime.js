@@ -0,0 +1,30 @@
+/**
+ * Fecha y hora actuales, opcionalmente en una zona horaria IANA.
+ */
+
+module.exports = {
+  name: 'datetime',
+  description: 'Returns the current date and time. Call this when you need today\'s date, the current time or the day of the week instead of guessing.',
+  parameters: {
+    type: 'object',
+    properties: {
+      timeZone: { type: 'string', description: 'IANA time zone, e.g. "Europe/Madrid" (defaults to UTC)' },
+    },
+  },
+  execute({ timeZone } = {}) {
+    const now = new Date();
+    const zone = timeZone || 'UTC';
+    // Lanza RangeError con una zona horaria desconocida
+    const formatter = new Intl.DateTimeFormat('en-GB', {
+      timeZone: zone,
+      dateStyle: 'full',
+      timeStyle: 'long',
+    });
+
+    return {
+      iso: now.toISOString(),
+      timeZone: zone,
+      local: formatter.format(now),
+    };
+  },
+};
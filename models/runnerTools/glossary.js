@@ -0,0 +1,70 @@
+/**
+ * Consulta del glosario del problema. El glosario es un campo opcional de la
+ * spec del problema (leia.spec.problem.spec.glossary, documentado en el README
+ * y en el asistente de diseño de problemas) que se guarda en leia:meta al crear
+ * la LEIA. Acepta el glosario como lista de { term, definition } o como objeto
+ * { término: definición }.
+ */
+
+function normalizeTerm(term) {
+  return String(term ?? '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .trim()
+    .toLowerCase();
+}
+
+function parseGlossary(rawGlossary) {
+  let glossary = rawGlossary;
+
+  if (typeof glossary === 'string') {
+    try {
+      glossary = JSON.parse(glossary);
+    } catch (error) {
+      return [];
+    }
+  }
+
+  if (Array.isArray(glossary)) {
+    return glossary.filter((entry) => entry && entry.term && entry.definition);
+  }
+
+  if (glossary && typeof glossary === 'object') {
+    return Object.entries(glossary).map(([term, definition]) => ({ term, definition }));
+  }
+
+  return [];
+}
+
+module.exports = {
+  name: 'glossary',
+  description: 'Looks up a term in the glossary of the current problem and returns its definition. Call this when the student asks what a domain term means or when you need the exact definition used in this problem.',
+  parameters: {
+    type: 'object',
+    properties: {
+      term: { type: 'string', description: 'Term to look up' },
+    },
+    required: ['term'],
+  },
+  execute({ term }, { leiaMeta } = {}) {
+    const glossary = parseGlossary(leiaMeta?.glossary);
+    const wanted = normalizeTerm(term);
+
+    if (!wanted) {
+      throw new Error('term is required');
+    }
+
+    const exact = glossary.find((entry) => normalizeTerm(entry.term) === wanted);
+    if (exact) {
+      return { found: true, term: exact.term, definition: exact.definition };
+    }
+
+    const related = glossary
+      .filter((entry) => normalizeTerm(entry.term).includes(wanted) || wanted.includes(normalizeTerm(entry.term)))
+      .map((entry) => ({ term: entry.term, definition: entry.definition }));
+
+    return related.length > 0
+      ? { found: true, term, matches: related }
+      : { found: false, term, availableTerms: glossary.map((entry) => entry.term) };
+  },
+};
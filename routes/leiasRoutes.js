@@ -9,20 +9,74 @@ const problemGeneratorController = require('../controllers/problemGeneratorContr
 const behaviourGeneratorController = require('../controllers/behaviourGeneratorController');
 const problemChatController = require('../controllers/problemChatController');
 const supervisorController = require('../controllers/supervisorController');
+const webhookController = require('../controllers/webhookController');
 const multer = require('multer');
 const { bearerAuth } = require('../utils/auth');
+const { maxImages, maxImageBytes } = require('../utils/imageAttachments');
+const { messageJsonBody } = require('../utils/jsonBody');
 
 // In-memory PDF uploads for the problem-chat assistant (forwarded to OpenAI).
 const uploadPdf = multer({ storage: multer.memoryStorage(), limits: { fileSize: 10 * 1024 * 1024 } });
 
+// Imágenes adjuntas a los mensajes de LEIA (multipart, campo `images`). Los
+// límites de multer se responden como errores de cliente en lugar de 500.
+const uploadImages = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: maxImageBytes, files: maxImages },
+});
+function uploadMessageImages(req, res, next) {
+  uploadImages.array('images')(req, res, (error) => {
+    if (error instanceof multer.MulterError) {
+      const status = error.code === 'LIMIT_FILE_SIZE' ? 413 : 400;
+      return res.status(status).send({ error: error.message });
+    }
+    next(error);
+  });
+}
+
 // Aplicar middleware de autenticación a todas las rutas
 router.use(bearerAuth);
 
+// El cuerpo de los mensajes se lee solo tras autenticar
+router.post('/leias/:sessionId/messages', messageJsonBody());
+
 // Endpoint para crear una nueva instancia de LEIA
 router.post('/leias', leiasController.createLeia);
 
-// Endpoint para enviar mensajes a LEIA
-router.post('/leias/:sessionId/messages', leiasController.sendLeiaMessage);
+// Endpoint para crear en bloque las instancias de LEIA de una clase
+router.post('/leias/batch', leiasController.createLeiaBatch);
+
+// Endpoint para finalizar una sesión de LEIA y eliminar todo su estado
+router.delete('/leias/:sessionId', leiasController.deleteLeia);
+
+// Endpoint para cambiar el proveedor, modelo o API key de una sesión en curso
+router.patch('/leias/:sessionId/runner', leiasController.updateLeiaRunner);
+
+// Endpoint para entregar, cerrar o reabrir una sesión (solo las activas admiten mensajes)
+router.patch('/leias/:sessionId/status', leiasController.updateLeiaStatus);
+
+// Endpoint para enviar mensajes a LEIA, con imágenes adjuntas opcionales
+// (admite la cabecera Idempotency-Key)
+router.post('/leias/:sessionId/messages', uploadMessageImages, leiasController.sendLeiaMessage);
+
+// Endpoint para obtener el historial completo de la conversación
+router.get('/leias/:sessionId/messages', leiasController.getLeiaMessages);
+
+// Endpoint para obtener los flags y nudges del supervisor de la sesión
+router.get('/leias/:sessionId/flags', leiasController.getLeiaFlags);
+
+// Endpoint para exportar la sesión (json, md o csv)
+router.get('/leias/:sessionId/export', leiasController.exportLeia);
+
+// Endpoint para enviar mensajes a LEIA recibiendo la respuesta en streaming (SSE)
+router.post('/leias/:sessionId/messages/stream', leiasController.streamLeiaMessage);
+
+// Endpoints para deshacer el último turno o regenerar la última respuesta
+router.post('/leias/:sessionId/messages/undo', leiasController.undoLeiaMessage);
+router.post('/leias/:sessionId/messages/regenerate', leiasController.regenerateLeiaMessage);
+
+// Endpoint para bifurcar una sesión en un turno dado
+router.post('/leias/:sessionId/fork', leiasController.forkLeia);
 
 // Endpoint para listar los modelos disponibles
 router.get('/models', modelsController.listModels);
@@ -49,4 +103,12 @@ router.post('/problems/chat/:chatId/messages', problemChatController.sendProblem
 // return flags (+ optional student nudge). Called fire-and-forget by the workbench.
 router.post('/supervisor', supervisorController.observe);
 
+// Webhooks firmados (HMAC) para los eventos de las sesiones, con reintentos y
+// lista de entregas fallidas (dead letters) que se pueden reenviar
+router.post('/webhooks', webhookController.registerWebhook);
+router.get('/webhooks', webhookController.listWebhooks);
+router.get('/webhooks/dead-letters', webhookController.listDeadLetters);
+router.post('/webhooks/dead-letters/:deliveryId/redeliver', webhookController.redeliverDeadLetter);
+router.delete('/webhooks/:webhookId', webhookController.deleteWebhook);
+
 module.exports = router;
@@ -5,13 +5,16 @@ const cors = require('cors');
 const { redisClient } = require('./config/redis');
 const modelSyncService = require('./services/modelSyncService');
 const modelManager = require('./models/modelManager');
+const webhookService = require('./services/webhookService');
+const { jsonBody } = require('./utils/jsonBody');
 
 const app = express();
 const port = process.env.PORT || 5000;
 
 // Middleware
 app.use(cors());
-app.use(express.json());
+// Los mensajes a LEIA (imágenes en base64) se leen en su ruta, con su propio límite
+app.use(jsonBody());
 
 // Cargar la especificación OpenAPI
 const swaggerDocument = YAML.load('./api/openapi.yml');
@@ -37,6 +40,9 @@ async function initializeServer() {
     await modelSyncService.syncModels();
     console.log('Models synchronized in Redis');
 
+    // Reintentar los webhooks pendientes (también los que dejó otra instancia)
+    webhookService.startRetries();
+
     // Iniciar el servidor
     app.listen(port, () => {
       console.log(`Server running on port ${port}`);
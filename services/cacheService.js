@@ -5,6 +5,7 @@ class CacheService {
     this.sessionPrefix = 'session:';
     this.conversationPrefix = 'session:conversation:';
     this.leiaMetaPrefix = 'leia:meta:';
+    this.transcriptPrefix = 'transcript:';
     this.modelsPrefix = 'models:';
     this.validatedModelsKey = 'validated_models';
   }
@@ -103,8 +104,9 @@ class CacheService {
     
     for (const key of keys) {
       try {
-        if (key.startsWith(this.conversationPrefix)) {
-          const sessionId = key.replace(this.conversationPrefix, '');
+        if (key.startsWith(this.conversationPrefix) || key.startsWith(this.transcriptPrefix)) {
+          const prefix = key.startsWith(this.conversationPrefix) ? this.conversationPrefix : this.transcriptPrefix;
+          const sessionId = key.replace(prefix, '');
           const sessionCreatedAt = await redisClient.hGet(`${this.sessionPrefix}${sessionId}`, 'createdAt');
 
           if (sessionCreatedAt) {
@@ -146,7 +148,8 @@ class CacheService {
     return keys.filter(key => 
       key === `${this.sessionPrefix}${sessionId}` ||
       key === `${this.leiaMetaPrefix}${sessionId}` ||
-      key === `${this.conversationPrefix}${sessionId}`
+      key === `${this.conversationPrefix}${sessionId}` ||
+      key === `${this.transcriptPrefix}${sessionId}`
     );
   }
 
@@ -176,6 +179,11 @@ class CacheService {
             if (keys.includes(conversationKey)) {
               filteredKeys.push(conversationKey);
             }
+
+            const transcriptKey = `${this.transcriptPrefix}${sessionId}`;
+            if (keys.includes(transcriptKey)) {
+              filteredKeys.push(transcriptKey);
+            }
           }
         } else if (key.startsWith(this.modelsPrefix)) {
           // Incluir claves de modelos relacionadas
@@ -261,6 +269,7 @@ class CacheService {
         `${this.sessionPrefix}*`,
         `${this.conversationPrefix}*`,
         `${this.leiaMetaPrefix}*`,
+        `${this.transcriptPrefix}*`,
         `${this.modelsPrefix}*`,
         this.validatedModelsKey
       ];
@@ -349,6 +358,7 @@ class CacheService {
         { name: 'sessions', pattern: `${this.sessionPrefix}*` },
         { name: 'conversations', pattern: `${this.conversationPrefix}*` },
         { name: 'metadata', pattern: `${this.leiaMetaPrefix}*` },
+        { name: 'transcripts', pattern: `${this.transcriptPrefix}*` },
         { name: 'models', pattern: `${this.modelsPrefix}*` }
       ];
 
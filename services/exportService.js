@@ -0,0 +1,186 @@
+const sessionService = require('./sessionService');
+const transcriptService = require('./transcriptService');
+const Errors = require('../utils/errors');
+
+const ROLE_LABELS = {
+  user: 'Student',
+  assistant: 'LEIA',
+  tool: 'Tool results',
+};
+
+const CSV_COLUMNS = [
+  'sessionId',
+  'leiaId',
+  'index',
+  'turn',
+  'timestamp',
+  'role',
+  'content',
+  'toolCalls',
+  'toolResults',
+  'model',
+  'inputTokens',
+  'outputTokens',
+  'reasoningTokens',
+  'totalTokens',
+  'latencyMs',
+  'finishReason',
+];
+
+/**
+ * Builds downloadable exports of a LEIA session (transcript, LEIA metadata
+ * and timestamps) for offline analysis.
+ */
+class ExportService {
+  constructor() {
+    this.formats = {
+      json: { contentType: 'application/json', extension: 'json', render: (doc) => JSON.stringify(doc, null, 2) },
+      md: { contentType: 'text/markdown', extension: 'md', render: (doc) => this.toMarkdown(doc) },
+      csv: { contentType: 'text/csv', extension: 'csv', render: (doc) => this.toCsv(doc) },
+    };
+  }
+
+  /**
+   * Collects everything that is exported for a session
+   * @param {string} sessionId - Session ID
+   * @returns {Promise<Object>} Export document
+   * @throws {HttpError} 404/410 when the session does not exist or expired
+   */
+  async buildExport(sessionId) {
+    const sessionData = await sessionService.requireSession(sessionId);
+    const leiaMeta = await sessionService.getLeiaMeta(sessionId) || {};
+    const messages = await transcriptService.getTranscript(sessionId);
+
+    const toIsoDate = (value) => (Number(value) > 0 ? new Date(Number(value)).toISOString() : null);
+
+    return {
+      sessionId,
+      leiaId: leiaMeta.leiaId || sessionId,
+      solutionFormat: leiaMeta.solutionFormat || 'text',
+      provider: sessionData.provider,
+      modelName: sessionData.modelName || null,
+      forkedFrom: sessionData.forkedFrom || null,
+      status: sessionService.getStatus(sessionData),
+      createdAt: toIsoDate(sessionData.createdAt),
+      expiresAt: toIsoDate(sessionData.expiresAt),
+      exportedAt: new Date().toISOString(),
+      turns: messages.reduce((max, entry) => Math.max(max, entry.turn), 0),
+      usage: this.sumUsage(messages),
+      messages,
+    };
+  }
+
+  /**
+   * Renders an export document in the requested format
+   * @param {Object} doc - Document built with buildExport
+   * @param {string} format - json, md or csv
+   * @returns {{contentType: string, extension: string, body: string}}
+   * @throws {HttpError} 400 on an unsupported format
+   */
+  render(doc, format) {
+    const exporter = Object.prototype.hasOwnProperty.call(this.formats, format) ? this.formats[format] : null;
+
+    if (!exporter) {
+      throw Errors.session.invalidExportFormat(Object.keys(this.formats));
+    }
+
+    return {
+      contentType: exporter.contentType,
+      extension: exporter.extension,
+      body: exporter.render(doc),
+    };
+  }
+
+  sumUsage(messages) {
+    const totals = { inputTokens: 0, outputTokens: 0, reasoningTokens: 0, totalTokens: 0 };
+
+    for (const entry of messages) {
+      for (const key of Object.keys(totals)) {
+        totals[key] += Number(entry.usage?.[key]) || 0;
+      }
+    }
+
+    return totals;
+  }
+
+  toMarkdown(doc) {
+    const lines = [
+      `# LEIA session ${doc.sessionId}`,
+      '',
+      `- **LEIA:** ${doc.leiaId}`,
+      `- **Solution format:** ${doc.solutionFormat}`,
+      `- **Provider:** ${doc.provider}${doc.modelName ? ` (${doc.modelName})` : ''}`,
+      `- **Status:** ${doc.status}`,
+      `- **Created:** ${doc.createdAt || 'unknown'}`,
+      `- **Exported:** ${doc.exportedAt}`,
+      `- **Turns:** ${doc.turns}`,
+      `- **Tokens:** ${doc.usage.inputTokens} in / ${doc.usage.outputTokens} out / ${doc.usage.totalTokens} total`,
+    ];
+
+    if (doc.forkedFrom) {
+      lines.push(`- **Forked from:** ${doc.forkedFrom}`);
+    }
+
+    for (const entry of doc.messages) {
+      lines.push('', `## ${ROLE_LABELS[entry.role] || entry.role} · turn ${entry.turn} · ${entry.timestamp}`, '');
+
+      if (entry.content) {
+        lines.push(entry.content);
+      }
+
+      for (const call of entry.toolCalls || []) {
+        lines.push('', `Tool call \`${call.name}\` (${call.callId}):`, '', '```json', call.arguments, '```');
+      }
+
+      for (const result of entry.toolResults || []) {
+        const output = typeof result.output === 'string' ? result.output : JSON.stringify(result.output);
+        lines.push('', `Result for ${result.callId}:`, '', '```', output, '```');
+      }
+    }
+
+    return `${lines.join('\n')}\n`;
+  }
+
+  toCsv(doc) {
+    const rows = doc.messages.map((entry) => [
+      doc.sessionId,
+      doc.leiaId,
+      entry.index,
+      entry.turn,
+      entry.timestamp,
+      entry.role,
+      entry.content,
+      entry.toolCalls ? JSON.stringify(entry.toolCalls) : '',
+      entry.toolResults ? JSON.stringify(entry.toolResults) : '',
+      entry.usage?.model,
+      entry.usage?.inputTokens,
+      entry.usage?.outputTokens,
+      entry.usage?.reasoningTokens,
+      entry.usage?.totalTokens,
+      entry.usage?.latencyMs,
+      entry.usage?.finishReason,
+    ]);
+
+    return [CSV_COLUMNS, ...rows]
+      .map((row) => row.map((value) => this.escapeCsvValue(value)).join(','))
+      .join('\r\n') + '\r\n';
+  }
+
+  // Text that a spreadsheet would run as a formula (=, +, -, @, tab or CR
+  // first) gets a leading quote: student messages end up in these files
+  escapeCsvValue(value) {
+    if (value === undefined || value === null) {
+      return '';
+    }
+
+    let text = String(value);
+    if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) {
+      text = `'${text}`;
+    }
+
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  }
+}
+
+const exportService = new ExportService();
+module.exports = exportService;
@@ -0,0 +1,149 @@
+const crypto = require('crypto');
+const { redisClient } = require('../config/redis');
+const Errors = require('../utils/errors');
+
+/**
+ * Idempotency-Key support for message sends. The first request with a key
+ * claims it (pending marker) and stores its response once it completes; a
+ * retry with the same key gets that response back instead of running a
+ * second LEIA turn.
+ *
+ * Keys are scoped to the session and stored as JSON:
+ *   { state: 'pending' | 'completed', fingerprint, response? }
+ */
+class IdempotencyService {
+  constructor() {
+    this.keyPrefix = 'idempotency:';
+    this.maxKeyLength = 255;
+    this.pendingTtlSeconds = Number.parseInt(process.env.IDEMPOTENCY_PENDING_TTL_SECONDS, 10) || 5 * 60;
+    this.ttlSeconds = Number.parseInt(process.env.IDEMPOTENCY_TTL_SECONDS, 10) || 24 * 60 * 60;
+  }
+
+  getIdempotencyKey(sessionId, key) {
+    return `${this.keyPrefix}${sessionId}:${key}`;
+  }
+
+  /**
+   * Hash of the request body and its uploaded files, so a key reused for a
+   * different request is detected instead of silently replaying an unrelated
+   * reply
+   * @param {Object} body - Request body
+   * @param {Array<Object>} [files] - Uploaded files (multer: fieldname, mimetype, buffer)
+   * @returns {string} SHA-256 hex digest
+   */
+  fingerprint(body, files = []) {
+    const hash = crypto.createHash('sha256').update(JSON.stringify(body ?? {}));
+
+    for (const file of files || []) {
+      hash.update(`\n${file.fieldname}:${file.mimetype}:${file.buffer.length}:`).update(file.buffer);
+    }
+
+    return hash.digest('hex');
+  }
+
+  /**
+   * Claims an idempotency key for a request
+   * @param {string} sessionId - Session ID
+   * @param {string} key - Idempotency-Key header value
+   * @param {Object} body - Request body
+   * @param {Array<Object>} [files] - Uploaded files
+   * @returns {Promise<Object|null>} - The stored response on a replay, null when the request must run
+   * @throws {HttpError} 400 invalid key, 409 original still in progress, 422 key reused with another body or files
+   */
+  async begin(sessionId, key, body, files = []) {
+    if (typeof key !== 'string' || !key.trim() || key.length > this.maxKeyLength) {
+      throw Errors.idempotency.invalidKey(this.maxKeyLength);
+    }
+
+    const redisKey = this.getIdempotencyKey(sessionId, key);
+    const fingerprint = this.fingerprint(body, files);
+
+    const claimed = await redisClient.set(redisKey, JSON.stringify({ state: 'pending', fingerprint }), {
+      NX: true,
+      EX: this.pendingTtlSeconds,
+    });
+
+    if (claimed) {
+      return null;
+    }
+
+    const stored = this.parseRecord(await redisClient.get(redisKey));
+
+    // The record expired between SET NX and GET: claim it again.
+    if (!stored) {
+      return this.begin(sessionId, key, body, files);
+    }
+
+    if (stored.fingerprint !== fingerprint) {
+      throw Errors.idempotency.keyReused(key);
+    }
+
+    if (stored.state !== 'completed') {
+      throw Errors.idempotency.inProgress(key);
+    }
+
+    return stored.response;
+  }
+
+  /**
+   * Stores the response of a request that claimed the key
+   * @param {string} sessionId - Session ID
+   * @param {string} key - Idempotency-Key header value
+   * @param {Object} body - Request body
+   * @param {Object} response - Response sent to the client
+   * @param {Array<Object>} [files] - Uploaded files
+   * @returns {Promise<void>}
+   */
+  async complete(sessionId, key, body, response, files = []) {
+    await redisClient.set(
+      this.getIdempotencyKey(sessionId, key),
+      JSON.stringify({ state: 'completed', fingerprint: this.fingerprint(body, files), response }),
+      { EX: this.ttlSeconds }
+    );
+  }
+
+  /**
+   * Frees the key after a failed request so the client can retry it
+   * @param {string} sessionId - Session ID
+   * @param {string} key - Idempotency-Key header value
+   * @returns {Promise<void>}
+   */
+  async release(sessionId, key) {
+    await redisClient.del(this.getIdempotencyKey(sessionId, key));
+  }
+
+  /**
+   * Deletes every idempotency key of a session, so a session id reused after
+   * a delete or an expiration never replays the replies of the old session
+   * @param {string} sessionId - Session ID
+   * @returns {Promise<void>}
+   */
+  async deleteSessionKeys(sessionId) {
+    // The session id is escaped so glob characters in it match literally
+    const pattern = this.getIdempotencyKey(sessionId.replace(/[*?[\]\\]/g, '\\$&'), '*');
+    const keys = [];
+
+    for await (const key of redisClient.scanIterator({ MATCH: pattern, COUNT: 100 })) {
+      keys.push(key);
+    }
+
+    if (keys.length > 0) {
+      await redisClient.del(keys);
+    }
+  }
+
+  parseRecord(rawRecord) {
+    if (!rawRecord) {
+      return null;
+    }
+
+    try {
+      return JSON.parse(rawRecord);
+    } catch (error) {
+      return null;
+    }
+  }
+}
+
+const idempotencyService = new IdempotencyService();
+module.exports = idempotencyService;
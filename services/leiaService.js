@@ -0,0 +1,372 @@
+const sessionService = require('./sessionService');
+const supervisionService = require('./supervisionService');
+const webhookService = require('./webhookService');
+const runnerToolRegistry = require('../models/runnerToolRegistry');
+const Errors = require('../utils/errors');
+const { buildInstructionsFromLeia } = require('../utils/templateRenderer');
+const { resolveLeiaComposition } = require('../utils/leiaComposition');
+
+/**
+ * Creation of LEIA sessions, shared by the single and the batch endpoints.
+ */
+class LeiaService {
+  constructor() {
+    this.batchConcurrency = Number.parseInt(process.env.LEIA_BATCH_CONCURRENCY, 10) || 10;
+    this.batchMaxItems = Number.parseInt(process.env.LEIA_BATCH_MAX_ITEMS, 10) || 500;
+  }
+
+  /**
+   * Creates a LEIA session: resolves the LEIA composition, renders its
+   * instructions, creates the provider session and stores the LEIA metadata.
+   * @param {Object} options - Creation options
+   * @param {string} options.sessionId - Session ID
+   * @param {Object} options.leia - LEIA definition
+   * @param {Object} [options.runnerConfiguration] - Provider, model, api key, lifetime, limits and runner tools
+   * @param {boolean|Object} [options.openingMessage] - true (or { instruction }) for the LEIA to speak first
+   * @param {Object} [options.supervisorConfig] - Supervisor run by the runner every `everyTurns` student turns
+   * @returns {Promise<Object>} - { created: true, sessionId, provider, templateIssues, openingMessage? }
+   *   or { created: false, sessionId, modelName } when the session already exists
+   * @throws {HttpError} 400 on invalid input or a broken constrainedTo rule,
+   *   409 when another request keeps the session id busy for too long
+   */
+  async createLeia(options) {
+    if (!options?.sessionId || !options.leia) {
+      throw Errors.leia.missingFields();
+    }
+
+    // The session id is claimed under its lock (SET NX) so two concurrent
+    // creations cannot both find it free: the second one waits and then
+    // finds the session created
+    return sessionService.withSessionLock(options.sessionId, () => this.createLeiaLocked(options));
+  }
+
+  async createLeiaLocked({ sessionId, leia: rawLeia, runnerConfiguration: rawRunnerConfiguration, openingMessage, supervisorConfig: rawSupervisorConfig }) {
+    const runnerConfiguration = rawRunnerConfiguration || { provider: 'default' };
+    const opening = this.parseOpeningMessage(openingMessage);
+    const supervisorConfig = supervisionService.parseConfig(rawSupervisorConfig, runnerConfiguration);
+
+    // Check if session already exists (a session past its lifetime is
+    // dropped so its id can be reused)
+    let existingSession = await sessionService.getSession(sessionId);
+    if (existingSession && sessionService.hasExpired(existingSession)) {
+      await sessionService.expireSession(sessionId);
+      existingSession = null;
+    }
+    if (existingSession) {
+      return {
+        created: false,
+        sessionId,
+        modelName: existingSession.modelName
+      };
+    }
+
+    // Session lifetime / idle timeout (Redis expirations) and usage limits,
+    // validated up front
+    const expiration = sessionService.parseExpiration(runnerConfiguration);
+    const limits = sessionService.parseLimits(runnerConfiguration);
+    const runnerTools = this.parseRunnerTools(runnerConfiguration.runnerTools);
+
+    // Apply the problem's extends/overrides to the persona, behaviour and
+    // problem, and reject the LEIA if it breaks a constrainedTo rule (400)
+    const leia = resolveLeiaComposition(rawLeia);
+
+    // Render the behaviour template against the persona, behaviour and
+    // problem of this LEIA to get the final system instruction
+    const { instructions, unknown, missing } = buildInstructionsFromLeia(leia);
+    const templateIssues = unknown.length > 0 || missing.length > 0 ? { unknown, missing } : undefined;
+    if (templateIssues) {
+      console.warn(`Unresolved LEIA placeholders for session ${sessionId}:`, templateIssues);
+    }
+
+    // Determine which model provider to use
+    const { provider, modelName, apiKeyId, apiKeyRequesterId } = runnerConfiguration;
+    // Create session with the specified provider
+    await sessionService.createSession(sessionId, instructions, modelName, provider, apiKeyId, apiKeyRequesterId, expiration, limits);
+
+    // Activity-level toolfunctions gate. Tools are honored only when:
+    //   - the activity's widgets declare at least one tool (stored here), AND
+    //   - the session's current provider implements function tools
+    //     (`supportsTools`, checked on every message so the gate follows
+    //     the session when it is moved to another provider).
+    // luke voice mode goes through a different stack (luke-server) and
+    // is not gated here.
+    //
+    // Widgets now live in the problem definition (authored in the designer)
+    // and ride here inside leia.spec.problem.spec.widgets. We fall back to the
+    // legacy runnerConfiguration.lukeConfig.widgets for LEIAs configured
+    // before the migration (dual-read).
+    const problemWidgets = leia?.spec?.problem?.spec?.widgets;
+    const legacyWidgets = runnerConfiguration?.lukeConfig?.widgets;
+    const widgets = Array.isArray(problemWidgets) && problemWidgets.length > 0
+      ? problemWidgets
+      : (Array.isArray(legacyWidgets) ? legacyWidgets : []);
+
+    // The tool functions the widgets declare become the allowlist that every
+    // turn's tools are checked against. Widgets that declare no tools leave it
+    // empty, and then no client tool reaches the LEIA.
+    const widgetTools = this.parseWidgetTools(widgets);
+    const toolFunctionsEnabled = widgetTools.length > 0;
+
+    // Store leia metadata in Redis for future reference
+    await sessionService.storeLeiaMeta(sessionId, {
+      leiaId: leia.id || sessionId,
+      solution: leia.spec?.problem?.spec?.solution || '',
+      solutionFormat: leia.spec?.problem?.spec?.solutionFormat || 'text',
+      evaluationPrompt: leia.spec?.problem?.spec?.evaluationPrompt || '',
+      toolFunctionsEnabled: toolFunctionsEnabled ? 'true' : 'false',
+      widgetTools: JSON.stringify(widgetTools),
+      // Tools executed by the runner itself (models/runnerTools) and the
+      // problem glossary the glossary tool looks terms up in
+      runnerTools: JSON.stringify(runnerTools),
+      glossary: JSON.stringify(leia.spec?.problem?.spec?.glossary || []),
+      // In-session supervisor (services/supervisionService)
+      supervisorConfig: supervisorConfig ? JSON.stringify(supervisorConfig) : '',
+    });
+
+    // The LEIA opens the conversation. A session whose opening failed is
+    // removed so the creation can simply be retried.
+    let generatedOpening;
+    if (opening) {
+      try {
+        generatedOpening = await sessionService.generateOpeningMessage(sessionId, opening.instruction);
+      } catch (error) {
+        await sessionService.deleteSession(sessionId);
+        throw error;
+      }
+    }
+
+    webhookService.emit('session.created', {
+      sessionId,
+      leiaId: leia.id || sessionId,
+      provider,
+      modelName,
+      openingMessage: generatedOpening?.message,
+    });
+
+    return {
+      created: true,
+      sessionId,
+      provider,
+      templateIssues,
+      openingMessage: generatedOpening
+    };
+  }
+
+  /**
+   * Collects the tool functions declared by the activity widgets. Each widget
+   * lists its tools as an array of { name, enabled, usage, description,
+   * parameters } or as a map { name: { enabled, usage, ... } }; disabled
+   * tools are left out.
+   * @param {Array<Object>} widgets - leia.spec.problem.spec.widgets
+   * @returns {Array<Object>} - [{ name, widget, description?, parameters?, usage? }],
+   *   [] when no widget declares its tools
+   */
+  parseWidgetTools(widgets) {
+    const widgetTools = [];
+
+    for (const widget of widgets) {
+      const declaredTools = widget?.tools ?? widget?.toolFunctions;
+      let tools = [];
+
+      if (Array.isArray(declaredTools)) {
+        tools = declaredTools;
+      } else if (declaredTools && typeof declaredTools === 'object') {
+        tools = Object.entries(declaredTools).map(([name, settings]) => ({ ...settings, name }));
+      }
+
+      for (const tool of tools) {
+        if (typeof tool?.name !== 'string' || tool.enabled === false || widgetTools.some((known) => known.name === tool.name)) {
+          continue;
+        }
+
+        const usage = tool.usage ?? tool.usageNote;
+        widgetTools.push({
+          name: tool.name,
+          widget: widget.id || widget.name || widget.type,
+          description: typeof tool.description === 'string' ? tool.description : undefined,
+          parameters: tool.parameters && typeof tool.parameters === 'object' ? tool.parameters : undefined,
+          usage: typeof usage === 'string' && usage.trim() ? usage.trim() : undefined,
+        });
+      }
+    }
+
+    return widgetTools;
+  }
+
+  /**
+   * Validates runnerConfiguration.runnerTools, the runner-executed tools an
+   * activity opts into (e.g. ['calculator', 'glossary'])
+   * @param {Array<string>} [runnerTools] - Tool names
+   * @returns {Array<string>} - Unique tool names, [] when none
+   * @throws {HttpError} 400 on a malformed list or an unknown tool
+   */
+  parseRunnerTools(runnerTools) {
+    if (runnerTools === undefined || runnerTools === null) {
+      return [];
+    }
+
+    if (!Array.isArray(runnerTools) || runnerTools.some((name) => typeof name !== 'string')) {
+      throw Errors.leia.invalidRunnerTools();
+    }
+
+    const unknown = runnerToolRegistry.findUnknownTools(runnerTools);
+    if (unknown.length > 0) {
+      throw Errors.leia.unknownRunnerTools(unknown, runnerToolRegistry.getToolNames());
+    }
+
+    return [...new Set(runnerTools)];
+  }
+
+  /**
+   * Validates the openingMessage option of createLeia
+   * @param {boolean|Object} [openingMessage] - true, false or { instruction }
+   * @returns {Object|null} - { instruction } when the LEIA must speak first, null otherwise
+   * @throws {HttpError} 400 on an invalid value
+   */
+  parseOpeningMessage(openingMessage) {
+    if (openingMessage === undefined || openingMessage === null || openingMessage === false) {
+      return null;
+    }
+
+    if (openingMessage === true) {
+      return { instruction: undefined };
+    }
+
+    const isObject = typeof openingMessage === 'object' && !Array.isArray(openingMessage);
+    if (!isObject || (openingMessage.instruction !== undefined && typeof openingMessage.instruction !== 'string')) {
+      throw Errors.leia.invalidOpeningMessage();
+    }
+
+    return { instruction: openingMessage.instruction?.trim() || undefined };
+  }
+
+  /**
+   * Expands a batch request into one creation per session. Accepts either
+   * one LEIA for many sessions ({ leia, runnerConfiguration, sessionIds }) or
+   * explicit items ({ items: [{ sessionId, leia?, runnerConfiguration? }] }),
+   * where the top-level leia/runnerConfiguration/openingMessage/supervisorConfig act as defaults.
+   * @param {Object} body - Batch request body
+   * @returns {Array<Object>} - [{ sessionId, leia, runnerConfiguration, openingMessage, supervisorConfig }]
+   * @throws {HttpError} 400 when the batch is empty or too large
+   */
+  expandBatch(body = {}) {
+    const { leia, runnerConfiguration, openingMessage, supervisorConfig, sessionIds, items } = body;
+    let expanded;
+
+    if (Array.isArray(items)) {
+      expanded = items.map((item) => ({
+        sessionId: item?.sessionId,
+        leia: item?.leia || leia,
+        runnerConfiguration: item?.runnerConfiguration || runnerConfiguration,
+        openingMessage: item?.openingMessage ?? openingMessage,
+        supervisorConfig: item?.supervisorConfig ?? supervisorConfig,
+      }));
+    } else if (Array.isArray(sessionIds)) {
+      expanded = sessionIds.map((sessionId) => ({ sessionId, leia, runnerConfiguration, openingMessage, supervisorConfig }));
+    } else {
+      expanded = [];
+    }
+
+    if (expanded.length === 0 || expanded.length > this.batchMaxItems) {
+      throw Errors.leia.invalidBatch(this.batchMaxItems);
+    }
+
+    return expanded;
+  }
+
+  /**
+   * Creates many LEIA sessions concurrently (LEIA_BATCH_CONCURRENCY at a
+   * time). Every item gets its own result; a failing item never aborts the
+   * rest. A session id repeated inside the batch is reported as a conflict.
+   * @param {Object} body - Batch request body (see expandBatch)
+   * @returns {Promise<Object>} - { total, created, conflicts, failed, results }
+   */
+  async createLeiaBatch(body) {
+    const items = this.expandBatch(body);
+    const seenSessionIds = new Set();
+
+    // Each distinct provider / model / API key is resolved once for the whole
+    // batch, so a key the Designer rejects is not requested again for every
+    // session that uses it
+    const models = new Map();
+    const resolveModel = (runnerConfiguration = { provider: 'default' }) => {
+      const { provider, modelName, apiKeyId, apiKeyRequesterId } = runnerConfiguration;
+      const token = JSON.stringify([provider, modelName, apiKeyId, apiKeyRequesterId]);
+      if (!models.has(token)) {
+        models.set(token, sessionService.getModelForSession(runnerConfiguration));
+      }
+      return models.get(token);
+    };
+
+    const results = await mapWithConcurrency(items, this.batchConcurrency, async (item) => {
+      if (item.sessionId && seenSessionIds.has(item.sessionId)) {
+        return { sessionId: item.sessionId, status: 409, created: false, error: 'Duplicated sessionId in batch' };
+      }
+      seenSessionIds.add(item.sessionId);
+
+      try {
+        await resolveModel(item.runnerConfiguration);
+        const result = await this.createLeia(item);
+
+        if (!result.created) {
+          return {
+            sessionId: item.sessionId,
+            status: 409,
+            created: false,
+            error: `Session with ID: ${item.sessionId} already exists`,
+            modelName: result.modelName
+          };
+        }
+
+        return {
+          sessionId: item.sessionId,
+          status: 201,
+          created: true,
+          provider: result.provider,
+          templateIssues: result.templateIssues,
+          openingMessage: result.openingMessage
+        };
+      } catch (error) {
+        if (!error.expose) {
+          console.error(`Error creating LEIA ${item.sessionId} in batch:`, error);
+        }
+        return {
+          sessionId: item.sessionId,
+          status: error.expose ? error.status : 500,
+          created: false,
+          error: error.expose ? error.message : 'Internal error creating LEIA',
+          violations: error.violations
+        };
+      }
+    });
+
+    return {
+      total: results.length,
+      created: results.filter((result) => result.status === 201).length,
+      conflicts: results.filter((result) => result.status === 409).length,
+      failed: results.filter((result) => result.status !== 201 && result.status !== 409).length,
+      results
+    };
+  }
+}
+
+// Runs `worker` over `items` with at most `limit` calls in flight, keeping
+// the results in input order.
+async function mapWithConcurrency(items, limit, worker) {
+  const results = new Array(items.length);
+  let next = 0;
+
+  const run = async () => {
+    while (next < items.length) {
+      const index = next;
+      next += 1;
+      results[index] = await worker(items[index], index);
+    }
+  };
+
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, run));
+  return results;
+}
+
+const leiaService = new LeiaService();
+module.exports = leiaService;
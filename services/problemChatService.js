@@ -1,6 +1,7 @@
 const { OpenAI, toFile } = require('openai');
 const { redisClient } = require('../config/redis');
 const apiKeyService = require('./apiKeyService');
+const { validateToolCalls, buildCorrections, maxRetries: toolArgumentsMaxRetries } = require('../utils/toolArguments');
 
 // Same tool wire-format as the LEIA message flow: the FE sends tools as
 // { name, description, parameters }; we return { toolCalls:[{callId,name,arguments}] }
@@ -36,6 +37,14 @@ function extractToolCalls(response) {
   return calls;
 }
 
+function toFunctionCallOutputs(toolResults) {
+  return toolResults.map((r) => ({
+    type: 'function_call_output',
+    call_id: r.callId,
+    output: typeof r.output === 'string' ? r.output : JSON.stringify(r.output ?? null),
+  }));
+}
+
 function extractResponseText(response) {
   if (typeof response?.output_text === 'string' && response.output_text.trim()) {
     return response.output_text.trim();
@@ -58,7 +67,7 @@ const TTL_SECONDS = 6 * 60 * 60; // 6h — design-time assistant, ephemeral.
 // apply_persona); here we only describe how/when to use them.
 const SYSTEM_PROMPT = [
   'You help an instructor design a whole LEIA for an educational platform where students practice by interacting with an AI that simulates a real-world scenario. A LEIA is made of three resources: a PROBLEM (the scenario/task the student works on), a BEHAVIOUR (the role the AI plays opposite the student) and a PERSONA (the character the AI embodies).',
-  'A LEIA problem spec has: description, personaBackground, details, solution, initialSolution, solutionFormat (one of: text, mermaid, yaml, markdown, html, json, xml), evaluationPrompt, process, the advanced composition fields extends/overrides/constrainedTo, and optionally widgets (interactive tools the activity uses).',
+  'A LEIA problem spec has: description, personaBackground, details, solution, initialSolution, solutionFormat (one of: text, mermaid, yaml, markdown, html, json, xml), evaluationPrompt, process, the advanced composition fields extends/overrides/constrainedTo, and optionally widgets (interactive tools the activity uses) and glossary ([{ term, definition }], the domain terms the LEIA can look up with its glossary tool).',
   'A behaviour spec has: description (how the AI acts, what it knows/withholds), role, process[], tooltip. A persona spec has: fullName, firstName, description, personality, and pronouns (subjectPronoum/objectPronoum/possesivePronoum/possesiveAdjective).',
   'Tools, provided by the editor (call get_current_* before modifying an existing resource):',
   '- get_current_problem() / apply_problem(spec): read / write the problem.',
@@ -145,11 +154,7 @@ class ProblemChatService {
     let input;
     const hasToolResults = Array.isArray(toolResults) && toolResults.length > 0;
     if (hasToolResults) {
-      input = toolResults.map((r) => ({
-        type: 'function_call_output',
-        call_id: r.callId,
-        output: typeof r.output === 'string' ? r.output : JSON.stringify(r.output ?? null),
-      }));
+      input = toFunctionCallOutputs(toolResults);
     } else {
       const content = [];
       // Attach any uploaded PDFs not yet sent in this conversation (each once).
@@ -172,15 +177,38 @@ class ProblemChatService {
     if (session.responseId) payload.previous_response_id = session.responseId;
     if (normalizedTools) payload.tools = normalizedTools;
 
-    const response = await client.responses.create(payload);
+    let response = await client.responses.create(payload);
     if (response?.error) {
       throw new Error(response.error.message || 'OpenAI response error');
     }
 
+    // Tool calls whose arguments do not match the tool's schema would break
+    // the editor: they go back to the model as errors so it calls again.
+    let toolCalls = extractToolCalls(response);
+    for (let retries = 0; ; retries += 1) {
+      const invalidCalls = validateToolCalls(toolCalls, normalizedTools || []);
+      if (invalidCalls.length === 0) break;
+
+      if (retries >= toolArgumentsMaxRetries) {
+        const error = new Error(`The assistant kept calling tools with invalid arguments: ${invalidCalls.map((call) => call.name).join(', ')}`);
+        error.statusCode = 502;
+        throw error;
+      }
+
+      response = await client.responses.create({
+        ...payload,
+        input: toFunctionCallOutputs(buildCorrections(toolCalls, invalidCalls)),
+        previous_response_id: response.id,
+      });
+      if (response?.error) {
+        throw new Error(response.error.message || 'OpenAI response error');
+      }
+      toolCalls = extractToolCalls(response);
+    }
+
     session.responseId = response.id || session.responseId;
     await this._set(chatId, session);
 
-    const toolCalls = extractToolCalls(response);
     if (toolCalls.length > 0) {
       return { toolCalls, responseId: response.id };
     }
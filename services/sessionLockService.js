@@ -0,0 +1,120 @@
+const crypto = require('crypto');
+const { AsyncLocalStorage } = require('async_hooks');
+const { redisClient } = require('../config/redis');
+const Errors = require('../utils/errors');
+
+// Only the holder (same token) may release or extend a lock.
+const RELEASE_SCRIPT = `
+if redis.call('GET', KEYS[1]) == ARGV[1] then
+  return redis.call('DEL', KEYS[1])
+end
+return 0`;
+
+const EXTEND_SCRIPT = `
+if redis.call('GET', KEYS[1]) == ARGV[1] then
+  return redis.call('PEXPIRE', KEYS[1], ARGV[2])
+end
+return 0`;
+
+/**
+ * Redis-backed per-session mutex. Everything that reads and rewrites a
+ * session's providerState / transcript (message turns, undo, runner switch)
+ * runs inside withLock, so concurrent requests on the same session are
+ * processed one after the other instead of interleaving. Works across runner
+ * instances since the lock lives in Redis.
+ *
+ * The lock expires on its own (SESSION_LOCK_TTL_MS) if its holder dies, and
+ * is extended while the holder is still working. Waiters poll until
+ * SESSION_LOCK_WAIT_MS and then give up with a 409.
+ */
+class SessionLockService {
+  constructor() {
+    this.keyPrefix = 'lock:session:';
+    this.ttlMs = Number.parseInt(process.env.SESSION_LOCK_TTL_MS, 10) || 30 * 1000;
+    this.waitMs = Number.parseInt(process.env.SESSION_LOCK_WAIT_MS, 10) || 60 * 1000;
+    this.retryDelayMs = 50;
+    this.maxRetryDelayMs = 500;
+    // Session ids locked by the current async call chain (re-entrancy)
+    this.heldLocks = new AsyncLocalStorage();
+  }
+
+  getLockKey(sessionId) {
+    return `${this.keyPrefix}${sessionId}`;
+  }
+
+  /**
+   * Runs `fn` holding the session lock. Nested calls for a session already
+   * locked by the same call chain run straight away.
+   * @param {string} sessionId - Session ID
+   * @param {Function} fn - Async work to serialize
+   * @returns {Promise<*>} - Whatever fn returns
+   * @throws {HttpError} 409 when the lock could not be acquired in time
+   */
+  async withLock(sessionId, fn) {
+    const held = this.heldLocks.getStore();
+    if (held?.has(sessionId)) {
+      return fn();
+    }
+
+    const token = await this.acquire(sessionId);
+    const renewal = setInterval(() => {
+      this.extend(sessionId, token).catch((error) => {
+        console.warn(`Could not extend lock of session ${sessionId}:`, error.message);
+      });
+    }, Math.max(Math.floor(this.ttlMs / 3), 1));
+    renewal.unref?.();
+
+    try {
+      return await this.heldLocks.run(new Set([...(held || []), sessionId]), fn);
+    } finally {
+      clearInterval(renewal);
+      await this.release(sessionId, token).catch((error) => {
+        console.warn(`Could not release lock of session ${sessionId}:`, error.message);
+      });
+    }
+  }
+
+  /**
+   * Waits for the session lock
+   * @param {string} sessionId - Session ID
+   * @returns {Promise<string>} - Token identifying this holder
+   * @throws {HttpError} 409 after SESSION_LOCK_WAIT_MS
+   */
+  async acquire(sessionId) {
+    const token = crypto.randomUUID();
+    const deadline = Date.now() + this.waitMs;
+    let delay = this.retryDelayMs;
+
+    for (;;) {
+      const acquired = await redisClient.set(this.getLockKey(sessionId), token, { NX: true, PX: this.ttlMs });
+
+      if (acquired) {
+        return token;
+      }
+
+      if (Date.now() + delay > deadline) {
+        throw Errors.session.busy(sessionId);
+      }
+
+      await new Promise((resolve) => setTimeout(resolve, delay));
+      delay = Math.min(delay * 2, this.maxRetryDelayMs);
+    }
+  }
+
+  async extend(sessionId, token) {
+    return redisClient.eval(EXTEND_SCRIPT, {
+      keys: [this.getLockKey(sessionId)],
+      arguments: [token, String(this.ttlMs)],
+    });
+  }
+
+  async release(sessionId, token) {
+    return redisClient.eval(RELEASE_SCRIPT, {
+      keys: [this.getLockKey(sessionId)],
+      arguments: [token],
+    });
+  }
+}
+
+const sessionLockService = new SessionLockService();
+module.exports = sessionLockService;
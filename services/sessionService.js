@@ -1,10 +1,51 @@
 const { redisClient } = require('../config/redis');
 const modelManager = require('../models/modelManager');
+const runnerToolRegistry = require('../models/runnerToolRegistry');
+const transcriptService = require('./transcriptService');
+const sessionLockService = require('./sessionLockService');
+const idempotencyService = require('./idempotencyService');
+const supervisionService = require('./supervisionService');
+const webhookService = require('./webhookService');
+const { ConversationStore } = require('../models/conversationStore');
+const ProviderState = require('../models/providerState');
+const { describeImageAttachments } = require('../utils/imageAttachments');
+const { validateToolCalls, buildCorrections, maxRetries: toolArgumentsMaxRetries } = require('../utils/toolArguments');
+const Errors = require('../utils/errors');
+const Prompts = require('../utils/prompts');
+
+// Lifecycle of a session: students only talk to the LEIA while it is active.
+// A submitted solution or a closed activity locks the conversation until an
+// instructor reopens it.
+const SESSION_STATUS_TRANSITIONS = {
+  active: ['submitted', 'closed'],
+  submitted: ['active', 'closed'],
+  closed: ['active'],
+};
 
 class SessionService {
   constructor() {
     this.keyPrefix = 'session:';
     this.leiaMetaPrefix = 'leia:meta:';
+    this.expiredPrefix = 'expired:session:';
+    this.conversationStore = new ConversationStore();
+    this.expiredRetentionSeconds = Number.parseInt(process.env.SESSION_EXPIRED_RETENTION_SECONDS, 10) || 7 * 24 * 60 * 60;
+  }
+
+  /**
+   * Lists every Redis key that holds state for a session. The idempotency
+   * keys (one per Idempotency-Key, see idempotencyService.deleteSessionKeys)
+   * are not known up front and are deleted on their own.
+   * @param {string} sessionId - Session ID
+   * @returns {Array<string>} Redis keys
+   */
+  getSessionKeys(sessionId) {
+    return [
+      `${this.keyPrefix}${sessionId}`,
+      `${this.leiaMetaPrefix}${sessionId}`,
+      this.conversationStore.getConversationKey(sessionId),
+      transcriptService.getTranscriptKey(sessionId),
+      supervisionService.getObservationsKey(sessionId),
+    ];
   }
 
   serializeSessionData(sessionData) {
@@ -64,8 +105,340 @@ class SessionService {
     return mergedSessionData;
   }
 
+  /**
+   * Resolves the session lifetime and idle timeout from the runner
+   * configuration, falling back to the deployment defaults
+   * @param {Object} runnerConfiguration - runnerConfiguration sent on createLeia
+   * @returns {{sessionTtlSeconds: number|null, idleTimeoutSeconds: number|null}}
+   * @throws {HttpError} 400 when a value is not a positive number
+   */
+  parseExpiration(runnerConfiguration = {}) {
+    const parseSeconds = (field, value) => {
+      if (value === undefined || value === null || value === '') {
+        return null;
+      }
+
+      const seconds = Number(value);
+      if (!Number.isFinite(seconds) || seconds <= 0) {
+        throw Errors.session.invalidExpiration(field);
+      }
+
+      return Math.ceil(seconds);
+    };
+
+    return {
+      sessionTtlSeconds: parseSeconds(
+        'sessionTtlSeconds',
+        runnerConfiguration.sessionTtlSeconds ?? process.env.SESSION_DEFAULT_TTL_SECONDS
+      ),
+      idleTimeoutSeconds: parseSeconds(
+        'idleTimeoutSeconds',
+        runnerConfiguration.idleTimeoutSeconds ?? process.env.SESSION_DEFAULT_IDLE_TIMEOUT_SECONDS
+      ),
+    };
+  }
+
+  /**
+   * Resolves the usage limits of a session from runnerConfiguration.limits.
+   * They protect the instructor's (BYOK) credits from a single student.
+   * @param {Object} runnerConfiguration - runnerConfiguration sent on createLeia
+   * @returns {{maxTurns: number|null, maxTotalTokens: number|null, maxMessageChars: number|null}} - null = unlimited
+   * @throws {HttpError} 400 when a limit is not a positive integer
+   */
+  parseLimits(runnerConfiguration = {}) {
+    const limits = runnerConfiguration.limits ?? {};
+
+    if (typeof limits !== 'object' || Array.isArray(limits)) {
+      throw Errors.session.invalidLimit('limits');
+    }
+
+    const parseLimit = (field) => {
+      const value = limits[field];
+      if (value === undefined || value === null || value === '') {
+        return null;
+      }
+
+      const limit = Number(value);
+      if (!Number.isInteger(limit) || limit <= 0) {
+        throw Errors.session.invalidLimit(`limits.${field}`);
+      }
+
+      return limit;
+    };
+
+    return {
+      maxTurns: parseLimit('maxTurns'),
+      maxTotalTokens: parseLimit('maxTotalTokens'),
+      maxMessageChars: parseLimit('maxMessageChars'),
+    };
+  }
+
+  /**
+   * Usage limits stored in a session
+   * @param {Object} sessionData - Stored session data
+   * @returns {{maxTurns: number|null, maxTotalTokens: number|null, maxMessageChars: number|null}}
+   */
+  getLimits(sessionData) {
+    const toLimit = (value) => (Number(value) > 0 ? Number(value) : null);
+
+    return {
+      maxTurns: toLimit(sessionData?.maxTurns),
+      maxTotalTokens: toLimit(sessionData?.maxTotalTokens),
+      maxMessageChars: toLimit(sessionData?.maxMessageChars),
+    };
+  }
+
+  /**
+   * Budget of a session: for every configured limit, how much has been used
+   * and how much is left
+   * @param {Object} sessionData - Stored session data
+   * @returns {Object|null} - { turns?, tokens?, messageChars? }, null when the session has no limits
+   */
+  getQuota(sessionData) {
+    const { maxTurns, maxTotalTokens, maxMessageChars } = this.getLimits(sessionData);
+    const quota = {};
+
+    const budget = (limit, used) => ({ limit, used, remaining: Math.max(limit - used, 0) });
+
+    if (maxTurns) {
+      quota.turns = budget(maxTurns, Number(sessionData.turnsUsed) || 0);
+    }
+
+    if (maxTotalTokens) {
+      quota.tokens = budget(maxTotalTokens, Number(sessionData.tokensUsed) || 0);
+    }
+
+    if (maxMessageChars) {
+      quota.messageChars = { limit: maxMessageChars };
+    }
+
+    return Object.keys(quota).length > 0 ? quota : null;
+  }
+
+  /**
+   * Rejects a turn that would go over the session limits. Tool-result rounds
+   * are not student turns but still spend tokens.
+   * @param {Object} sessionData - Stored session data
+   * @param {string} message - Student message
+   * @param {boolean} isStudentTurn - false for tool-result rounds
+   * @throws {HttpError} 413 when the message is too long, 429 when the turns or tokens are used up
+   */
+  enforceLimits(sessionData, message, isStudentTurn) {
+    const quota = this.getQuota(sessionData);
+
+    if (!quota) {
+      return;
+    }
+
+    if (isStudentTurn && quota.messageChars && String(message ?? '').length > quota.messageChars.limit) {
+      throw Errors.session.messageTooLong(quota.messageChars.limit, quota);
+    }
+
+    if (isStudentTurn && quota.turns && quota.turns.remaining === 0) {
+      throw Errors.session.turnLimitReached(quota);
+    }
+
+    if (quota.tokens && quota.tokens.remaining === 0) {
+      throw Errors.session.tokenLimitReached(quota);
+    }
+  }
+
+  /**
+   * Seconds the session keys should live from now: the remaining lifetime or
+   * the idle timeout, whichever comes first
+   * @param {Object} sessionData - Stored session data
+   * @returns {number|null} - null when the session never expires
+   */
+  getRemainingTtl(sessionData) {
+    const candidates = [];
+    const expiresAt = Number(sessionData?.expiresAt);
+    const idleTimeoutSeconds = Number(sessionData?.idleTimeoutSeconds);
+
+    if (expiresAt > 0) {
+      candidates.push(Math.ceil((expiresAt - Date.now()) / 1000));
+    }
+
+    if (idleTimeoutSeconds > 0) {
+      candidates.push(idleTimeoutSeconds);
+    }
+
+    return candidates.length > 0 ? Math.min(...candidates) : null;
+  }
+
+  hasExpired(sessionData) {
+    const expiresAt = Number(sessionData?.expiresAt);
+    return expiresAt > 0 && expiresAt <= Date.now();
+  }
+
+  /**
+   * Applies (or refreshes) the Redis expiration of every key of the session.
+   * Also leaves a tombstone that outlives the session so that, once Redis
+   * drops the keys, the session is reported as expired instead of unknown.
+   * @param {string} sessionId - Session ID
+   * @param {Object} [sessionData] - Stored session data (read when omitted)
+   * @returns {Promise<void>}
+   */
+  async refreshExpiration(sessionId, sessionData) {
+    const currentSessionData = sessionData || await this.getSession(sessionId);
+    const ttl = this.getRemainingTtl(currentSessionData);
+
+    if (ttl === null) {
+      return;
+    }
+
+    if (ttl <= 0) {
+      await this.expireSession(sessionId);
+      return;
+    }
+
+    await Promise.all(this.getSessionKeys(sessionId).map((key) => redisClient.expire(key, ttl)));
+    await redisClient.set(`${this.expiredPrefix}${sessionId}`, new Date(Date.now() + ttl * 1000).toISOString(), {
+      EX: ttl + this.expiredRetentionSeconds,
+    });
+  }
+
+  /**
+   * Drops the session keys right away, keeping the expiration tombstone
+   * @param {string} sessionId - Session ID
+   * @returns {Promise<void>}
+   */
+  async expireSession(sessionId) {
+    await redisClient.del(this.getSessionKeys(sessionId));
+    await idempotencyService.deleteSessionKeys(sessionId);
+    await redisClient.set(`${this.expiredPrefix}${sessionId}`, new Date().toISOString(), {
+      EX: this.expiredRetentionSeconds,
+    });
+  }
+
+  async isSessionExpired(sessionId) {
+    return (await redisClient.exists(`${this.expiredPrefix}${sessionId}`)) === 1;
+  }
+
+  /**
+   * Gets a live session or fails with the right HTTP error
+   * @param {string} sessionId - Session ID
+   * @returns {Promise<Object>} - Session data
+   * @throws {HttpError} 410 when the session expired, 404 when it never existed
+   */
+  async requireSession(sessionId) {
+    const sessionData = await this.getSession(sessionId);
+
+    if (sessionData && !this.hasExpired(sessionData)) {
+      return sessionData;
+    }
+
+    if (sessionData) {
+      await this.expireSession(sessionId);
+    }
+
+    if (await this.isSessionExpired(sessionId)) {
+      throw Errors.session.expired(sessionId);
+    }
+
+    throw Errors.session.notFound(sessionId);
+  }
+
+  /**
+   * Lifecycle status of a session (sessions created before statuses existed
+   * are active)
+   * @param {Object} sessionData - Stored session data
+   * @returns {string} active, submitted or closed
+   */
+  getStatus(sessionData) {
+    return sessionData?.status || 'active';
+  }
+
+  /**
+   * Rejects changes to the conversation of a session that is not active
+   * @param {string} sessionId - Session ID
+   * @param {Object} sessionData - Stored session data
+   * @throws {HttpError} 409 when the session was submitted or closed
+   */
+  ensureActive(sessionId, sessionData) {
+    const status = this.getStatus(sessionData);
+
+    if (status !== 'active') {
+      throw Errors.session.notActive(sessionId, status);
+    }
+  }
+
+  /**
+   * Moves a session to another lifecycle status (submit, close, reopen)
+   * @param {string} sessionId - Session ID
+   * @param {string} status - active, submitted or closed
+   * @param {Object} [options] - { from }: only change it while the session is
+   *   still in that status (compare-and-set, checked under the session lock)
+   * @returns {Promise<Object|null>} - Updated session data, null when `from` no longer matches
+   * @throws {HttpError} 400 on an unknown status, 409 when the transition is not allowed
+   */
+  async setStatus(sessionId, status, { from } = {}) {
+    if (!Object.prototype.hasOwnProperty.call(SESSION_STATUS_TRANSITIONS, status)) {
+      throw Errors.session.invalidStatus(Object.keys(SESSION_STATUS_TRANSITIONS));
+    }
+
+    return this.withSessionLock(sessionId, async () => {
+      const sessionData = await this.requireSession(sessionId);
+      const currentStatus = this.getStatus(sessionData);
+
+      if (from !== undefined && currentStatus !== from) {
+        return null;
+      }
+
+      if (!SESSION_STATUS_TRANSITIONS[currentStatus].includes(status)) {
+        throw Errors.session.invalidStatusTransition(sessionId, currentStatus, status);
+      }
+
+      const updatedSessionData = await this.updateSession(sessionId, {
+        status,
+        statusChangedAt: Date.now(),
+      });
+      await this.refreshExpiration(sessionId, updatedSessionData);
+
+      return updatedSessionData;
+    });
+  }
+
+  /**
+   * Runs `fn` while holding the session's lock, so it does not interleave
+   * with other turns, undos or runner switches of the same session. Nested
+   * calls from inside `fn` (e.g. undo + resend) reuse the lock.
+   * @param {string} sessionId - Session ID
+   * @param {Function} fn - Async work to serialize
+   * @returns {Promise<*>} - Whatever fn returns
+   * @throws {HttpError} 409 when the session stays busy for too long
+   */
+  async withSessionLock(sessionId, fn) {
+    return sessionLockService.withLock(sessionId, fn);
+  }
+
+  /**
+   * Fork, undo/regenerate, the opening message and runner switches rebuild
+   * the provider context from the transcript. Checked before any state is
+   * touched, so a provider that cannot do it answers 400 instead of failing
+   * halfway through.
+   * @param {Object} model - Provider model
+   * @param {string} provider - Provider name (for the error)
+   * @throws {HttpError} 400 when the provider does not implement restoreHistory
+   */
+  ensureHistoryRestore(model, provider) {
+    if (typeof model?.restoreHistory !== 'function' || model.supportsHistoryRestore === false) {
+      throw Errors.session.historyRestoreNotSupported(provider);
+    }
+  }
+
+  /**
+   * Resolves the model instance a stored session talks to (BYOK: resolved
+   * by provider + api key)
+   * @param {Object} sessionData - Stored session data
+   * @returns {Promise<Object>} Provider model
+   */
+  async getModelForSession(sessionData) {
+    const sessionModelToken = `${sessionData.provider}:${sessionData.modelName}:${sessionData.apiKeyId}`;
+    return modelManager.getModel(sessionData.provider, sessionData.apiKeyId, sessionData.apiKeyRequesterId, sessionModelToken);
+  }
+
   // Darle caña aqui
-  async createSession(sessionId, prompt, modelName, provider, apiKeyId, apiKeyRequesterId) {
+  async createSession(sessionId, prompt, modelName, provider, apiKeyId, apiKeyRequesterId, expiration = {}, limits = {}) {
     try {
       // Get the model
        //"provider,keyId" //no singleton quiza es mejor modelname:apiKeyId,
@@ -87,13 +460,34 @@ class SessionService {
         apiKeyRequesterId: apiKeyRequesterId,
         threadId: sessionDetails.threadId ?? '',
         providerState: sessionDetails.providerState ?? '',
+        status: 'active',
         createdAt: Date.now()
       };
 
+      if (expiration.sessionTtlSeconds) {
+        sessionData.expiresAt = sessionData.createdAt + expiration.sessionTtlSeconds * 1000;
+      }
+
+      if (expiration.idleTimeoutSeconds) {
+        sessionData.idleTimeoutSeconds = expiration.idleTimeoutSeconds;
+      }
+
+      // Usage limits and their counters (see enforceLimits)
+      for (const [field, limit] of Object.entries(limits)) {
+        if (limit) {
+          sessionData[field] = limit;
+        }
+      }
+      sessionData.turnsUsed = 0;
+      sessionData.tokensUsed = 0;
+
+      // A new session may reuse the id of an expired one.
+      await redisClient.del(`${this.expiredPrefix}${sessionId}`);
       await redisClient.hSet(
         `${this.keyPrefix}${sessionId}`,
         this.serializeSessionData(sessionData)
       );
+      await this.refreshExpiration(sessionId, sessionData);
       return sessionData;
     } catch (error) {
       console.error(`Error creating session ${sessionId}:`, error);
@@ -112,48 +506,750 @@ class SessionService {
     }
   }
 
-  async sendMessage(sessionId, message, options = {}) {
+  /**
+   * Ends a session: best-effort deletes the provider's remote state
+   * (OpenAI conversation, Gemini interaction chain...) and removes every
+   * runner key of the session. It waits for a turn in progress, which would
+   * otherwise write its transcript and usage back after the keys are gone.
+   * @param {string} sessionId - Session ID
+   * @returns {Promise<boolean>} - false when the session does not exist
+   */
+  async deleteSession(sessionId) {
+    return this.withSessionLock(sessionId, () => this.deleteSessionLocked(sessionId));
+  }
+
+  async deleteSessionLocked(sessionId) {
     try {
-      // Get the session
       const sessionData = await this.getSession(sessionId);
 
       if (!sessionData) {
-        return null; // Return null instead of throwing an error
+        return false;
+      }
+
+      try {
+        const model = await this.getModelForSession(sessionData);
+        await model.deleteSession({ sessionId, sessionData });
+      } catch (error) {
+        // Remote cleanup must never keep the runner state alive.
+        console.warn(`Could not delete remote provider state for session ${sessionId}:`, error.message);
+      }
+
+      await redisClient.del([...this.getSessionKeys(sessionId), `${this.expiredPrefix}${sessionId}`]);
+      await idempotencyService.deleteSessionKeys(sessionId);
+      return true;
+    } catch (error) {
+      console.error(`Error deleting session ${sessionId}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Creates a new session whose history is the source conversation up to
+   * (not including) the given student turn, with the same provider, model,
+   * api key, lifetime and LEIA metadata. The provider context is rebuilt
+   * from the runner transcript, so it does not depend on the source's remote
+   * state.
+   * @param {string} sourceSessionId - Session to fork
+   * @param {Object} options - Fork options
+   * @param {number} options.turn - First student turn NOT copied (1..last turn + 1)
+   * @param {string} options.newSessionId - ID of the new session
+   * @returns {Promise<Object>} - { sessionData, entries } of the new session
+   * @throws {HttpError} 400 on an invalid turn, 409 if newSessionId is taken
+   */
+  async forkSession(sourceSessionId, { turn, newSessionId }) {
+    try {
+      // The source is read under its lock, so a turn in progress is either
+      // fully in the snapshot (provider state, transcript, metadata) or not at all
+      const { sourceSessionData, transcript, leiaMeta } = await this.withSessionLock(sourceSessionId, async () => ({
+        sourceSessionData: await this.requireSession(sourceSessionId),
+        transcript: await transcriptService.getTranscript(sourceSessionId),
+        leiaMeta: await this.getLeiaMeta(sourceSessionId),
+      }));
+      const lastTurn = transcript.reduce((max, entry) => Math.max(max, entry.turn), 0);
+
+      if (!Number.isInteger(turn) || turn < 1 || turn > lastTurn + 1) {
+        throw Errors.session.invalidForkTurn(lastTurn + 1);
+      }
+
+      this.ensureHistoryRestore(await this.getModelForSession(sourceSessionData), sourceSessionData.provider);
+
+      let existingSession = await this.getSession(newSessionId);
+      if (existingSession && this.hasExpired(existingSession)) {
+        await this.expireSession(newSessionId);
+        existingSession = null;
+      }
+      if (existingSession) {
+        throw Errors.session.alreadyExists(newSessionId);
+      }
+
+      const expiration = {
+        sessionTtlSeconds: Number(sourceSessionData.expiresAt) > 0
+          ? Math.ceil((Number(sourceSessionData.expiresAt) - Number(sourceSessionData.createdAt)) / 1000)
+          : null,
+        idleTimeoutSeconds: Number(sourceSessionData.idleTimeoutSeconds) || null,
+      };
+
+      const { provider, modelName, apiKeyId, apiKeyRequesterId } = sourceSessionData;
+      const systemInstruction = new ProviderState(sourceSessionData).getSystemInstruction();
+      const sessionData = await this.createSession(
+        newSessionId, systemInstruction, modelName, provider, apiKeyId, apiKeyRequesterId, expiration,
+        this.getLimits(sourceSessionData)
+      );
+
+      const entries = transcript.filter((entry) => entry.turn < turn);
+      let restoredSessionData;
+      try {
+        const model = await this.getModelForSession(sessionData);
+        restoredSessionData = await model.restoreHistory({
+          sessionId: newSessionId,
+          sessionData,
+          history: transcriptService.buildHistory(entries),
+        });
+      } catch (error) {
+        // Do not leave a fork without its history behind.
+        await this.deleteSession(newSessionId);
+        throw error;
+      }
+
+      // The copied turns count against the fork's limits, so forking does
+      // not hand out a fresh budget.
+      const forkedSessionData = await this.updateSession(newSessionId, {
+        ...restoredSessionData,
+        forkedFrom: sourceSessionId,
+        forkedAtTurn: turn,
+        turnsUsed: turn - 1,
+        tokensUsed: entries.reduce((total, entry) => total + (Number(entry.usage?.totalTokens) || 0), 0),
+      });
+
+      if (leiaMeta) {
+        await this.storeLeiaMeta(newSessionId, leiaMeta);
+      }
+
+      await transcriptService.appendEntries(newSessionId, transcriptService.toStoredEntries(entries));
+      await this.refreshExpiration(newSessionId, forkedSessionData);
+
+      return { sessionData: forkedSessionData, entries };
+    } catch (error) {
+      if (!error.expose) {
+        console.error(`Error forking session ${sourceSessionId}:`, error);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Rolls the session back to before its last student turn: the turn is
+   * removed from the transcript and the provider context is rebuilt from what
+   * is left, so the discarded reply no longer conditions the conversation.
+   * The turn is given back to the session's turn budget; its tokens are not,
+   * since the provider already billed them to the API key.
+   * @param {string} sessionId - Session ID
+   * @returns {Promise<Object>} - { sessionData, removedEntries } (removed entries in order)
+   * @throws {HttpError} 409 when the session has no student turn yet or is not active
+   */
+  async rewindLastTurn(sessionId) {
+    return this.withSessionLock(sessionId, () => this.rewindLastTurnLocked(sessionId));
+  }
+
+  async rewindLastTurnLocked(sessionId) {
+    try {
+      const sessionData = await this.requireSession(sessionId);
+      this.ensureActive(sessionId, sessionData);
+      const transcript = await transcriptService.getTranscript(sessionId);
+      const lastUserEntry = transcript.filter((entry) => entry.role === 'user').pop();
+
+      if (!lastUserEntry) {
+        throw Errors.session.noTurnToRewind(sessionId);
+      }
+
+      const keptEntries = transcript.slice(0, lastUserEntry.index);
+      const model = await this.getModelForSession(sessionData);
+      this.ensureHistoryRestore(model, sessionData.provider);
+      const restoredSessionData = await model.restoreHistory({
+        sessionId,
+        sessionData,
+        history: transcriptService.buildHistory(keptEntries),
+      });
+
+      // Pending tool rounds do not survive a rebuilt context
+      const rewoundSessionData = await this.updateSession(sessionId, {
+        ...restoredSessionData,
+        pendingRunnerToolResults: '',
+        turnsUsed: Math.max((Number(sessionData.turnsUsed) || 0) - 1, 0),
+      });
+      await transcriptService.truncateTranscript(sessionId, keptEntries.length);
+      await this.refreshExpiration(sessionId, rewoundSessionData);
+
+      return {
+        sessionData: rewoundSessionData,
+        removedEntries: transcript.slice(lastUserEntry.index),
+      };
+    } catch (error) {
+      if (!error.expose) {
+        console.error(`Error rewinding session ${sessionId}:`, error);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Moves a live session to another provider module, model or api key. The
+   * new provider context is rebuilt from the runner transcript and the
+   * session's runner fields and providerState are rewritten. The previous
+   * provider's remote state is dropped on a best-effort basis (it may be the
+   * reason for the switch).
+   * @param {string} sessionId - Session ID
+   * @param {Object} runner - { provider, modelName, apiKeyId, apiKeyRequesterId }
+   * @returns {Promise<Object>} - Updated session data
+   * @throws {HttpError} 400 when the provider is not available
+   */
+  async switchRunner(sessionId, runner) {
+    return this.withSessionLock(sessionId, () => this.switchRunnerLocked(sessionId, runner));
+  }
+
+  async switchRunnerLocked(sessionId, runner) {
+    try {
+      const sessionData = await this.requireSession(sessionId);
+      const { provider, modelName, apiKeyId, apiKeyRequesterId } = runner;
+
+      if (!provider || (provider !== 'default' && !modelManager.getAvailableModels().includes(provider))) {
+        throw Errors.session.unknownProvider(provider);
+      }
+
+      const resolveProvider = (name) => (!name || name === 'default' ? modelManager.getDefaultModel() : name);
+      const sameProvider = resolveProvider(provider) === resolveProvider(sessionData.provider);
+      const systemInstruction = new ProviderState(sessionData).getSystemInstruction();
+
+      const runnerFields = { provider, modelName, apiKeyId, apiKeyRequesterId };
+      const model = await this.getModelForSession(runnerFields);
+      this.ensureHistoryRestore(model, provider);
+
+      // The same provider module replaces its own previous context in
+      // restoreHistory; a different one starts from a fresh session.
+      const baseSessionData = sameProvider
+        ? sessionData
+        : { ...sessionData, ...(await model.createSession({ instructions: systemInstruction })) };
+
+      const transcript = await transcriptService.getTranscript(sessionId);
+      const restoredSessionData = await model.restoreHistory({
+        sessionId,
+        sessionData: baseSessionData,
+        history: transcriptService.buildHistory(transcript),
+      });
+
+      if (!sameProvider) {
+        try {
+          const previousModel = await this.getModelForSession(sessionData);
+          await previousModel.deleteSession({ sessionId, sessionData });
+        } catch (error) {
+          console.warn(`Could not delete previous provider state for session ${sessionId}:`, error.message);
+        }
       }
 
+      // Fields are written as-is (not merged) so an omitted modelName or key
+      // does not keep pointing at the previous provider's.
+      const switchedSessionData = {
+        ...sessionData,
+        ...runnerFields,
+        threadId: restoredSessionData.threadId ?? '',
+        providerState: restoredSessionData.providerState,
+        pendingRunnerToolResults: '',
+      };
+
+      await redisClient.hSet(
+        `${this.keyPrefix}${sessionId}`,
+        this.serializeSessionData(switchedSessionData)
+      );
+      await this.refreshExpiration(sessionId, switchedSessionData);
+
+      return switchedSessionData;
+    } catch (error) {
+      if (!error.expose) {
+        console.error(`Error switching runner of session ${sessionId}:`, error);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Sends a student message (or tool results) to the session's model. Turns
+   * of the same session are serialized, so the session is read only once the
+   * previous turn has stored its provider state and transcript.
+   * @param {string} sessionId - Session ID
+   * @param {string} message - Student message
+   * @param {Object} [options] - { tools, toolResults, images, onDelta }
+   * @returns {Promise<Object>} - Model response
+   * @throws {HttpError} 404/410 when the session does not exist or has
+   *   expired, 409 when the session stays busy for too long or is
+   *   not active (submitted / closed), 400 when
+   *   images are attached and the session's provider does not accept them,
+   *   413/429 when the message goes over the session limits (see enforceLimits)
+   */
+  async sendMessage(sessionId, message, options = {}) {
+    return this.withSessionLock(sessionId, () => this.sendMessageLocked(sessionId, message, options));
+  }
+
+  async sendMessageLocked(sessionId, message, options = {}) {
+    try {
+      // The session is read again under the lock: it may have been deleted
+      // or have expired while this turn waited for the previous one (404/410)
+      const sessionData = await this.requireSession(sessionId);
+
+      this.ensureActive(sessionId, sessionData);
+
+      const receivedAt = new Date();
+
+      // Get the model for this session (BYOK: resolved by provider + api key).
+      const model = await this.getModelForSession(sessionData);
+
       // Honor the activity-level gate set at createLeia. If the LEIA was
-      // not configured with widgets/toolfunctions, tools coming in on the
-      // request are ignored (and so are toolResults, since they wouldn't
-      // belong to any prior tool call).
+      // not configured with widgets/toolfunctions, or the current provider
+      // does not implement function tools, tools coming in on the request
+      // are ignored (and so are toolResults, since they wouldn't belong to
+      // any prior tool call).
       const leiaMeta = await this.getLeiaMeta(sessionId);
-      const allowTools = leiaMeta?.toolFunctionsEnabled === 'true';
+      const allowTools = leiaMeta?.toolFunctionsEnabled === 'true' && model.supportsTools === true;
 
-      // Get the model for this session (BYOK: resolved by provider + api key).
-      const sessionModelToken = `${sessionData.provider}:${sessionData.modelName}:${sessionData.apiKeyId}`;
-      const model = await modelManager.getModel(sessionData.provider, sessionData.apiKeyId, sessionData.apiKeyRequesterId, sessionModelToken);
+      // Tools the runner executes itself, enabled per activity
+      // (runnerConfiguration.runnerTools). They also need a provider with
+      // function tools, but not widgets.
+      const runnerToolNames = model.supportsTools === true ? this.getRunnerToolNames(leiaMeta) : [];
 
-      // Send the message through the model
-      const response = await model.sendMessage({
+      // Images are never dropped silently: the student expects the LEIA to
+      // see them, so a provider without vision rejects the message.
+      const images = Array.isArray(options.images) && options.images.length > 0 ? options.images : undefined;
+      if (images && model.supportsImages !== true) {
+        throw Errors.session.imagesNotSupported(sessionData.provider);
+      }
+
+      // Outputs of runner tools called alongside frontend tools travel with
+      // the frontend's results (the provider needs every output at once).
+      const clientToolResults = allowTools && Array.isArray(options.toolResults) && options.toolResults.length > 0
+        ? options.toolResults
+        : undefined;
+      const pendingRunnerToolResults = clientToolResults ? this.getPendingRunnerToolResults(sessionData) : [];
+
+      if (clientToolResults) {
+        this.validateToolResults(sessionId, sessionData, clientToolResults, pendingRunnerToolResults);
+      }
+
+      // Client tools go through the widget allowlist before the runner tools
+      // are added, so none reaches the model on the runner tools' coattails
+      const clientTools = allowTools ? this.filterWidgetTools(sessionId, leiaMeta, options.tools) : undefined;
+
+      const messageOptions = {
         sessionId,
         message,
         sessionData,
-        allowTools,
-        tools: allowTools ? options.tools : undefined,
-        toolResults: allowTools ? options.toolResults : undefined,
+        allowTools: allowTools || runnerToolNames.length > 0,
+        tools: this.mergeTools(clientTools, runnerToolRegistry.getDefinitions(runnerToolNames)),
+        toolResults: clientToolResults ? [...clientToolResults, ...pendingRunnerToolResults] : undefined,
+        images,
+      };
+
+      const isStudentTurn = !clientToolResults;
+      this.enforceLimits(sessionData, message, isStudentTurn);
+
+      // Send the message through the model. When the caller asked for a
+      // stream (options.onDelta), text fragments are forwarded as they
+      // arrive; the final response is handled the same way in both cases.
+      const callModel = (callOptions) => (typeof options.onDelta === 'function'
+        ? model.streamMessage({ ...callOptions, onDelta: options.onDelta })
+        : model.sendMessage(callOptions));
+
+      let response = await callModel(messageOptions);
+      let currentSessionData = await this.applyProviderUpdates(sessionId, response, sessionData);
+
+      if (pendingRunnerToolResults.length > 0) {
+        currentSessionData = await this.updateSession(sessionId, { pendingRunnerToolResults: '' });
+      }
+
+      // Tool calls are handled here before anything reaches the client:
+      // calls whose arguments do not match the tool's schema go back to the
+      // model as errors, and runner tool calls are executed and their outputs
+      // sent back, until the model answers with text or frontend tool calls.
+      const runnerRounds = [];
+      const usages = [response?.usage];
+      let clientResponse = response;
+      let runnerToolRounds = 0;
+      let argumentRetries = 0;
+
+      const continueWith = async (toolCalls, toolResults) => {
+        runnerRounds.push(
+          transcriptService.buildEntry('assistant', { toolCalls, usage: response.usage }),
+          transcriptService.buildEntry('tool', { toolResults, executedBy: 'runner' })
+        );
+
+        response = await callModel({
+          ...messageOptions,
+          message: undefined,
+          images: undefined,
+          toolResults,
+          sessionData: currentSessionData,
+        });
+        currentSessionData = await this.applyProviderUpdates(sessionId, response, currentSessionData);
+        usages.push(response?.usage);
+        clientResponse = response;
+      };
+
+      while (Array.isArray(response?.toolCalls) && response.toolCalls.length > 0) {
+        const invalidCalls = validateToolCalls(response.toolCalls, messageOptions.tools);
+
+        if (invalidCalls.length > 0) {
+          if (argumentRetries >= toolArgumentsMaxRetries) {
+            await this.abandonToolRounds(sessionId, model, currentSessionData, usages);
+            throw Errors.session.invalidToolArguments(invalidCalls);
+          }
+
+          argumentRetries += 1;
+          await continueWith(response.toolCalls, buildCorrections(response.toolCalls, invalidCalls));
+          continue;
+        }
+
+        const runnerCalls = response.toolCalls.filter((call) => runnerToolNames.includes(call.name));
+        const frontendCalls = response.toolCalls.filter((call) => !runnerToolNames.includes(call.name));
+
+        if (runnerCalls.length === 0) {
+          break;
+        }
+
+        if (runnerToolRounds >= runnerToolRegistry.maxRounds) {
+          await this.abandonToolRounds(sessionId, model, currentSessionData, usages);
+          throw Errors.session.runnerToolLoop(runnerToolRegistry.maxRounds);
+        }
+
+        runnerToolRounds += 1;
+        const runnerResults = await runnerToolRegistry.executeCalls(runnerCalls, { sessionId, leiaMeta });
+
+        if (frontendCalls.length > 0) {
+          currentSessionData = await this.updateSession(sessionId, { pendingRunnerToolResults: runnerResults });
+          clientResponse = { ...response, toolCalls: frontendCalls };
+          break;
+        }
+
+        await continueWith(runnerCalls, runnerResults);
+      }
+
+      await this.recordTurn(sessionId, messageOptions, response, receivedAt, runnerRounds);
+      // The transcript keeps the usage of each model call; the client gets
+      // the whole turn's, every round included
+      const turnUsage = this.sumUsage(usages);
+      const totalTokens = Number(turnUsage?.totalTokens) || 0;
+      const quota = await this.recordUsage(sessionId, { totalTokens }, isStudentTurn);
+      await this.refreshExpiration(sessionId, currentSessionData);
+
+      // Once the turn has its reply, the in-session supervisor runs in the
+      // background (when due) so the student never waits for it
+      if (!clientResponse.toolCalls?.length) {
+        supervisionService.observeIfDue(sessionId, currentSessionData, leiaMeta);
+      }
+
+      webhookService.emit('message.exchanged', {
+        sessionId,
+        message: isStudentTurn ? message : undefined,
+        toolResults: clientToolResults,
+        reply: clientResponse.message,
+        toolCalls: clientResponse.toolCalls,
+        totalTokens,
       });
 
-      if (response?.sessionData) {
-        await this.updateSession(sessionId, response.sessionData);
-        delete response.sessionData;
+      if (turnUsage) {
+        clientResponse.usage = turnUsage;
+      }
+      if (quota) {
+        clientResponse.quota = quota;
       }
 
-      return response;
+      return clientResponse;
     } catch (error) {
       console.error(`Error sending message in session ${sessionId}:`, error);
       throw error;
     }
   }
 
+  // A turn given up with tool calls still open would leave the provider
+  // conversation waiting for outputs nobody sends, and the next message would
+  // be rejected. The provider context is rebuilt from the transcript (which
+  // never got this turn) and the tokens the abandoned rounds used still count.
+  async abandonToolRounds(sessionId, model, sessionData, usages) {
+    try {
+      const transcript = await transcriptService.getTranscript(sessionId);
+      const restoredSessionData = await model.restoreHistory({
+        sessionId,
+        sessionData,
+        history: transcriptService.buildHistory(transcript),
+      });
+      await this.updateSession(sessionId, { ...restoredSessionData, pendingRunnerToolResults: '' });
+    } catch (error) {
+      console.error(`Could not rebuild the provider context of session ${sessionId}:`, error);
+    }
+
+    await this.recordUsage(sessionId, this.sumUsage(usages), false);
+  }
+
+  /**
+   * Adds up the usage of the model calls of one turn (the student message
+   * plus every tool or correction round). The model and finish reason are
+   * those of the last call; a counter no call reported stays null.
+   * @param {Array<Object|undefined>} usages - Normalized usage of each call
+   * @returns {Object|undefined} - Usage of the turn, undefined when no call reported any
+   */
+  sumUsage(usages) {
+    const reported = usages.filter(Boolean);
+    if (reported.length <= 1) {
+      return reported[0];
+    }
+
+    const total = { ...reported[reported.length - 1] };
+    for (const key of ['inputTokens', 'outputTokens', 'reasoningTokens', 'totalTokens', 'latencyMs']) {
+      const counts = reported.map((usage) => usage[key]).filter((value) => value !== null && Number.isFinite(Number(value)));
+      total[key] = counts.length > 0 ? counts.reduce((sum, value) => sum + Number(value), 0) : null;
+    }
+
+    return total;
+  }
+
+  // Stores the provider state returned with a model response and takes it
+  // off the response (it is never sent to the client).
+  async applyProviderUpdates(sessionId, response, sessionData) {
+    if (!response?.sessionData) {
+      return sessionData;
+    }
+
+    const updatedSessionData = await this.updateSession(sessionId, response.sessionData);
+    delete response.sessionData;
+    return updatedSessionData;
+  }
+
+  /**
+   * Keeps only the client tools the activity's widgets declare
+   * (leia:meta widgetTools), so a tampered client cannot hand the LEIA extra
+   * capabilities. The declared schema and description win over the client's
+   * and the activity's usage note is added to the description. Without an
+   * allowlist (widgets that declare no tools) every client tool is dropped.
+   * @param {string} sessionId - Session ID
+   * @param {Object} leiaMeta - LEIA metadata
+   * @param {Array<Object>} tools - Tools sent by the client
+   * @returns {Array<Object>|undefined} - Allowed tools
+   */
+  filterWidgetTools(sessionId, leiaMeta, tools) {
+    if (!Array.isArray(tools) || tools.length === 0) {
+      return undefined;
+    }
+
+    let widgetTools = [];
+    try {
+      widgetTools = leiaMeta?.widgetTools ? JSON.parse(leiaMeta.widgetTools) : [];
+    } catch (error) {
+      console.warn(`Invalid widgetTools for session ${sessionId}, no client tool is allowed`);
+    }
+
+    const allowedTools = [];
+    const rejectedNames = [];
+
+    for (const tool of tools) {
+      const declared = Array.isArray(widgetTools) ? widgetTools.find((widgetTool) => widgetTool.name === tool?.name) : null;
+
+      if (!declared) {
+        rejectedNames.push(tool?.name);
+        continue;
+      }
+
+      const description = declared.description || tool.description || '';
+      allowedTools.push({
+        ...tool,
+        description: declared.usage ? `${description} Usage in this activity: ${declared.usage}`.trim() : description,
+        parameters: declared.parameters || tool.parameters,
+      });
+    }
+
+    if (rejectedNames.length > 0) {
+      console.warn(`Session ${sessionId} dropped tools not declared by its widgets: ${rejectedNames.join(', ')}`);
+    }
+
+    return allowedTools.length > 0 ? allowedTools : undefined;
+  }
+
+  /**
+   * Checks that toolResults answer exactly the tool calls the LEIA left
+   * pending (providerState.pendingToolCalls), minus those the runner already
+   * answered, so a stale frontend gets a clear 400 instead of a provider error.
+   * @param {string} sessionId - Session ID
+   * @param {Object} sessionData - Session data
+   * @param {Array<Object>} toolResults - toolResults sent by the client
+   * @param {Array<Object>} [runnerToolResults] - Results already produced by runner tools
+   * @throws {HttpError} 409 with no pending calls, 400 on a malformed or mismatching list
+   */
+  validateToolResults(sessionId, sessionData, toolResults, runnerToolResults = []) {
+    const answeredByRunner = new Set(runnerToolResults.map((result) => result.callId));
+    const pendingToolCalls = sessionData.providerState?.pendingToolCalls;
+    const pendingCallIds = (Array.isArray(pendingToolCalls) ? pendingToolCalls : [])
+      .map((call) => call.callId)
+      .filter((callId) => !answeredByRunner.has(callId));
+
+    if (pendingCallIds.length === 0) {
+      throw Errors.session.noPendingToolCalls(sessionId);
+    }
+
+    if (toolResults.some((result) => !result || typeof result !== 'object' || typeof result.callId !== 'string' || !result.callId)) {
+      throw Errors.session.invalidToolResults();
+    }
+
+    const receivedCallIds = new Set();
+    const duplicateCallIds = new Set();
+    for (const { callId } of toolResults) {
+      if (receivedCallIds.has(callId)) {
+        duplicateCallIds.add(callId);
+      }
+      receivedCallIds.add(callId);
+    }
+
+    const unknownCallIds = [...receivedCallIds].filter((callId) => !pendingCallIds.includes(callId));
+    const missingCallIds = pendingCallIds.filter((callId) => !receivedCallIds.has(callId));
+
+    if (unknownCallIds.length > 0 || missingCallIds.length > 0 || duplicateCallIds.size > 0) {
+      throw Errors.session.toolResultsMismatch({
+        unknownCallIds,
+        missingCallIds,
+        duplicateCallIds: [...duplicateCallIds],
+        pendingCallIds,
+      });
+    }
+  }
+
+  getRunnerToolNames(leiaMeta) {
+    try {
+      const names = JSON.parse(leiaMeta?.runnerTools || '[]');
+      return Array.isArray(names) ? names.filter((name) => runnerToolRegistry.has(name)) : [];
+    } catch (error) {
+      return [];
+    }
+  }
+
+  getPendingRunnerToolResults(sessionData) {
+    const pending = sessionData?.pendingRunnerToolResults;
+
+    if (Array.isArray(pending)) {
+      return pending;
+    }
+
+    try {
+      const parsed = JSON.parse(pending || '[]');
+      return Array.isArray(parsed) ? parsed : [];
+    } catch (error) {
+      return [];
+    }
+  }
+
+  // Client (widget) tools plus the runner tools of the activity; a runner
+  // tool wins over a client tool with the same name.
+  mergeTools(clientTools, runnerTools) {
+    const runnerToolNames = new Set(runnerTools.map((tool) => tool.name));
+    const merged = [
+      ...(Array.isArray(clientTools) ? clientTools.filter((tool) => !runnerToolNames.has(tool?.name)) : []),
+      ...runnerTools,
+    ];
+
+    return merged.length > 0 ? merged : undefined;
+  }
+
+  /**
+   * Lets the LEIA speak first. Providers only answer a student turn, so the
+   * opening is generated from an internal request and the provider context
+   * is then rebuilt with the opening alone, leaving no trace of the request.
+   * The opening is stored in the transcript before any student turn.
+   * @param {string} sessionId - Session ID
+   * @param {string} [instruction] - What the opening should do (e.g. greet the student and present the problem)
+   * @returns {Promise<Object>} - { message, usage }
+   */
+  async generateOpeningMessage(sessionId, instruction) {
+    return this.withSessionLock(sessionId, async () => {
+      const sessionData = await this.requireSession(sessionId);
+      const model = await this.getModelForSession(sessionData);
+      this.ensureHistoryRestore(model, sessionData.provider);
+
+      const response = await model.sendMessage({
+        sessionId,
+        message: Prompts.openingMessage(instruction),
+        sessionData,
+        allowTools: false,
+      });
+
+      if (!response?.message) {
+        throw Errors.session.openingMessageFailed(sessionId);
+      }
+
+      const restoredSessionData = await model.restoreHistory({
+        sessionId,
+        sessionData: { ...sessionData, ...response.sessionData },
+        history: [{ role: 'assistant', content: response.message }],
+      });
+      const updatedSessionData = await this.updateSession(sessionId, restoredSessionData);
+
+      await transcriptService.appendEntries(sessionId, [
+        transcriptService.buildEntry('assistant', { content: response.message, usage: response.usage }),
+      ]);
+      await this.recordUsage(sessionId, response.usage, false);
+      await this.refreshExpiration(sessionId, updatedSessionData);
+
+      return { message: response.message, usage: response.usage };
+    });
+  }
+
+  /**
+   * Records a completed turn in the runner-side transcript: the student
+   * message (or the tool results sent back) and the LEIA reply, with the
+   * normalized usage of the model call. Attached images are recorded by type
+   * and size only. Runner tool rounds go between the input and the reply.
+   * @param {string} sessionId - Session ID
+   * @param {Object} messageOptions - Options the model was called with
+   * @param {Object} response - Model response (message or toolCalls)
+   * @param {Date} receivedAt - When the student input arrived
+   * @param {Array<Object>} [runnerRounds] - Transcript entries of runner tool rounds
+   * @returns {Promise<void>}
+   */
+  async recordTurn(sessionId, messageOptions, response, receivedAt, runnerRounds = []) {
+    const { message, toolResults, images } = messageOptions;
+    const inputEntry = Array.isArray(toolResults) && toolResults.length > 0
+      ? transcriptService.buildEntry('tool', {
+        toolResults: toolResults.map((r) => ({ callId: r.callId, output: r.output })),
+      }, receivedAt)
+      : transcriptService.buildEntry('user', {
+        content: message,
+        attachments: images ? describeImageAttachments(images) : undefined,
+      }, receivedAt);
+
+    const replyEntry = transcriptService.buildEntry('assistant', {
+      content: response?.message,
+      toolCalls: response?.toolCalls,
+      usage: response?.usage,
+    });
+
+    await transcriptService.appendEntries(sessionId, [inputEntry, ...runnerRounds, replyEntry]);
+  }
+
+  /**
+   * Adds a completed turn to the session's usage counters
+   * @param {string} sessionId - Session ID
+   * @param {Object} [usage] - Normalized usage of the model call
+   * @param {boolean} isStudentTurn - false for tool-result rounds
+   * @returns {Promise<Object|null>} - Remaining budget (see getQuota)
+   */
+  async recordUsage(sessionId, usage, isStudentTurn) {
+    const key = `${this.keyPrefix}${sessionId}`;
+
+    if (isStudentTurn) {
+      await redisClient.hIncrBy(key, 'turnsUsed', 1);
+    }
+
+    const tokens = Number(usage?.totalTokens) || 0;
+    if (tokens > 0) {
+      await redisClient.hIncrBy(key, 'tokensUsed', tokens);
+    }
+
+    return this.getQuota(await this.getSession(sessionId));
+  }
+
   /**
    * Stores LEIA metadata associated with the session
    * @param {string} sessionId - Session ID
@@ -174,6 +1270,7 @@ class SessionService {
         `${this.leiaMetaPrefix}${sessionId}`,
         redisMetadata
       );
+      await this.refreshExpiration(sessionId);
     } catch (error) {
       console.error(`Error storing LEIA metadata for session ${sessionId}:`, error);
       throw error;
@@ -0,0 +1,250 @@
+const { redisClient } = require('../config/redis');
+const supervisorService = require('./supervisorService');
+const modelManager = require('../models/modelManager');
+const ApiKeyProvider = require('../models/constants');
+const transcriptService = require('./transcriptService');
+const webhookService = require('./webhookService');
+const Errors = require('../utils/errors');
+
+const SENSITIVITIES = ['low', 'medium', 'high'];
+
+/**
+ * In-session supervisor. When a LEIA is created with a supervisorConfig the
+ * runner itself runs supervisorService.observe on the stored transcript every
+ * `everyTurns` student turns, so the workbench does not have to keep a tab
+ * open to send transcript windows.
+ *
+ * Each run is stored as JSON in a Redis list that lives and expires with the
+ * session:
+ *   { turn, observedAt, flags: [{ category, severity, note, quote }], nudge }
+ */
+class SupervisionService {
+  constructor() {
+    this.keyPrefix = 'supervisor:observations:';
+    this.defaultEveryTurns = Number.parseInt(process.env.SUPERVISOR_EVERY_TURNS, 10) || 3;
+    this.defaultWindowTurns = Number.parseInt(process.env.SUPERVISOR_WINDOW_TURNS, 10) || 10;
+    // Observations running in this process, by `${sessionId}:${turn}`
+    this.inFlight = new Set();
+  }
+
+  getObservationsKey(sessionId) {
+    return `${this.keyPrefix}${sessionId}`;
+  }
+
+  /**
+   * Validates the supervisorConfig option of createLeia. The supervisor always
+   * runs on OpenAI, so a LEIA on another provider must name an OpenAI key
+   * (apiKeyId + apiKeyRequesterId) for it.
+   * @param {Object} [supervisorConfig] - { instructions, categories?, sensitivity?, intervene?,
+   *   interveneInstructions?, model?, everyTurns?, windowTurns?, apiKeyId?, apiKeyRequesterId? }
+   * @param {Object} [runnerConfiguration] - Runner configuration of the LEIA (provider)
+   * @returns {Object|null} - Config with everyTurns/windowTurns resolved, null when not given
+   * @throws {HttpError} 400 on an invalid config
+   */
+  parseConfig(supervisorConfig, runnerConfiguration = {}) {
+    if (supervisorConfig === undefined || supervisorConfig === null || supervisorConfig === false) {
+      return null;
+    }
+
+    if (typeof supervisorConfig !== 'object' || Array.isArray(supervisorConfig)) {
+      throw Errors.leia.invalidSupervisorConfig('must be an object');
+    }
+
+    const config = { ...supervisorConfig };
+
+    for (const field of ['everyTurns', 'windowTurns']) {
+      if (config[field] !== undefined && (!Number.isInteger(config[field]) || config[field] <= 0)) {
+        throw Errors.leia.invalidSupervisorConfig(`${field} must be a positive integer`);
+      }
+    }
+
+    if (config.sensitivity !== undefined && !SENSITIVITIES.includes(config.sensitivity)) {
+      throw Errors.leia.invalidSupervisorConfig(`sensitivity must be one of: ${SENSITIVITIES.join(', ')}`);
+    }
+
+    if (config.categories !== undefined
+      && (!Array.isArray(config.categories) || config.categories.some((category) => typeof category !== 'string'))) {
+      throw Errors.leia.invalidSupervisorConfig('categories must be an array of strings');
+    }
+
+    for (const field of ['apiKeyId', 'apiKeyRequesterId']) {
+      if (config[field] !== undefined && (typeof config[field] !== 'string' || !config[field])) {
+        throw Errors.leia.invalidSupervisorConfig(`${field} must be a non-empty string`);
+      }
+    }
+
+    if (!!config.apiKeyId !== !!config.apiKeyRequesterId) {
+      throw Errors.leia.invalidSupervisorConfig('apiKeyId and apiKeyRequesterId go together');
+    }
+
+    if (!config.apiKeyId && modelManager.getApiKeyProviderOf(runnerConfiguration?.provider) !== ApiKeyProvider.OPENAI) {
+      throw Errors.leia.invalidSupervisorConfig(
+        'the supervisor runs on OpenAI: apiKeyId and apiKeyRequesterId of an OpenAI key are required when the LEIA does not run on OpenAI'
+      );
+    }
+
+    config.everyTurns = config.everyTurns || this.defaultEveryTurns;
+    config.windowTurns = config.windowTurns || this.defaultWindowTurns;
+
+    return config;
+  }
+
+  /**
+   * Runs the supervisor when the session just completed a multiple of
+   * `everyTurns` student turns. Meant to be called without awaiting after a
+   * student turn; failures are logged and never reach the student.
+   * @param {string} sessionId - Session ID
+   * @param {Object} sessionData - Session data (api key of the LEIA)
+   * @param {Object} leiaMeta - LEIA metadata (stored supervisorConfig)
+   * @returns {Promise<Object|null>} - The stored observation, or null when it was not due
+   */
+  async observeIfDue(sessionId, sessionData, leiaMeta) {
+    const config = this.getConfig(leiaMeta);
+
+    if (!config) {
+      return null;
+    }
+
+    try {
+      const transcript = await transcriptService.getTranscript(sessionId);
+      const turn = transcript.reduce((max, entry) => Math.max(max, entry.turn || 0), 0);
+
+      if (turn === 0 || turn % config.everyTurns !== 0) {
+        return null;
+      }
+
+      const runnerConfiguration = this.getApiKey(config, sessionData);
+      if (!runnerConfiguration) {
+        console.warn(`Supervisor skipped for session ${sessionId}: it needs an OpenAI key and the LEIA now runs on ${sessionData.provider}`);
+        return null;
+      }
+
+      // Undo + regenerate ends the same turn again: each turn is observed once
+      const claim = `${sessionId}:${turn}`;
+      if (this.inFlight.has(claim)) {
+        return null;
+      }
+
+      this.inFlight.add(claim);
+      try {
+        if ((await this.getObservations(sessionId)).some((observation) => observation.turn === turn)) {
+          return null;
+        }
+
+        return await this.observe(sessionId, runnerConfiguration, config, transcript, turn);
+      } finally {
+        this.inFlight.delete(claim);
+      }
+    } catch (error) {
+      console.error(`Error running the supervisor for session ${sessionId}:`, error);
+      return null;
+    }
+  }
+
+  // The key named in the config, else the LEIA's own key while it is an
+  // OpenAI one (a runner switch may have moved the session elsewhere)
+  getApiKey(config, sessionData) {
+    if (config.apiKeyId) {
+      return { apiKeyId: config.apiKeyId, apiKeyRequesterId: config.apiKeyRequesterId };
+    }
+
+    if (modelManager.getApiKeyProviderOf(sessionData.provider) !== ApiKeyProvider.OPENAI) {
+      return null;
+    }
+
+    return { apiKeyId: sessionData.apiKeyId, apiKeyRequesterId: sessionData.apiKeyRequesterId };
+  }
+
+  async observe(sessionId, runnerConfiguration, config, transcript, turn) {
+    const window = transcript
+      .filter((entry) => entry.turn > turn - config.windowTurns && typeof entry.content === 'string' && entry.content.trim())
+      .filter((entry) => entry.role === 'user' || entry.role === 'assistant')
+      .map((entry) => ({ role: entry.role === 'assistant' ? 'leia' : 'student', text: entry.content }));
+
+    if (window.length === 0) {
+      return null;
+    }
+
+    const { flags: existingFlags } = await this.getFlags(sessionId);
+    const result = await supervisorService.observe({
+      runnerConfiguration,
+      transcript: window,
+      existingFlags,
+      config,
+    });
+
+    const observation = {
+      turn,
+      observedAt: new Date().toISOString(),
+      flags: result.flags,
+      nudge: result.nudge,
+    };
+
+    await this.storeObservation(sessionId, observation);
+
+    if (observation.flags?.length > 0) {
+      webhookService.emit('supervisor.flag_raised', { sessionId, ...observation });
+    }
+
+    return observation;
+  }
+
+  // The list follows the session lifetime: it takes the transcript's TTL and
+  // is dropped if the session was deleted while the supervisor was running.
+  async storeObservation(sessionId, observation) {
+    const key = this.getObservationsKey(sessionId);
+    await redisClient.rPush(key, JSON.stringify(observation));
+
+    const ttl = await redisClient.ttl(transcriptService.getTranscriptKey(sessionId));
+    if (ttl === -2) {
+      await redisClient.del(key);
+    } else if (ttl > 0) {
+      await redisClient.expire(key, ttl);
+    }
+  }
+
+  async getObservations(sessionId) {
+    const rawObservations = await redisClient.lRange(this.getObservationsKey(sessionId), 0, -1);
+
+    return rawObservations
+      .map((rawObservation) => {
+        try {
+          return JSON.parse(rawObservation);
+        } catch (error) {
+          return null;
+        }
+      })
+      .filter(Boolean);
+  }
+
+  getConfig(leiaMeta) {
+    if (!leiaMeta?.supervisorConfig) {
+      return null;
+    }
+
+    try {
+      return JSON.parse(leiaMeta.supervisorConfig);
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Flags and nudges stored for a session, oldest first
+   * @param {string} sessionId - Session ID
+   * @returns {Promise<Object>} - { flags: [{ ...flag, turn, observedAt }], nudges: [{ text, turn, observedAt }], observations }
+   */
+  async getFlags(sessionId) {
+    const observations = await this.getObservations(sessionId);
+
+    return {
+      flags: observations.flatMap(({ flags, turn, observedAt }) => (flags || []).map((flag) => ({ ...flag, turn, observedAt }))),
+      nudges: observations
+        .filter((observation) => observation.nudge)
+        .map(({ nudge, turn, observedAt }) => ({ text: nudge, turn, observedAt })),
+      observations: observations.length,
+    };
+  }
+}
+
+module.exports = new SupervisionService();
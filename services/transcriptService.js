@@ -0,0 +1,149 @@
+const { redisClient } = require('../config/redis');
+
+/**
+ * Runner-side transcript of a LEIA session. Every turn routed through
+ * sessionService.sendMessage is appended here regardless of the provider, so
+ * the conversation can be shown or audited even when the provider keeps its
+ * history remotely (OpenAI conversations, Gemini interaction chains).
+ *
+ * Entries are stored as JSON in a Redis list, in order:
+ *   { role: 'user', content, attachments?, timestamp }
+ *   { role: 'tool', toolResults: [{ callId, output }], executedBy?: 'runner', timestamp }
+ *   { role: 'assistant', content?, toolCalls?, usage?, timestamp }
+ *
+ * `attachments` describes the images sent with the message, without their
+ * data: [{ type: 'image', mimeType, bytes }]
+ *
+ * `usage` is the normalized usage of the model call that produced the reply:
+ *   { model, inputTokens, outputTokens, reasoningTokens, totalTokens, latencyMs, finishReason }
+ */
+class TranscriptService {
+  constructor() {
+    this.keyPrefix = 'transcript:';
+  }
+
+  getTranscriptKey(sessionId) {
+    return `${this.keyPrefix}${sessionId}`;
+  }
+
+  /**
+   * Builds a transcript entry, dropping empty optional fields
+   * @param {string} role - user, assistant or tool
+   * @param {Object} fields - content, toolCalls, toolResults...
+   * @param {Date} [date] - When the entry happened (defaults to now)
+   * @returns {Object} Transcript entry
+   */
+  buildEntry(role, fields = {}, date = new Date()) {
+    const entry = { role };
+
+    for (const [key, value] of Object.entries(fields)) {
+      if (value === undefined || value === null || value === '') {
+        continue;
+      }
+      if (Array.isArray(value) && value.length === 0) {
+        continue;
+      }
+      entry[key] = value;
+    }
+
+    entry.timestamp = date.toISOString();
+    return entry;
+  }
+
+  /**
+   * Appends entries to the session transcript
+   * @param {string} sessionId - Session ID
+   * @param {Array<Object>} entries - Entries built with buildEntry
+   * @returns {Promise<void>}
+   */
+  async appendEntries(sessionId, entries) {
+    const validEntries = (entries || []).filter(Boolean);
+
+    if (validEntries.length === 0) {
+      return;
+    }
+
+    await redisClient.rPush(
+      this.getTranscriptKey(sessionId),
+      validEntries.map((entry) => JSON.stringify(entry))
+    );
+  }
+
+  /**
+   * Returns the full ordered transcript. Each entry gets its position
+   * (`index`) and the student turn it belongs to (`turn`): a user message
+   * opens a new turn, tool rounds and replies belong to the current one.
+   * @param {string} sessionId - Session ID
+   * @returns {Promise<Array<Object>>} Transcript entries
+   */
+  async getTranscript(sessionId) {
+    const rawEntries = await redisClient.lRange(this.getTranscriptKey(sessionId), 0, -1);
+    let turn = 0;
+
+    return rawEntries
+      .map((rawEntry) => {
+        try {
+          return JSON.parse(rawEntry);
+        } catch (error) {
+          return null;
+        }
+      })
+      .filter((entry) => entry && typeof entry.role === 'string')
+      .map((entry, index) => {
+        if (entry.role === 'user') {
+          turn += 1;
+        }
+        return { index, turn, ...entry };
+      });
+  }
+
+  /**
+   * Turns transcript entries into the text-only history a provider can
+   * replay (see BaseModel.restoreHistory). Tool rounds are dropped: their call
+   * ids belong to the original provider conversation.
+   * @param {Array<Object>} entries - Transcript entries
+   * @returns {Array<{role: string, content: string}>} user/assistant messages in order
+   */
+  buildHistory(entries) {
+    return (entries || [])
+      .filter((entry) => (entry.role === 'user' || entry.role === 'assistant') && entry.content)
+      .map((entry) => ({ role: entry.role, content: entry.content }));
+  }
+
+  /**
+   * Removes the positional fields getTranscript adds, so entries can be
+   * stored again (e.g. copied into a forked session)
+   * @param {Array<Object>} entries - Entries returned by getTranscript
+   * @returns {Array<Object>} Stored entries
+   */
+  toStoredEntries(entries) {
+    return (entries || []).map(({ index, turn, ...entry }) => entry);
+  }
+
+  /**
+   * Keeps only the first `length` entries of the transcript
+   * @param {string} sessionId - Session ID
+   * @param {number} length - Number of entries to keep
+   * @returns {Promise<void>}
+   */
+  async truncateTranscript(sessionId, length) {
+    if (length <= 0) {
+      await this.clearTranscript(sessionId);
+      return;
+    }
+
+    await redisClient.lTrim(this.getTranscriptKey(sessionId), 0, length - 1);
+  }
+
+  /**
+   * Removes the whole transcript of a session
+   * @param {string} sessionId - Session ID
+   * @returns {Promise<void>}
+   */
+  async clearTranscript(sessionId) {
+    await redisClient.del(this.getTranscriptKey(sessionId));
+  }
+}
+
+const transcriptService = new TranscriptService();
+module.exports = transcriptService;
@@ -34,20 +34,27 @@ class TranscriptionService {
   /**
    * Generate a conversation transcription given a LEIA
    * @param {Object} leia - LEIA object
+   * @param {boolean} [leiaStarts] - Whether the LEIA opens the conversation
    * @returns {Promise<Array>} - Array of message objects
    */
-  async generateTranscription({ leia, language = 'spanish' }) {
+  async generateTranscription({ leia, language = 'spanish', leiaStarts = false }) {
     if (!leia || !leia.spec?.behaviour?.spec?.description) {
       throw new Error("LEIA object with behaviour description is required for transcription");
     }
 
     const leiaPrompt = leia.spec.behaviour.spec.description;
+    // LEIAs created with an opening message speak first
+    const opening = leiaStarts
+      ? "The transcription should start with an opening message from the LEIA (for example greeting the person), and every 'real' person message must have a response from the LEIA."
+      : "The transcription should start with a message from the 'real' person (not the LEIA), and every 'real' person message must have a response from the LEIA.";
 
     return structuredGenerationService.generateObject({
       systemPrompt:
         "Generate a realistic detailed conversation transcription in " +
         language +
-        " between a real person and a LEIA (AI assistant). The transcription should cover everything necessary so that a reader can reach the exact same proposed solution (if applicable) without any additional context. The transcription should start with a message from the 'real' person (not the LEIA), and every 'real' person message must have a response from the LEIA. You will be given the prompt that the LEIA is based on. The user has no additional context but is implicit in the prompt what they have to do. It is important that you identify clearly which messages are from the 'real' person (which has no context) which is the interviewer and which are from the LEIA which is the interviewee.",
+        " between a real person and a LEIA (AI assistant). The transcription should cover everything necessary so that a reader can reach the exact same proposed solution (if applicable) without any additional context. " +
+        opening +
+        " You will be given the prompt that the LEIA is based on. The user has no additional context but is implicit in the prompt what they have to do. It is important that you identify clearly which messages are from the 'real' person (which has no context) which is the interviewer and which are from the LEIA which is the interviewee.",
       userPrompt: leiaPrompt,
       zodSchema: MessagesSchema,
       schemaName: "messages",
@@ -0,0 +1,388 @@
+const crypto = require('crypto');
+const { redisClient } = require('../config/redis');
+const Errors = require('../utils/errors');
+
+// Claims a due delivery by pushing its next attempt past the lease, so only
+// one worker sends it and it comes due again if that worker dies.
+const CLAIM_SCRIPT = `
+local dueAt = redis.call('ZSCORE', KEYS[1], ARGV[1])
+if dueAt and tonumber(dueAt) <= tonumber(ARGV[2]) then
+  redis.call('ZADD', KEYS[1], ARGV[3], ARGV[1])
+  return 1
+end
+return 0`;
+
+const EVENTS = [
+  'session.created',
+  'message.exchanged',
+  'evaluation.completed',
+  'supervisor.flag_raised',
+  'session.deleted',
+];
+
+/**
+ * Outgoing webhooks. Deployments register URLs (optionally limited to some
+ * events) and every matching event is POSTed to them as
+ *   { id, event, createdAt, data }
+ * signed with the webhook secret:
+ *   X-Leia-Signature: sha256=HMAC_SHA256(secret, `${X-Leia-Timestamp}.${body}`)
+ *
+ * Every delivery is stored in Redis before its first attempt (a hash with the
+ * delivery and a sorted set with when it is due) and retried from there with
+ * exponential backoff, so a restart does not lose the pending ones: any
+ * instance running startRetries picks them up. The ones that still fail are
+ * kept in a Redis dead-letter list from where they can be redelivered.
+ * Emitting never blocks nor fails the request that raised the event.
+ */
+class WebhookService {
+  constructor() {
+    this.webhooksKey = 'webhooks';
+    this.deadLettersKey = 'webhooks:deadLetters';
+    this.deliveriesKey = 'webhooks:deliveries';
+    this.pendingKey = 'webhooks:pending';
+    this.events = EVENTS;
+    this.maxAttempts = Number.parseInt(process.env.WEBHOOK_MAX_ATTEMPTS, 10) || 5;
+    this.retryBaseMs = Number.parseInt(process.env.WEBHOOK_RETRY_BASE_MS, 10) || 2000;
+    this.timeoutMs = Number.parseInt(process.env.WEBHOOK_TIMEOUT_MS, 10) || 5000;
+    this.deadLetterMax = Number.parseInt(process.env.WEBHOOK_DEAD_LETTER_MAX, 10) || 1000;
+    this.pollIntervalMs = Number.parseInt(process.env.WEBHOOK_POLL_INTERVAL_MS, 10) || 1000;
+    // An attempt not finished within the lease (its instance died) is due again
+    this.leaseMs = this.timeoutMs * 2;
+    this.pollBatchSize = 100;
+    this.retryTimer = null;
+    this.polling = false;
+  }
+
+  /**
+   * Registers a webhook
+   * @param {Object} options - { url, events?, secret?, description? }
+   * @returns {Promise<Object>} - The webhook, including its secret (only returned here)
+   * @throws {HttpError} 400 on an invalid url, events or secret
+   */
+  async registerWebhook({ url, events, secret, description } = {}) {
+    let parsedUrl;
+    try {
+      parsedUrl = new URL(url);
+    } catch (error) {
+      throw Errors.webhook.invalidUrl();
+    }
+    if (!['http:', 'https:'].includes(parsedUrl.protocol)) {
+      throw Errors.webhook.invalidUrl();
+    }
+
+    const subscribedEvents = events === undefined ? ['*'] : events;
+    if (!Array.isArray(subscribedEvents) || subscribedEvents.length === 0
+      || subscribedEvents.some((event) => event !== '*' && !EVENTS.includes(event))) {
+      throw Errors.webhook.invalidEvents(EVENTS);
+    }
+
+    if (secret !== undefined && (typeof secret !== 'string' || secret.length < 16)) {
+      throw Errors.webhook.invalidSecret();
+    }
+
+    const webhook = {
+      webhookId: crypto.randomUUID(),
+      url: parsedUrl.toString(),
+      events: [...new Set(subscribedEvents)],
+      description: typeof description === 'string' ? description : undefined,
+      secret: secret || crypto.randomBytes(32).toString('hex'),
+      createdAt: new Date().toISOString(),
+    };
+
+    await redisClient.hSet(this.webhooksKey, webhook.webhookId, JSON.stringify(webhook));
+    return webhook;
+  }
+
+  /**
+   * Lists the registered webhooks
+   * @param {boolean} [includeSecrets] - Internal use only (signing)
+   * @returns {Promise<Array<Object>>}
+   */
+  async listWebhooks(includeSecrets = false) {
+    const rawWebhooks = await redisClient.hGetAll(this.webhooksKey);
+
+    return Object.values(rawWebhooks || {})
+      .map((rawWebhook) => {
+        try {
+          return JSON.parse(rawWebhook);
+        } catch (error) {
+          return null;
+        }
+      })
+      .filter(Boolean)
+      .map((webhook) => (includeSecrets ? webhook : this.withoutSecret(webhook)))
+      .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+  }
+
+  async getWebhook(webhookId) {
+    const rawWebhook = await redisClient.hGet(this.webhooksKey, webhookId);
+    return rawWebhook ? JSON.parse(rawWebhook) : null;
+  }
+
+  /**
+   * Removes a webhook. Its pending deliveries are dropped at their next attempt.
+   * @param {string} webhookId - Webhook ID
+   * @returns {Promise<void>}
+   * @throws {HttpError} 404 when the webhook does not exist
+   */
+  async deleteWebhook(webhookId) {
+    const removed = await redisClient.hDel(this.webhooksKey, webhookId);
+
+    if (!removed) {
+      throw Errors.webhook.notFound(webhookId);
+    }
+  }
+
+  /**
+   * Sends an event to every webhook subscribed to it, in the background
+   * @param {string} event - One of EVENTS
+   * @param {Object} data - Event payload (always carries the sessionId)
+   */
+  emit(event, data) {
+    this.dispatch(event, data).catch((error) => {
+      console.error(`Error dispatching webhook event ${event}:`, error);
+    });
+  }
+
+  async dispatch(event, data) {
+    const webhooks = (await this.listWebhooks(true))
+      .filter((webhook) => webhook.events.includes('*') || webhook.events.includes(event));
+
+    if (webhooks.length === 0) {
+      return [];
+    }
+
+    const payload = {
+      id: crypto.randomUUID(),
+      event,
+      createdAt: new Date().toISOString(),
+      data,
+    };
+
+    return Promise.all(webhooks.map(async (webhook) => {
+      const deliveryId = crypto.randomUUID();
+      await this.enqueue({ deliveryId, webhookId: webhook.webhookId, payload, attempts: 0 });
+      return this.attempt(deliveryId);
+    }));
+  }
+
+  /**
+   * Stores a delivery and schedules its next attempt
+   * @param {Object} delivery - { deliveryId, webhookId, payload, attempts, lastError? }
+   * @param {number} [dueAt] - When the attempt is due (ms, now by default)
+   */
+  async enqueue(delivery, dueAt = Date.now()) {
+    await redisClient.hSet(this.deliveriesKey, delivery.deliveryId, JSON.stringify(delivery));
+    await redisClient.zAdd(this.pendingKey, { score: dueAt, value: delivery.deliveryId });
+  }
+
+  /**
+   * Makes one attempt of a pending delivery. A failed attempt is scheduled
+   * again with exponential backoff (retryBaseMs, 2x, 4x...); after maxAttempts
+   * the delivery is dead-lettered.
+   * @param {string} deliveryId - Delivery ID
+   * @returns {Promise<boolean|null>} - true when the webhook acknowledged it (2xx),
+   *   false when it failed, null when it was not due or another worker has it
+   */
+  async attempt(deliveryId) {
+    const now = Date.now();
+    const claimed = await redisClient.eval(CLAIM_SCRIPT, {
+      keys: [this.pendingKey],
+      arguments: [deliveryId, String(now), String(now + this.leaseMs)],
+    });
+
+    if (!claimed) {
+      return null;
+    }
+
+    const rawDelivery = await redisClient.hGet(this.deliveriesKey, deliveryId);
+    const delivery = rawDelivery ? JSON.parse(rawDelivery) : null;
+    const webhook = delivery ? await this.getWebhook(delivery.webhookId) : null;
+
+    // Deleted webhook: nobody is listening anymore
+    if (!webhook) {
+      await this.forget(deliveryId);
+      return false;
+    }
+
+    delivery.attempts += 1;
+    try {
+      await this.send(webhook, delivery.payload, deliveryId);
+      await this.forget(deliveryId);
+      return true;
+    } catch (error) {
+      delivery.lastError = error.message;
+    }
+
+    if (delivery.attempts < this.maxAttempts) {
+      await this.enqueue(delivery, Date.now() + this.retryBaseMs * 2 ** (delivery.attempts - 1));
+      return false;
+    }
+
+    console.warn(`Webhook ${webhook.webhookId} failed ${delivery.attempts} times for ${delivery.payload.event}: ${delivery.lastError}`);
+    await this.storeDeadLetter({
+      deliveryId,
+      webhookId: webhook.webhookId,
+      url: webhook.url,
+      event: delivery.payload.event,
+      payload: delivery.payload,
+      attempts: delivery.attempts,
+      lastError: delivery.lastError,
+      failedAt: new Date().toISOString(),
+    });
+    await this.forget(deliveryId);
+    return false;
+  }
+
+  async forget(deliveryId) {
+    await redisClient.zRem(this.pendingKey, deliveryId);
+    await redisClient.hDel(this.deliveriesKey, deliveryId);
+  }
+
+  /**
+   * Attempts the deliveries that are due, oldest first
+   * @returns {Promise<number>} - Deliveries attempted
+   */
+  async processDueDeliveries() {
+    const deliveryIds = await redisClient.zRangeByScore(this.pendingKey, 0, Date.now(), {
+      LIMIT: { offset: 0, count: this.pollBatchSize },
+    });
+
+    await Promise.all(deliveryIds.map((deliveryId) => this.attempt(deliveryId).catch((error) => {
+      console.error(`Error delivering webhook delivery ${deliveryId}:`, error);
+    })));
+
+    return deliveryIds.length;
+  }
+
+  /**
+   * Starts polling Redis for due deliveries (retries, and the ones left
+   * pending by an instance that stopped)
+   */
+  startRetries() {
+    if (this.retryTimer) {
+      return;
+    }
+
+    this.retryTimer = setInterval(() => {
+      if (this.polling) {
+        return;
+      }
+
+      this.polling = true;
+      this.processDueDeliveries()
+        .catch((error) => console.error('Error processing webhook retries:', error))
+        .finally(() => {
+          this.polling = false;
+        });
+    }, this.pollIntervalMs);
+    this.retryTimer.unref?.();
+  }
+
+  stopRetries() {
+    clearInterval(this.retryTimer);
+    this.retryTimer = null;
+  }
+
+  async send(webhook, payload, deliveryId) {
+    const body = JSON.stringify(payload);
+    const timestamp = String(Math.floor(Date.now() / 1000));
+
+    const response = await fetch(webhook.url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'X-Leia-Event': payload.event,
+        'X-Leia-Delivery': deliveryId,
+        'X-Leia-Timestamp': timestamp,
+        'X-Leia-Signature': this.sign(webhook.secret, timestamp, body),
+      },
+      body,
+      signal: AbortSignal.timeout(this.timeoutMs),
+    });
+
+    if (!response.ok) {
+      throw new Error(`Webhook responded with status ${response.status}`);
+    }
+  }
+
+  /**
+   * Signature of a delivery, for receivers to check (constant-time) against
+   * the X-Leia-Signature header and reject stale timestamps
+   * @param {string} secret - Webhook secret
+   * @param {string} timestamp - X-Leia-Timestamp (unix seconds)
+   * @param {string} body - Raw request body
+   * @returns {string} - `sha256=<hex>`
+   */
+  sign(secret, timestamp, body) {
+    const digest = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+    return `sha256=${digest}`;
+  }
+
+  async storeDeadLetter(deadLetter) {
+    await redisClient.lPush(this.deadLettersKey, JSON.stringify(deadLetter));
+    await redisClient.lTrim(this.deadLettersKey, 0, this.deadLetterMax - 1);
+  }
+
+  /**
+   * Dead-lettered deliveries, newest first
+   * @returns {Promise<Array<Object>>}
+   */
+  async listDeadLetters() {
+    const rawDeadLetters = await redisClient.lRange(this.deadLettersKey, 0, -1);
+
+    return rawDeadLetters
+      .map((rawDeadLetter) => {
+        try {
+          return JSON.parse(rawDeadLetter);
+        } catch (error) {
+          return null;
+        }
+      })
+      .filter(Boolean);
+  }
+
+  /**
+   * Takes a delivery off the dead-letter list and sends it again (same event
+   * id and delivery id, new retry cycle) in the background
+   * @param {string} deliveryId - Delivery ID
+   * @returns {Promise<Object>} - The dead letter being redelivered
+   * @throws {HttpError} 404 when the delivery or its webhook no longer exist
+   */
+  async redeliver(deliveryId) {
+    const rawDeadLetters = await redisClient.lRange(this.deadLettersKey, 0, -1);
+    const rawDeadLetter = rawDeadLetters.find((raw) => {
+      try {
+        return JSON.parse(raw).deliveryId === deliveryId;
+      } catch (error) {
+        return false;
+      }
+    });
+
+    if (!rawDeadLetter) {
+      throw Errors.webhook.deadLetterNotFound(deliveryId);
+    }
+
+    const deadLetter = JSON.parse(rawDeadLetter);
+    const webhook = await this.getWebhook(deadLetter.webhookId);
+
+    if (!webhook) {
+      throw Errors.webhook.notFound(deadLetter.webhookId);
+    }
+
+    await this.enqueue({ deliveryId, webhookId: webhook.webhookId, payload: deadLetter.payload, attempts: 0 });
+    await redisClient.lRem(this.deadLettersKey, 1, rawDeadLetter);
+
+    this.attempt(deliveryId).catch((error) => {
+      console.error(`Error redelivering webhook delivery ${deliveryId}:`, error);
+    });
+
+    return deadLetter;
+  }
+
+  withoutSecret({ secret, ...webhook }) {
+    return webhook;
+  }
+}
+
+module.exports = new WebhookService();
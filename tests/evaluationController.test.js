@@ -0,0 +1,109 @@
+import { describe, expect, test, beforeEach, afterEach, vi } from 'vitest';
+import { createRequire } from 'module';
+
+// Controlador de evaluación con req/res falsos y los servicios sustituidos en
+// caliente; el estado de la sesión vive en una variable.
+const require = createRequire(import.meta.url);
+const sessionService = require('../services/sessionService');
+const modelManager = require('../models/modelManager');
+const webhookService = require('../services/webhookService');
+const evaluationController = require('../controllers/evaluationController');
+
+const original = {
+  requireSession: sessionService.requireSession,
+  getLeiaMeta: sessionService.getLeiaMeta,
+  setStatus: sessionService.setStatus,
+  withSessionLock: sessionService.withSessionLock,
+  getModel: modelManager.getModel,
+  emit: webhookService.emit,
+};
+
+let status;
+let model;
+
+function createResponse() {
+  const res = {
+    statusCode: 200,
+    body: undefined,
+    status: vi.fn((code) => {
+      res.statusCode = code;
+      return res;
+    }),
+    send: vi.fn((body) => {
+      res.body = body;
+      return res;
+    }),
+  };
+  return res;
+}
+
+function evaluate() {
+  const res = createResponse();
+  return evaluationController.evaluateSolution({ body: { sessionId: 's1', result: '42' } }, res).then(() => res);
+}
+
+beforeEach(() => {
+  status = 'active';
+  model = { evaluateSolution: vi.fn(async () => ({ score: 80, evaluation: 'Bien' })) };
+  sessionService.requireSession = vi.fn(async () => ({ sessionId: 's1', provider: 'ollama', status }));
+  sessionService.getLeiaMeta = vi.fn(async () => ({ leiaId: 'leia-1' }));
+  sessionService.withSessionLock = vi.fn(async (sessionId, fn) => fn());
+  // setStatus real sobre la sesión falsa (sin Redis)
+  sessionService.updateSession = vi.fn(async (sessionId, updates) => {
+    status = updates.status;
+    return { sessionId, status, statusChangedAt: updates.statusChangedAt };
+  });
+  sessionService.refreshExpiration = vi.fn(async () => {});
+  modelManager.getModel = vi.fn(async () => model);
+  webhookService.emit = vi.fn();
+});
+
+afterEach(() => {
+  Object.assign(sessionService, {
+    requireSession: original.requireSession,
+    getLeiaMeta: original.getLeiaMeta,
+    setStatus: original.setStatus,
+    withSessionLock: original.withSessionLock,
+  });
+  delete sessionService.updateSession;
+  delete sessionService.refreshExpiration;
+  modelManager.getModel = original.getModel;
+  webhookService.emit = original.emit;
+});
+
+describe('Evaluación de la solución', () => {
+  test('entrega la sesión y devuelve la evaluación', async () => {
+    const res = await evaluate();
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body).toEqual({ score: 80, evaluation: 'Bien' });
+    expect(status).toBe('submitted');
+  });
+
+  test('si la evaluación falla, la sesión vuelve a estar activa', async () => {
+    const consoleError = vi.spyOn(console, 'error').mockImplementation(() => {});
+    model.evaluateSolution = vi.fn(async () => {
+      throw new Error('timeout');
+    });
+
+    const res = await evaluate();
+
+    expect(res.statusCode).toBe(500);
+    expect(status).toBe('active');
+    consoleError.mockRestore();
+  });
+
+  test('no reabre una sesión que se cerró mientras se evaluaba', async () => {
+    const consoleError = vi.spyOn(console, 'error').mockImplementation(() => {});
+    model.evaluateSolution = vi.fn(async () => {
+      status = 'closed';
+      throw new Error('timeout');
+    });
+
+    const res = await evaluate();
+
+    expect(res.statusCode).toBe(500);
+    expect(status).toBe('closed');
+    consoleError.mockRestore();
+  });
+});
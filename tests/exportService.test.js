@@ -0,0 +1,84 @@
+import { describe, expect, test } from 'vitest';
+import { createRequire } from 'module';
+
+const require = createRequire(import.meta.url);
+const exportService = require('../services/exportService');
+
+const doc = {
+  sessionId: 's1',
+  leiaId: 'leia-1',
+  solutionFormat: 'mermaid',
+  provider: 'openai-responses',
+  modelName: 'gpt-5.4-mini',
+  forkedFrom: null,
+  createdAt: '2026-05-01T10:00:00.000Z',
+  expiresAt: null,
+  exportedAt: '2026-05-01T11:00:00.000Z',
+  turns: 1,
+  usage: { inputTokens: 10, outputTokens: 4, reasoningTokens: 0, totalTokens: 14 },
+  messages: [
+    { index: 0, turn: 1, role: 'user', content: 'Hola, "profe",\nuna duda', timestamp: '2026-05-01T10:01:00.000Z' },
+    {
+      index: 1,
+      turn: 1,
+      role: 'assistant',
+      content: 'Dime',
+      usage: { model: 'gpt-5.4-mini', inputTokens: 10, outputTokens: 4, reasoningTokens: 0, totalTokens: 14, latencyMs: 820, finishReason: 'stop' },
+      timestamp: '2026-05-01T10:01:02.000Z',
+    },
+  ],
+};
+
+describe('Exportación de sesiones', () => {
+  test('CSV: una fila por entrada y escapa comillas, comas y saltos de línea', () => {
+    const { contentType, extension, body } = exportService.render(doc, 'csv');
+    const lines = body.split('\r\n');
+
+    expect(contentType).toBe('text/csv');
+    expect(extension).toBe('csv');
+    expect(lines[0]).toBe('sessionId,leiaId,index,turn,timestamp,role,content,toolCalls,toolResults,model,inputTokens,outputTokens,reasoningTokens,totalTokens,latencyMs,finishReason');
+    expect(lines[1]).toBe('s1,leia-1,0,1,2026-05-01T10:01:00.000Z,user,"Hola, ""profe"",\nuna duda",,,,,,,,,');
+    expect(lines[2]).toBe('s1,leia-1,1,1,2026-05-01T10:01:02.000Z,assistant,Dime,,,gpt-5.4-mini,10,4,0,14,820,stop');
+  });
+
+  test('CSV: neutraliza las celdas que una hoja de cálculo ejecutaría como fórmula', () => {
+    const messages = ['=HYPERLINK("http://evil.example","x")', '+1+1', '-2+3', '@SUM(A1)', '\tTab', '\rCR', 'a = b'];
+    const { body } = exportService.render({
+      ...doc,
+      messages: messages.map((content, index) => ({ index, turn: 1, role: 'user', content, timestamp: doc.createdAt })),
+    }, 'csv');
+
+    const contents = body.split('\r\n').slice(1, -1).map((line) => line.split(',user,')[1].replace(/,+$/, ''));
+    expect(contents).toEqual([
+      '"\'=HYPERLINK(""http://evil.example"",""x"")"',
+      "'+1+1",
+      "'-2+3",
+      "'@SUM(A1)",
+      "'\tTab",
+      '"\'\rCR"',
+      'a = b',
+    ]);
+    // Los números (índices, tokens) no se tocan
+    expect(body).toContain('s1,leia-1,0,1,');
+  });
+
+  test('Markdown: cabecera con metadatos y un bloque por entrada', () => {
+    const { body } = exportService.render(doc, 'md');
+
+    expect(body).toContain('# LEIA session s1');
+    expect(body).toContain('- **Solution format:** mermaid');
+    expect(body).toContain('## Student · turn 1 · 2026-05-01T10:01:00.000Z');
+    expect(body).toContain('## LEIA · turn 1 · 2026-05-01T10:01:02.000Z\n\nDime');
+  });
+
+  test('JSON: devuelve el documento completo', () => {
+    const { body } = exportService.render(doc, 'json');
+
+    expect(JSON.parse(body)).toEqual(doc);
+  });
+
+  test('rechaza con 400 los formatos no soportados', () => {
+    expect(() => exportService.render(doc, 'pdf')).toThrow('format must be one of: json, md, csv');
+    expect(() => exportService.render(doc, 'constructor')).toThrow(expect.objectContaining({ status: 400 }));
+  });
+});
@@ -0,0 +1,104 @@
+import { describe, expect, test, beforeEach, afterEach, vi } from 'vitest';
+import { createRequire } from 'module';
+
+// Sustituimos en caliente set/get/del/scanIterator del cliente de Redis por un
+// almacén en memoria que respeta la opción NX, para probar el ciclo de vida de
+// las Idempotency-Key.
+const require = createRequire(import.meta.url);
+const { redisClient } = require('../config/redis');
+const idempotencyService = require('../services/idempotencyService');
+
+const REDIS_METHODS = ['set', 'get', 'del', 'scanIterator'];
+const original = Object.fromEntries(REDIS_METHODS.map((method) => [method, redisClient[method]]));
+
+let store;
+
+beforeEach(() => {
+  store = new Map();
+  redisClient.set = vi.fn(async (key, value, options = {}) => {
+    if (options.NX && store.has(key)) {
+      return null;
+    }
+    store.set(key, value);
+    return 'OK';
+  });
+  redisClient.get = vi.fn(async (key) => store.get(key) ?? null);
+  redisClient.del = vi.fn(async (keys) => [].concat(keys).filter((key) => store.delete(key)).length);
+  // SCAN con MATCH: solo se usan patrones «prefijo*», con los caracteres glob del prefijo escapados
+  redisClient.scanIterator = vi.fn(async function* ({ MATCH }) {
+    const prefix = MATCH.slice(0, -1).replace(/\\(.)/g, '$1');
+    yield* [...store.keys()].filter((key) => key.startsWith(prefix));
+  });
+});
+
+afterEach(() => {
+  for (const method of REDIS_METHODS) {
+    redisClient[method] = original[method];
+  }
+});
+
+describe('Idempotency-Key en el envío de mensajes', () => {
+  const body = { message: 'Hola' };
+  const response = { message: 'Hola, soy Ana' };
+
+  test('la primera petición reclama la clave y un reintento recibe la respuesta original', async () => {
+    expect(await idempotencyService.begin('s1', 'k1', body)).toBeNull();
+    await idempotencyService.complete('s1', 'k1', body, response);
+
+    expect(await idempotencyService.begin('s1', 'k1', body)).toEqual(response);
+  });
+
+  test('responde 409 mientras la petición original sigue en curso', async () => {
+    await idempotencyService.begin('s1', 'k1', body);
+
+    await expect(idempotencyService.begin('s1', 'k1', body)).rejects.toMatchObject({ status: 409 });
+  });
+
+  test('responde 422 si la clave se reutiliza con otro cuerpo', async () => {
+    await idempotencyService.begin('s1', 'k1', body);
+    await idempotencyService.complete('s1', 'k1', body, response);
+
+    await expect(idempotencyService.begin('s1', 'k1', { message: 'Otra cosa' })).rejects.toMatchObject({ status: 422 });
+  });
+
+  test('las imágenes subidas forman parte de la huella de la petición', async () => {
+    const image = { fieldname: 'images', mimetype: 'image/png', buffer: Buffer.from('imagen-a') };
+    const otherImage = { ...image, buffer: Buffer.from('imagen-b') };
+
+    await idempotencyService.begin('s1', 'k1', body, [image]);
+    await idempotencyService.complete('s1', 'k1', body, response, [image]);
+
+    expect(await idempotencyService.begin('s1', 'k1', body, [image])).toEqual(response);
+    await expect(idempotencyService.begin('s1', 'k1', body, [otherImage])).rejects.toMatchObject({ status: 422 });
+    await expect(idempotencyService.begin('s1', 'k1', body)).rejects.toMatchObject({ status: 422 });
+  });
+
+  test('release libera la clave para que el cliente pueda reintentar tras un error', async () => {
+    await idempotencyService.begin('s1', 'k1', body);
+    await idempotencyService.release('s1', 'k1');
+
+    expect(await idempotencyService.begin('s1', 'k1', body)).toBeNull();
+  });
+
+  test('las claves son independientes por sesión', async () => {
+    await idempotencyService.begin('s1', 'k1', body);
+
+    expect(await idempotencyService.begin('s2', 'k1', body)).toBeNull();
+  });
+
+  test('deleteSessionKeys borra las claves de la sesión aunque su id tenga caracteres glob', async () => {
+    await idempotencyService.begin('s*[1]', 'k1', body);
+    await idempotencyService.begin('s*[1]', 'k2', body);
+    await idempotencyService.begin('s2', 'k1', body);
+
+    await idempotencyService.deleteSessionKeys('s*[1]');
+
+    expect(redisClient.scanIterator).toHaveBeenCalledWith({ MATCH: 'idempotency:s\\*\\[1\\]:*', COUNT: 100 });
+    expect([...store.keys()]).toEqual(['idempotency:s2:k1']);
+  });
+
+  test('rechaza con 400 una clave vacía o demasiado larga', async () => {
+    await expect(idempotencyService.begin('s1', '  ', body)).rejects.toMatchObject({ status: 400 });
+    await expect(idempotencyService.begin('s1', 'x'.repeat(256), body)).rejects.toMatchObject({ status: 400 });
+  });
+});
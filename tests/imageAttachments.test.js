@@ -0,0 +1,58 @@
+import { describe, expect, test } from 'vitest';
+import { createRequire } from 'module';
+
+const require = createRequire(import.meta.url);
+const { collectImageAttachments, describeImageAttachments, maxImages } = require('../utils/imageAttachments');
+const OpenAIResponsesProvider = require('../models/providers/openai-responses');
+const GeminiProvider = require('../models/providers/gemini-3.1-flash-lite-preview');
+
+const PNG_BASE64 = Buffer.from('boceto del diagrama').toString('base64');
+
+describe('Imágenes adjuntas a un mensaje', () => {
+  test('acepta base64, data URLs y ficheros multipart con el mismo formato', () => {
+    const images = collectImageAttachments({
+      attachments: [
+        { type: 'image', mimeType: 'image/png', data: PNG_BASE64 },
+        { data: `data:image/jpeg;base64,${PNG_BASE64}` },
+      ],
+      files: [{ mimetype: 'image/webp', size: 19, buffer: Buffer.from('boceto del diagrama') }],
+    });
+
+    expect(images).toEqual([
+      { mimeType: 'image/png', data: PNG_BASE64 },
+      { mimeType: 'image/jpeg', data: PNG_BASE64 },
+      { mimeType: 'image/webp', data: PNG_BASE64 },
+    ]);
+    expect(describeImageAttachments(images)[0]).toEqual({ type: 'image', mimeType: 'image/png', bytes: 19 });
+  });
+
+  test('sin adjuntos devuelve una lista vacía', () => {
+    expect(collectImageAttachments({})).toEqual([]);
+  });
+
+  test('rechaza tipos que no son imagen, base64 inválido o demasiadas imágenes', () => {
+    expect(() => collectImageAttachments({ attachments: [{ mimeType: 'application/pdf', data: PNG_BASE64 }] }))
+      .toThrow(expect.objectContaining({ status: 400 }));
+    expect(() => collectImageAttachments({ attachments: [{ mimeType: 'image/png', data: 'no es base64!' }] }))
+      .toThrow(expect.objectContaining({ status: 400 }));
+    expect(() => collectImageAttachments({
+      attachments: Array.from({ length: maxImages + 1 }, () => ({ mimeType: 'image/png', data: PNG_BASE64 })),
+    })).toThrow(expect.objectContaining({ status: 400 }));
+  });
+
+  test('OpenAI las envía como input_image y Gemini como partes image del paso del estudiante', () => {
+    const images = [{ mimeType: 'image/png', data: PNG_BASE64 }];
+
+    expect(new OpenAIResponsesProvider().buildUserContent('Mira mi modelo', images)).toEqual([
+      { type: 'input_text', text: 'Mira mi modelo' },
+      { type: 'input_image', image_url: `data:image/png;base64,${PNG_BASE64}` },
+    ]);
+    expect(new GeminiProvider().buildUserStep('Mira mi modelo', images)).toEqual({
+      type: 'user_input',
+      content: [
+        { type: 'text', text: 'Mira mi modelo' },
+        { type: 'image', data: PNG_BASE64, mime_type: 'image/png' },
+      ],
+    });
+  });
+});
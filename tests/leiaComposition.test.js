@@ -0,0 +1,108 @@
+import { describe, expect, test } from 'vitest';
+import { createRequire } from 'module';
+
+const require = createRequire(import.meta.url);
+const { resolveLeiaComposition } = require('../utils/leiaComposition');
+
+function buildLeia(composition) {
+  return {
+    id: 'leia-1',
+    spec: {
+      persona: {
+        apiVersion: 'v1',
+        spec: { fullName: 'Ana García', personality: ['amable'], background: 'Tiene una panadería.' },
+      },
+      behaviour: {
+        apiVersion: 'v1',
+        spec: { role: 'cliente', process: ['requirements-elicitation'] },
+      },
+      problem: {
+        apiVersion: 'v1',
+        spec: { details: 'Necesita una web', ...composition },
+      },
+    },
+  };
+}
+
+describe('Composición de la LEIA (extends/overrides/constrainedTo)', () => {
+  test('extends añade a las listas, textos y objetos del componente', () => {
+    const leia = buildLeia({
+      extends: {
+        persona: {
+          spec: {
+            personality: ['amable', 'despistada'],
+            background: 'Abrió hace dos años.',
+            contact: { email: 'ana@example.com' },
+          },
+        },
+      },
+    });
+
+    const { spec } = resolveLeiaComposition(leia);
+
+    expect(spec.persona.spec.personality).toEqual(['amable', 'despistada']);
+    expect(spec.persona.spec.background).toBe('Tiene una panadería.\nAbrió hace dos años.');
+    expect(spec.persona.spec.contact).toEqual({ email: 'ana@example.com' });
+    expect(spec.persona.apiVersion).toBe('v1');
+  });
+
+  test('overrides reemplaza los campos después de aplicar extends', () => {
+    const leia = buildLeia({
+      extends: { behaviour: { spec: { role: 'ignorado' } } },
+      overrides: { behaviour: { spec: { role: 'alumno de instituto' } } },
+    });
+
+    const { spec } = resolveLeiaComposition(leia);
+
+    expect(spec.behaviour.spec.role).toBe('alumno de instituto');
+    expect(spec.behaviour.spec.process).toEqual(['requirements-elicitation']);
+  });
+
+  test('no modifica la LEIA recibida', () => {
+    const leia = buildLeia({ overrides: { persona: { spec: { fullName: 'Otra' } } } });
+
+    resolveLeiaComposition(leia);
+
+    expect(leia.spec.persona.spec.fullName).toBe('Ana García');
+  });
+
+  test('acepta la LEIA cuando cumple constrainedTo', () => {
+    const leia = buildLeia({
+      constrainedTo: { behaviour: { spec: { process: ['requirements-elicitation'] }, apiVersion: 'v1' } },
+    });
+
+    expect(() => resolveLeiaComposition(leia)).not.toThrow();
+  });
+
+  test('rechaza con 400 y explica cada restricción incumplida', () => {
+    const leia = buildLeia({
+      overrides: { behaviour: { spec: { process: ['modelling'] } } },
+      constrainedTo: {
+        behaviour: { spec: { process: ['requirements-elicitation'], role: 'cliente' }, apiVersion: 'v2' },
+        persona: { spec: { age: 30 } },
+      },
+    });
+
+    let error;
+    try {
+      resolveLeiaComposition(leia);
+    } catch (err) {
+      error = err;
+    }
+
+    expect(error.status).toBe(400);
+    expect(error.violations).toEqual([
+      'persona.spec.age is required to be 30',
+      'behaviour.apiVersion must be "v2" (got "v1")',
+      'behaviour.spec.process only allows ["requirements-elicitation"] (got ["modelling"])',
+    ]);
+    expect(error.message).toContain('behaviour.spec.process');
+  });
+
+  test('rechaza cuando falta el componente restringido', () => {
+    const leia = buildLeia({ constrainedTo: { behaviour: { spec: { role: 'cliente' } } } });
+    delete leia.spec.behaviour;
+
+    expect(() => resolveLeiaComposition(leia)).toThrow('behaviour is required by constrainedTo');
+  });
+});
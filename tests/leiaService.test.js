@@ -0,0 +1,137 @@
+import { describe, expect, test, beforeEach, afterEach, vi } from 'vitest';
+import { createRequire } from 'module';
+
+// Sustituimos createLeia (el alta individual) y la resolución del modelo para
+// probar solo el reparto del lote: concurrencia, orden de resultados,
+// duplicados y errores por elemento.
+const require = createRequire(import.meta.url);
+const leiaService = require('../services/leiaService');
+const sessionService = require('../services/sessionService');
+const Errors = require('../utils/errors');
+
+const original = {
+  createLeia: leiaService.createLeia,
+  batchConcurrency: leiaService.batchConcurrency,
+  getModelForSession: sessionService.getModelForSession,
+};
+
+let inFlight;
+let maxInFlight;
+
+beforeEach(() => {
+  inFlight = 0;
+  maxInFlight = 0;
+  leiaService.batchConcurrency = 2;
+  leiaService.createLeia = vi.fn(async ({ sessionId, runnerConfiguration }) => {
+    inFlight += 1;
+    maxInFlight = Math.max(maxInFlight, inFlight);
+    await new Promise((resolve) => setTimeout(resolve, 5));
+    inFlight -= 1;
+
+    if (sessionId === 'existing') {
+      return { created: false, sessionId, modelName: 'gpt-5.4-mini' };
+    }
+    if (sessionId === 'broken') {
+      throw Errors.leia.constraintViolation(['behaviour.spec.role must be "cliente" (got "alumno")']);
+    }
+    return { created: true, sessionId, provider: runnerConfiguration?.provider };
+  });
+  sessionService.getModelForSession = vi.fn(async () => ({}));
+});
+
+afterEach(() => {
+  leiaService.createLeia = original.createLeia;
+  leiaService.batchConcurrency = original.batchConcurrency;
+  sessionService.getModelForSession = original.getModelForSession;
+});
+
+describe('Alta de LEIAs en bloque', () => {
+  test('crea una sesión por sessionId con la misma LEIA respetando la concurrencia', async () => {
+    const leia = { id: 'leia-1' };
+    const runnerConfiguration = { provider: 'openai-responses' };
+
+    const summary = await leiaService.createLeiaBatch({ leia, runnerConfiguration, sessionIds: ['a', 'b', 'c', 'd', 'e'] });
+
+    expect(summary).toMatchObject({ total: 5, created: 5, conflicts: 0, failed: 0 });
+    expect(summary.results.map((r) => r.sessionId)).toEqual(['a', 'b', 'c', 'd', 'e']);
+    expect(leiaService.createLeia).toHaveBeenCalledWith({ sessionId: 'a', leia, runnerConfiguration });
+    expect(maxInFlight).toBe(2);
+  });
+
+  test('devuelve el resultado de cada elemento: conflictos, duplicados y errores', async () => {
+    const summary = await leiaService.createLeiaBatch({
+      leia: { id: 'leia-1' },
+      items: [
+        { sessionId: 'a', runnerConfiguration: { provider: 'ollama' } },
+        { sessionId: 'existing' },
+        { sessionId: 'a' },
+        { sessionId: 'broken' },
+      ],
+    });
+
+    expect(summary).toMatchObject({ total: 4, created: 1, conflicts: 2, failed: 1 });
+    expect(summary.results).toEqual([
+      expect.objectContaining({ sessionId: 'a', status: 201, created: true, provider: 'ollama' }),
+      expect.objectContaining({ sessionId: 'existing', status: 409, modelName: 'gpt-5.4-mini' }),
+      expect.objectContaining({ sessionId: 'a', status: 409, error: 'Duplicated sessionId in batch' }),
+      expect.objectContaining({ sessionId: 'broken', status: 400, violations: ['behaviour.spec.role must be "cliente" (got "alumno")'] }),
+    ]);
+    expect(leiaService.createLeia).toHaveBeenCalledTimes(3);
+  });
+
+  test('resuelve cada API key una sola vez y una clave rechazada hace fallar solo sus elementos', async () => {
+    const consoleError = vi.spyOn(console, 'error').mockImplementation(() => {});
+    sessionService.getModelForSession = vi.fn(async ({ apiKeyId }) => {
+      if (apiKeyId === 'revocada') {
+        throw new Error('Failed to resolve apiKeyId from Designer');
+      }
+      return {};
+    });
+    const valid = { provider: 'openai-responses', apiKeyId: 'buena', apiKeyRequesterId: 'profe' };
+    const revoked = { provider: 'openai-responses', apiKeyId: 'revocada', apiKeyRequesterId: 'profe' };
+
+    const summary = await leiaService.createLeiaBatch({
+      leia: { id: 'leia-1' },
+      items: [
+        { sessionId: 'a', runnerConfiguration: valid },
+        { sessionId: 'b', runnerConfiguration: revoked },
+        { sessionId: 'c', runnerConfiguration: valid },
+        { sessionId: 'd', runnerConfiguration: revoked },
+      ],
+    });
+
+    expect(summary).toMatchObject({ total: 4, created: 2, failed: 2 });
+    expect(sessionService.getModelForSession).toHaveBeenCalledTimes(2);
+    expect(leiaService.createLeia.mock.calls.map(([item]) => item.sessionId)).toEqual(['a', 'c']);
+    consoleError.mockRestore();
+  });
+
+  test('rechaza con 400 un lote vacío', async () => {
+    await expect(leiaService.createLeiaBatch({ leia: {}, sessionIds: [] })).rejects.toMatchObject({ status: 400 });
+  });
+});
+
+describe('Tools declaradas por los widgets del problema', () => {
+  test('recoge las tools activas con su nota de uso, en lista o en mapa', () => {
+    const widgetTools = leiaService.parseWidgetTools([
+      {
+        id: 'code-editor',
+        tools: [
+          { name: 'read_editor', enabled: true, usage: 'Antes de opinar sobre el código' },
+          { name: 'edit_editor', enabled: false },
+        ],
+      },
+      { id: 'diagram', tools: { read_diagram: { usageNote: 'Solo si lo pide el estudiante' } } },
+    ]);
+
+    expect(widgetTools).toEqual([
+      expect.objectContaining({ name: 'read_editor', widget: 'code-editor', usage: 'Antes de opinar sobre el código' }),
+      expect.objectContaining({ name: 'read_diagram', widget: 'diagram', usage: 'Solo si lo pide el estudiante' }),
+    ]);
+  });
+
+  test('sin tools declaradas la lista queda vacía', () => {
+    expect(leiaService.parseWidgetTools([{ id: 'code-editor' }])).toEqual([]);
+    expect(leiaService.parseWidgetTools([{ id: 'code-editor', tools: [{ name: 'x', enabled: false }] }])).toEqual([]);
+  });
+});
@@ -0,0 +1,105 @@
+import { describe, expect, test, beforeEach, afterEach, vi } from 'vitest';
+import { createRequire } from 'module';
+
+// Los controladores se prueban con req/res falsos y los servicios sustituidos
+// en caliente: solo interesa la traducción de peticiones y errores a HTTP.
+const require = createRequire(import.meta.url);
+const sessionService = require('../services/sessionService');
+const transcriptService = require('../services/transcriptService');
+const idempotencyService = require('../services/idempotencyService');
+const leiasController = require('../controllers/leiasController');
+const Errors = require('../utils/errors');
+
+const STUBBED = {
+  sessionService: ['withSessionLock', 'requireSession', 'enforceLimits', 'rewindLastTurn', 'sendMessage'],
+  transcriptService: ['getTranscript'],
+  idempotencyService: ['begin', 'complete', 'release'],
+};
+const services = { sessionService, transcriptService, idempotencyService };
+const original = Object.fromEntries(Object.entries(STUBBED).map(([service, methods]) => [
+  service,
+  Object.fromEntries(methods.map((method) => [method, services[service][method]])),
+]));
+
+function createResponse() {
+  const res = {
+    statusCode: 200,
+    body: undefined,
+    status: vi.fn((code) => {
+      res.statusCode = code;
+      return res;
+    }),
+    send: vi.fn((body) => {
+      res.body = body;
+      return res;
+    }),
+  };
+  return res;
+}
+
+beforeEach(() => {
+  sessionService.withSessionLock = vi.fn(async (sessionId, fn) => fn());
+  sessionService.requireSession = vi.fn(async () => ({ status: 'active' }));
+  sessionService.enforceLimits = vi.fn();
+  sessionService.rewindLastTurn = vi.fn(async () => ({ removedEntries: [{ role: 'user', content: 'Hola' }] }));
+  sessionService.sendMessage = vi.fn(async (sessionId, message) => ({ message: `reply to ${message}` }));
+  idempotencyService.begin = vi.fn(async () => null);
+  idempotencyService.complete = vi.fn(async () => {});
+  idempotencyService.release = vi.fn(async () => {});
+});
+
+afterEach(() => {
+  for (const [service, methods] of Object.entries(original)) {
+    Object.assign(services[service], methods);
+  }
+});
+
+describe('Regenerar la última respuesta', () => {
+  test('deshace el turno y reenvía el mensaje del estudiante', async () => {
+    transcriptService.getTranscript = vi.fn(async () => [{ role: 'user', content: 'Hola' }, { role: 'assistant', content: 'Qué tal' }]);
+    const res = createResponse();
+
+    await leiasController.regenerateLeiaMessage({ params: { sessionId: 's1' }, body: {} }, res);
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body).toEqual({ message: 'reply to Hola' });
+  });
+
+  test('responde 409 sin deshacer nada si el turno llevaba imágenes', async () => {
+    transcriptService.getTranscript = vi.fn(async () => [
+      { role: 'user', content: '¿Qué ves?', attachments: [{ type: 'image', mimeType: 'image/png', bytes: 10 }] },
+      { role: 'assistant', content: 'Un diagrama' },
+    ]);
+    const res = createResponse();
+
+    await leiasController.regenerateLeiaMessage({ params: { sessionId: 's1' }, body: {} }, res);
+
+    expect(res.statusCode).toBe(409);
+    expect(res.body.error).toMatch(/image attachments/);
+    expect(sessionService.rewindLastTurn).not.toHaveBeenCalled();
+    expect(sessionService.sendMessage).not.toHaveBeenCalled();
+  });
+});
+
+describe('Envío de mensajes con Idempotency-Key', () => {
+  function createRequest(headers) {
+    return {
+      params: { sessionId: 's1' },
+      body: { message: 'Hola' },
+      get: (name) => headers[name],
+    };
+  }
+
+  test('si la sesión desaparece mientras el turno esperaba responde 404 y libera la clave', async () => {
+    sessionService.sendMessage = vi.fn(async (sessionId) => {
+      throw Errors.session.notFound(sessionId);
+    });
+    const res = createResponse();
+
+    await leiasController.sendLeiaMessage(createRequest({ 'Idempotency-Key': 'k1' }), res);
+
+    expect(res.statusCode).toBe(404);
+    expect(idempotencyService.release).toHaveBeenCalledWith('s1', 'k1');
+    expect(idempotencyService.complete).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,87 @@
+import { describe, expect, test, beforeAll, afterAll, vi } from 'vitest';
+import { createRequire } from 'module';
+
+// Router montado en una app express real (puerto efímero), con el parser
+// global de server.js, para probar el orden autenticación → lectura del cuerpo
+// de los mensajes y los límites de tamaño.
+const require = createRequire(import.meta.url);
+const express = require('express');
+const sessionService = require('../services/sessionService');
+const Errors = require('../utils/errors');
+const { maxImages, maxImageBytes, maxMessageBodyBytes } = require('../utils/imageAttachments');
+const { jsonBody } = require('../utils/jsonBody');
+
+const RUNNER_KEY = 'clave-de-prueba';
+const originalRunnerKey = process.env.RUNNER_KEY;
+const originalRequireSession = sessionService.requireSession;
+
+let server;
+let baseUrl;
+
+beforeAll(async () => {
+  process.env.RUNNER_KEY = RUNNER_KEY;
+  sessionService.requireSession = vi.fn(async (sessionId) => {
+    throw Errors.session.notFound(sessionId);
+  });
+
+  const app = express();
+  app.use(jsonBody());
+  app.use('/api/v1', require('../routes/leiasRoutes'));
+  await new Promise((resolve) => {
+    server = app.listen(0, resolve);
+  });
+  baseUrl = `http://127.0.0.1:${server.address().port}/api/v1`;
+});
+
+afterAll(async () => {
+  process.env.RUNNER_KEY = originalRunnerKey;
+  sessionService.requireSession = originalRequireSession;
+  await new Promise((resolve) => server.close(resolve));
+});
+
+function post(path, body, headers = {}) {
+  return fetch(`${baseUrl}${path}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', ...headers },
+    body: JSON.stringify(body),
+  });
+}
+
+// Una imagen del tamaño máximo, en base64
+const largestImage = { type: 'image', mimeType: 'image/png', data: Buffer.alloc(maxImageBytes, 1).toString('base64') };
+const auth = { Authorization: `Bearer ${RUNNER_KEY}` };
+
+describe('Lectura de cuerpos JSON', () => {
+  test('el límite de los mensajes cabe el máximo de imágenes en base64', () => {
+    expect(maxMessageBodyBytes).toBeGreaterThan(maxImages * Math.ceil(maxImageBytes / 3) * 4);
+  });
+
+  test('sin autenticar responde 401 sin leer el cuerpo', async () => {
+    const response = await post('/leias/s1/messages', { message: 'Hola', attachments: [largestImage] });
+
+    expect(response.status).toBe(401);
+  });
+
+  test('un mensaje con imágenes dentro de los límites llega al controlador', async () => {
+    const response = await post('/leias/s1/messages', { message: 'Hola', attachments: [largestImage] }, auth);
+
+    expect(response.status).toBe(404);
+    expect(sessionService.requireSession).toHaveBeenCalledWith('s1');
+  });
+
+  test('un mensaje demasiado grande responde 413 en JSON', async () => {
+    const response = await post('/leias/s1/messages', {
+      message: 'Hola',
+      attachments: Array.from({ length: maxImages + 1 }, () => largestImage),
+    }, auth);
+
+    expect(response.status).toBe(413);
+    expect(await response.json()).toEqual({ error: expect.any(String) });
+  });
+
+  test('el resto de rutas mantiene el límite por defecto de express (100kb)', async () => {
+    const padding = 'x'.repeat(100 * 1024);
+
+    expect((await post('/leias', { sessionId: 's2', leia: { padding } }, auth)).status).toBe(413);
+  });
+});
@@ -0,0 +1,206 @@
+import { describe, expect, test, beforeAll, afterAll, beforeEach, afterEach, vi } from 'vitest';
+import { createRequire } from 'module';
+
+// Streaming SSE de extremo a extremo: router real en una app express (puerto
+// efímero), sessionService real sobre un Redis en memoria y un proveedor falso
+// que emite los fragmentos que el test le indica.
+const require = createRequire(import.meta.url);
+const express = require('express');
+const { redisClient } = require('../config/redis');
+const modelManager = require('../models/modelManager');
+const sessionService = require('../services/sessionService');
+const transcriptService = require('../services/transcriptService');
+const { jsonBody } = require('../utils/jsonBody');
+
+const REDIS_METHODS = ['hSet', 'hGetAll', 'hIncrBy', 'del', 'set', 'get', 'expire', 'exists', 'rPush', 'lRange', 'eval'];
+const original = Object.fromEntries(REDIS_METHODS.map((method) => [method, redisClient[method]]));
+original.getModel = modelManager.getModel;
+original.runnerKey = process.env.RUNNER_KEY;
+
+const RUNNER_KEY = 'clave-de-prueba';
+const auth = { Authorization: `Bearer ${RUNNER_KEY}`, 'Content-Type': 'application/json' };
+
+let server;
+let baseUrl;
+let store;
+let provider;
+
+beforeAll(async () => {
+  process.env.RUNNER_KEY = RUNNER_KEY;
+  const app = express();
+  app.use(jsonBody());
+  app.use('/api/v1', require('../routes/leiasRoutes'));
+  await new Promise((resolve) => {
+    server = app.listen(0, resolve);
+  });
+  baseUrl = `http://127.0.0.1:${server.address().port}/api/v1`;
+});
+
+afterAll(async () => {
+  process.env.RUNNER_KEY = original.runnerKey;
+  server.closeAllConnections();
+  await new Promise((resolve) => server.close(resolve));
+});
+
+beforeEach(() => {
+  store = new Map();
+  redisClient.hSet = vi.fn(async (key, values) => store.set(key, { ...(store.get(key) || {}), ...values }));
+  redisClient.hGetAll = vi.fn(async (key) => ({ ...(store.get(key) || {}) }));
+  redisClient.hIncrBy = vi.fn(async (key, field, increment) => {
+    const hash = store.get(key) || {};
+    hash[field] = String((Number(hash[field]) || 0) + increment);
+    store.set(key, hash);
+    return Number(hash[field]);
+  });
+  redisClient.del = vi.fn(async (keys) => [].concat(keys).filter((key) => store.delete(key)).length);
+  redisClient.set = vi.fn(async (key, value, options = {}) => {
+    if (options.NX && store.has(key)) {
+      return null;
+    }
+    store.set(key, value);
+    return 'OK';
+  });
+  redisClient.eval = vi.fn(async (script, { keys, arguments: args }) => {
+    if (store.get(keys[0]) !== args[0]) {
+      return 0;
+    }
+    if (script.includes('DEL')) {
+      store.delete(keys[0]);
+    }
+    return 1;
+  });
+  redisClient.get = vi.fn(async (key) => store.get(key) ?? null);
+  redisClient.expire = vi.fn(async () => 1);
+  redisClient.exists = vi.fn(async (key) => (store.has(key) ? 1 : 0));
+  redisClient.rPush = vi.fn(async (key, values) => {
+    const list = store.get(key) || [];
+    list.push(...[].concat(values));
+    store.set(key, list);
+    return list.length;
+  });
+  redisClient.lRange = vi.fn(async (key) => store.get(key) || []);
+
+  provider = {
+    createSession: vi.fn(async ({ instructions }) => ({ threadId: '', providerState: { systemInstruction: instructions } })),
+    streamMessage: vi.fn(async ({ onDelta }) => {
+      onDelta('Ho');
+      onDelta('la');
+      return { message: 'Hola', usage: { totalTokens: 10 } };
+    }),
+  };
+  modelManager.getModel = vi.fn(async () => provider);
+});
+
+afterEach(() => {
+  for (const method of REDIS_METHODS) {
+    redisClient[method] = original[method];
+  }
+  modelManager.getModel = original.getModel;
+});
+
+function stream(sessionId, body, options = {}) {
+  return fetch(`${baseUrl}/leias/${sessionId}/messages/stream`, {
+    method: 'POST',
+    headers: auth,
+    body: JSON.stringify(body),
+    ...options,
+  });
+}
+
+// Trocea el cuerpo SSE en eventos { event, data }
+function parseEvents(text) {
+  return text
+    .split('\n\n')
+    .filter(Boolean)
+    .map((block) => {
+      const [eventLine, dataLine] = block.split('\n');
+      expect(eventLine).toMatch(/^event: /);
+      expect(dataLine).toMatch(/^data: /);
+      return { event: eventLine.slice('event: '.length), data: JSON.parse(dataLine.slice('data: '.length)) };
+    });
+}
+
+describe('Streaming de respuestas (SSE)', () => {
+  test('emite un evento delta por fragmento y un done con la respuesta completa', async () => {
+    await sessionService.createSession('s1', 'Eres Ana', 'model-a', 'openai-responses', 'key-a', 'user-a');
+
+    const response = await stream('s1', { message: '¿Hola?' });
+
+    expect(response.status).toBe(200);
+    expect(response.headers.get('content-type')).toBe('text/event-stream');
+    expect(response.headers.get('cache-control')).toBe('no-cache');
+    expect(parseEvents(await response.text())).toEqual([
+      { event: 'delta', data: { text: 'Ho' } },
+      { event: 'delta', data: { text: 'la' } },
+      { event: 'done', data: expect.objectContaining({ message: 'Hola', usage: { totalTokens: 10 } }) },
+    ]);
+    expect((await transcriptService.getTranscript('s1')).map((entry) => entry.content)).toEqual(['¿Hola?', 'Hola']);
+  });
+
+  test('los errores previos al stream se responden en JSON', async () => {
+    const missingMessage = await stream('s1', {});
+    expect(missingMessage.status).toBe(400);
+
+    const unknownSession = await stream('nope', { message: 'Hola' });
+    expect(unknownSession.status).toBe(404);
+    expect(unknownSession.headers.get('content-type')).toMatch(/application\/json/);
+    expect(await unknownSession.json()).toEqual({ error: expect.stringContaining('nope') });
+  });
+
+  test('un fallo con el stream abierto llega como evento error', async () => {
+    const consoleError = vi.spyOn(console, 'error').mockImplementation(() => {});
+    await sessionService.createSession('s2', 'Eres Ana', 'model-a', 'openai-responses', 'key-a', 'user-a', {}, { maxTurns: 1 });
+
+    provider.streamMessage = vi.fn(async ({ onDelta }) => {
+      onDelta('Ho');
+      throw new Error('socket hang up');
+    });
+    const providerFailure = parseEvents(await (await stream('s2', { message: 'Hola' })).text());
+
+    expect(providerFailure).toEqual([
+      { event: 'delta', data: { text: 'Ho' } },
+      { event: 'error', data: { error: 'Internal error sending message to LEIA', status: 500 } },
+    ]);
+
+    // Los errores de cliente conservan su estado y la cuota
+    provider.streamMessage = vi.fn(async () => ({ message: 'Hola', usage: { totalTokens: 10 } }));
+    await stream('s2', { message: 'Hola' }).then((response) => response.text());
+    const [limitReached] = parseEvents(await (await stream('s2', { message: 'Otra' })).text());
+
+    expect(limitReached).toEqual({
+      event: 'error',
+      data: expect.objectContaining({ status: 429, quota: expect.objectContaining({ turns: { limit: 1, used: 1, remaining: 0 } }) }),
+    });
+    consoleError.mockRestore();
+  });
+
+  test('si el cliente se desconecta, el turno termina y queda en la transcripción', async () => {
+    await sessionService.createSession('s3', 'Eres Ana', 'model-a', 'openai-responses', 'key-a', 'user-a');
+
+    let finishReply;
+    const replyFinished = new Promise((resolve) => {
+      finishReply = resolve;
+    });
+    provider.streamMessage = vi.fn(async ({ onDelta }) => {
+      onDelta('Ho');
+      await replyFinished;
+      onDelta('la');
+      return { message: 'Hola', usage: { totalTokens: 10 } };
+    });
+
+    const controller = new AbortController();
+    const response = await stream('s3', { message: '¿Hola?' }, { signal: controller.signal });
+    const reader = response.body.getReader();
+    const { value } = await reader.read();
+    expect(new TextDecoder().decode(value)).toBe('event: delta\ndata: {"text":"Ho"}\n\n');
+
+    controller.abort();
+    await reader.closed.catch(() => {});
+    finishReply();
+
+    await vi.waitFor(async () => {
+      expect((await transcriptService.getTranscript('s3')).map((entry) => entry.content)).toEqual(['¿Hola?', 'Hola']);
+    });
+    expect(Number(store.get(`${sessionService.keyPrefix}s3`).turnsUsed)).toBe(1);
+  });
+});
@@ -0,0 +1,119 @@
+import { describe, expect, test, beforeEach, afterEach, vi } from 'vitest';
+import { createRequire } from 'module';
+
+// Formato común de function tools en todos los proveedores: las tools entran como
+// { name, description, parameters }, las llamadas salen como toolCalls
+// [{ callId, name, arguments }] y los resultados vuelven como toolResults.
+const require = createRequire(import.meta.url);
+const { redisClient } = require('../config/redis');
+const GeminiProvider = require('../models/providers/gemini-3.1-flash-lite-preview');
+const OllamaProvider = require('../models/providers/ollama');
+
+const REDIS_METHODS = ['rPush', 'lRange', 'lTrim', 'lIndex', 'lSet', 'lPush', 'del'];
+const original = Object.fromEntries(REDIS_METHODS.map((method) => [method, redisClient[method]]));
+
+const tools = [{
+  name: 'read_editor',
+  description: 'Reads the editor. Call this before editing.',
+  parameters: { type: 'object', properties: {} },
+}];
+const sessionData = { threadId: '', providerState: { systemInstruction: 'Eres Ana' } };
+
+let lists;
+
+beforeEach(() => {
+  lists = new Map();
+  const list = (key) => lists.get(key) || [];
+  redisClient.rPush = vi.fn(async (key, values) => lists.set(key, [...list(key), ...[].concat(values)]));
+  redisClient.lPush = vi.fn(async (key, value) => lists.set(key, [value, ...list(key)]));
+  redisClient.lRange = vi.fn(async (key) => list(key));
+  redisClient.lTrim = vi.fn(async (key, start) => lists.set(key, list(key).slice(start)));
+  redisClient.lIndex = vi.fn(async (key, index) => list(key)[index] ?? null);
+  redisClient.lSet = vi.fn(async (key, index, value) => {
+    const values = list(key);
+    values[index] = value;
+    lists.set(key, values);
+  });
+  redisClient.del = vi.fn(async (key) => lists.delete(key));
+});
+
+afterEach(() => {
+  for (const method of REDIS_METHODS) {
+    redisClient[method] = original[method];
+  }
+});
+
+describe('Function tools en Gemini', () => {
+  test('declara las tools y devuelve las llamadas de la interacción como toolCalls', async () => {
+    const provider = new GeminiProvider();
+    const interact = vi.fn(async () => ({
+      id: 'int-1',
+      status: 'requires_action',
+      steps: [{ type: 'function_call', id: 'fc-1', name: 'read_editor', arguments: {} }],
+    }));
+
+    const response = await provider.runInteractionTurn({ message: 'Revisa mi código', sessionData, tools, allowTools: true }, interact);
+
+    expect(interact.mock.calls[0][0].tools).toEqual([{ type: 'function', ...tools[0] }]);
+    expect(interact.mock.calls[0][0].systemInstruction).toContain('`read_editor`');
+    expect(response.toolCalls).toEqual([{ callId: 'fc-1', name: 'read_editor', arguments: '{}' }]);
+    expect(response.usage.finishReason).toBe('tool_calls');
+    expect(response.sessionData.providerState.pendingToolCalls).toEqual([{ callId: 'fc-1', name: 'read_editor' }]);
+  });
+
+  test('envía los toolResults como function_result encadenados a la interacción anterior', async () => {
+    const provider = new GeminiProvider();
+    const interact = vi.fn(async () => ({
+      id: 'int-2',
+      status: 'completed',
+      steps: [{ type: 'model_output', content: [{ type: 'text', text: 'Tu bucle no termina' }] }],
+    }));
+    const previous = {
+      threadId: 'int-1',
+      providerState: { systemInstruction: 'Eres Ana', previousInteractionId: 'int-1', pendingToolCalls: [{ callId: 'fc-1', name: 'read_editor' }] },
+    };
+
+    const response = await provider.runInteractionTurn({ sessionData: previous, toolResults: [{ callId: 'fc-1', output: 'while (true) {}' }] }, interact);
+
+    expect(interact.mock.calls[0][0]).toMatchObject({
+      previousInteractionId: 'int-1',
+      input: [{ type: 'function_result', call_id: 'fc-1', name: 'read_editor', result: 'while (true) {}' }],
+      tools: undefined,
+    });
+    expect(response.message).toBe('Tu bucle no termina');
+    expect(response.sessionData.providerState.pendingToolCalls).toBeUndefined();
+  });
+});
+
+describe('Function tools en Ollama', () => {
+  test('guarda la ronda de tools en el historial y responde a cada llamada con un mensaje tool', async () => {
+    const provider = new OllamaProvider();
+    const complete = vi.fn()
+      .mockResolvedValueOnce({ message: { role: 'assistant', content: '', tool_calls: [{ function: { name: 'read_editor', arguments: {} } }] } })
+      .mockResolvedValueOnce({ message: { role: 'assistant', content: 'Tu bucle no termina' }, done_reason: 'stop' });
+
+    const first = await provider.runChatTurn({ sessionId: 'o1', message: 'Revisa mi código', sessionData, tools, allowTools: true }, complete);
+
+    const [messages, requestTools] = complete.mock.calls[0];
+    expect(requestTools).toEqual([{ type: 'function', function: tools[0] }]);
+    expect(messages[0].content).toContain('## Available tools');
+    expect(first.toolCalls).toEqual([{ callId: expect.stringMatching(/^call_/), name: 'read_editor', arguments: '{}' }]);
+
+    const second = await provider.runChatTurn({
+      sessionId: 'o1',
+      sessionData: { ...sessionData, providerState: first.sessionData.providerState },
+      toolResults: [{ callId: first.toolCalls[0].callId, output: { code: 'while (true) {}' } }],
+      tools,
+      allowTools: true,
+    }, complete);
+
+    expect(complete.mock.calls[1][0].slice(1)).toEqual([
+      { role: 'user', content: 'Revisa mi código' },
+      { role: 'assistant', content: '', tool_calls: [{ function: { name: 'read_editor', arguments: {} } }] },
+      { role: 'tool', content: '{"code":"while (true) {}"}', tool_name: 'read_editor' },
+    ]);
+    expect(second.message).toBe('Tu bucle no termina');
+    // El bloque de tools no se guarda en el mensaje de sistema almacenado
+    expect(JSON.parse(lists.get('conversation:o1')[0]).content).toBe('Eres Ana');
+  });
+});
@@ -0,0 +1,53 @@
+import { describe, expect, test } from 'vitest';
+import { createRequire } from 'module';
+
+const require = createRequire(import.meta.url);
+const OpenAIResponsesProvider = require('../models/providers/openai-responses');
+const GeminiProvider = require('../models/providers/gemini-3.1-flash-lite-preview');
+const BaseModel = require('../models/providers/baseModel');
+
+describe('Consumo normalizado por turno', () => {
+  test('OpenAI: tokens de razonamiento y respuesta truncada por longitud', () => {
+    const provider = new OpenAIResponsesProvider();
+    const response = {
+      model: 'gpt-5.4-mini-2026-03-01',
+      status: 'incomplete',
+      incomplete_details: { reason: 'max_output_tokens' },
+      usage: { input_tokens: 120, output_tokens: 80, output_tokens_details: { reasoning_tokens: 30 }, total_tokens: 200 },
+    };
+
+    const usage = provider.extractUsage(response, provider.getFinishReason(response), Date.now());
+
+    expect(usage).toMatchObject({
+      model: 'gpt-5.4-mini-2026-03-01',
+      inputTokens: 120,
+      outputTokens: 80,
+      reasoningTokens: 30,
+      totalTokens: 200,
+      finishReason: 'length',
+    });
+    expect(usage.latencyMs).toBeGreaterThanOrEqual(0);
+  });
+
+  test('Gemini: usa los totales de la interacción', () => {
+    const provider = new GeminiProvider();
+
+    const usage = provider.extractUsage({
+      model: 'gemini-3.1-flash-lite-preview',
+      status: 'completed',
+      usage: { total_input_tokens: 50, total_output_tokens: 20, total_thought_tokens: 5, total_tokens: 75 },
+    }, Date.now());
+
+    expect(usage).toMatchObject({ inputTokens: 50, outputTokens: 20, reasoningTokens: 5, totalTokens: 75, finishReason: 'stop' });
+  });
+
+  test('deja a null lo que el proveedor no informa y calcula el total si falta', () => {
+    const model = new BaseModel();
+    model.model = 'llama3.1:8b';
+
+    const usage = model.buildUsage({ inputTokens: 10, outputTokens: 4 }, Date.now() - 25);
+
+    expect(usage).toMatchObject({ model: 'llama3.1:8b', reasoningTokens: null, totalTokens: 14, finishReason: null });
+    expect(usage.latencyMs).toBeGreaterThanOrEqual(25);
+  });
+});
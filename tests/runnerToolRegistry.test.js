@@ -0,0 +1,51 @@
+import { describe, expect, test } from 'vitest';
+import { createRequire } from 'module';
+
+const require = createRequire(import.meta.url);
+const runnerToolRegistry = require('../models/runnerToolRegistry');
+const leiaService = require('../services/leiaService');
+
+const glossaryMeta = {
+  glossary: JSON.stringify([
+    { term: 'Caché', definition: 'Memoria rápida intermedia' },
+    { term: 'Caché distribuida', definition: 'Caché compartida entre nodos' },
+  ]),
+};
+
+describe('Registro de herramientas del runner', () => {
+  test('carga las herramientas de models/runnerTools con su definición', () => {
+    expect(runnerToolRegistry.getToolNames()).toEqual(expect.arrayContaining(['calculator', 'glossary', 'datetime']));
+    expect(runnerToolRegistry.getDefinitions(['calculator', 'inexistente'])).toEqual([
+      expect.objectContaining({ name: 'calculator', parameters: expect.objectContaining({ required: ['expression'] }) }),
+    ]);
+  });
+
+  test('un fallo de la herramienta vuelve al modelo como error sin romper el turno', async () => {
+    const results = await runnerToolRegistry.executeCalls([
+      { callId: 'a', name: 'calculator', arguments: '{"expression":"2 ^ 3 + sqrt(16) * -1"}' },
+      { callId: 'b', name: 'calculator', arguments: '{"expression":"process.exit()"}' },
+      { callId: 'c', name: 'calculator', arguments: 'no es json' },
+    ], {});
+
+    expect(results[0]).toEqual({ callId: 'a', output: { expression: '2 ^ 3 + sqrt(16) * -1', result: 4 } });
+    expect(results[1].output.error).toBeTruthy();
+    expect(results[2].output.error).toBeTruthy();
+  });
+
+  test('el glosario busca sin distinguir mayúsculas ni tildes', async () => {
+    const [exact, missing] = await runnerToolRegistry.executeCalls([
+      { callId: 'a', name: 'glossary', arguments: '{"term":"cache"}' },
+      { callId: 'b', name: 'glossary', arguments: '{"term":"latencia"}' },
+    ], { leiaMeta: glossaryMeta });
+
+    expect(exact.output).toEqual({ found: true, term: 'Caché', definition: 'Memoria rápida intermedia' });
+    expect(missing.output).toEqual({ found: false, term: 'latencia', availableTerms: ['Caché', 'Caché distribuida'] });
+  });
+
+  test('createLeia solo acepta herramientas registradas', () => {
+    expect(leiaService.parseRunnerTools(['calculator', 'calculator'])).toEqual(['calculator']);
+    expect(leiaService.parseRunnerTools(undefined)).toEqual([]);
+    expect(() => leiaService.parseRunnerTools(['shell'])).toThrow(expect.objectContaining({ status: 400 }));
+    expect(() => leiaService.parseRunnerTools('calculator')).toThrow(expect.objectContaining({ status: 400 }));
+  });
+});
@@ -0,0 +1,95 @@
+import { describe, expect, test, beforeEach, afterEach, vi } from 'vitest';
+import { createRequire } from 'module';
+
+// Almacén en memoria con SET NX y los scripts de liberar/extender del lock, para probar
+// la exclusión mutua por sesión sin Redis.
+const require = createRequire(import.meta.url);
+const { redisClient } = require('../config/redis');
+const sessionLockService = require('../services/sessionLockService');
+
+const REDIS_METHODS = ['set', 'eval'];
+const original = Object.fromEntries(REDIS_METHODS.map((method) => [method, redisClient[method]]));
+const originalWaitMs = sessionLockService.waitMs;
+
+let store;
+
+beforeEach(() => {
+  store = new Map();
+  redisClient.set = vi.fn(async (key, value, options = {}) => {
+    if (options.NX && store.has(key)) {
+      return null;
+    }
+    store.set(key, value);
+    return 'OK';
+  });
+  redisClient.eval = vi.fn(async (script, { keys, arguments: args }) => {
+    if (store.get(keys[0]) !== args[0]) {
+      return 0;
+    }
+    if (script.includes('DEL')) {
+      store.delete(keys[0]);
+    }
+    return 1;
+  });
+});
+
+afterEach(() => {
+  for (const method of REDIS_METHODS) {
+    redisClient[method] = original[method];
+  }
+  sessionLockService.waitMs = originalWaitMs;
+});
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+describe('Lock por sesión', () => {
+  test('las tareas de una misma sesión no se solapan y el lock se libera al terminar', async () => {
+    const events = [];
+    const task = (name) => sessionLockService.withLock('s1', async () => {
+      events.push(`${name}:start`);
+      await sleep(10);
+      events.push(`${name}:end`);
+    });
+
+    await Promise.all([task('a'), task('b')]);
+
+    expect(events).toEqual(['a:start', 'a:end', 'b:start', 'b:end']);
+    expect(store.has(sessionLockService.getLockKey('s1'))).toBe(false);
+  });
+
+  test('sesiones distintas no se bloquean entre sí', async () => {
+    let inFlight = 0;
+    let maxInFlight = 0;
+    const task = (sessionId) => sessionLockService.withLock(sessionId, async () => {
+      inFlight += 1;
+      maxInFlight = Math.max(maxInFlight, inFlight);
+      await sleep(10);
+      inFlight -= 1;
+    });
+
+    await Promise.all([task('s1'), task('s2')]);
+
+    expect(maxInFlight).toBe(2);
+  });
+
+  test('una llamada anidada sobre la misma sesión reutiliza el lock', async () => {
+    const result = await sessionLockService.withLock('s1', () => sessionLockService.withLock('s1', async () => 'ok'));
+
+    expect(result).toBe('ok');
+  });
+
+  test('libera el lock aunque la tarea falle', async () => {
+    await expect(sessionLockService.withLock('s1', async () => {
+      throw new Error('boom');
+    })).rejects.toThrow('boom');
+
+    expect(store.has(sessionLockService.getLockKey('s1'))).toBe(false);
+  });
+
+  test('responde 409 si la sesión sigue ocupada al agotar la espera', async () => {
+    sessionLockService.waitMs = 30;
+    store.set(sessionLockService.getLockKey('s1'), 'otro-proceso');
+
+    await expect(sessionLockService.withLock('s1', async () => 'ok')).rejects.toMatchObject({ status: 409 });
+  });
+});
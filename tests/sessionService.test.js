@@ -0,0 +1,857 @@
+import { describe, expect, test, beforeEach, afterEach, vi } from 'vitest';
+import { createRequire } from 'module';
+
+// El Runner es CommonJS. Sustituimos en caliente los métodos del cliente de Redis por un
+// almacén en memoria y modelManager.getModel por proveedores falsos, para probar la
+// orquestación de sesiones sin Redis ni APIs reales.
+const require = createRequire(import.meta.url);
+const { redisClient } = require('../config/redis');
+const modelManager = require('../models/modelManager');
+const sessionService = require('../services/sessionService');
+const leiaService = require('../services/leiaService');
+const idempotencyService = require('../services/idempotencyService');
+const transcriptService = require('../services/transcriptService');
+const runnerToolRegistry = require('../models/runnerToolRegistry');
+
+const REDIS_METHODS = ['hSet', 'hGetAll', 'hIncrBy', 'del', 'set', 'get', 'expire', 'exists', 'rPush', 'lRange', 'lTrim', 'lIndex', 'eval', 'scanIterator'];
+const original = Object.fromEntries(REDIS_METHODS.map((method) => [method, redisClient[method]]));
+original.getModel = modelManager.getModel;
+original.getAvailableModels = modelManager.getAvailableModels;
+
+let store;
+let providers;
+
+function createFakeProvider(name, { supportsTools = false } = {}) {
+  let replies = 0;
+  return {
+    name,
+    supportsTools,
+    createSession: vi.fn(async ({ instructions }) => ({ threadId: '', providerState: { systemInstruction: instructions } })),
+    restoreHistory: vi.fn(async ({ sessionData, history }) => ({
+      threadId: `${name}-thread`,
+      providerState: { ...sessionData.providerState, pendingToolCalls: undefined, restored: history.length },
+    })),
+    deleteSession: vi.fn(async () => {}),
+    sendMessage: vi.fn(async ({ message, allowTools }) => {
+      replies += 1;
+      return { message: `${name} reply ${replies} to ${message}`, allowTools, usage: { totalTokens: 100 } };
+    }),
+  };
+}
+
+beforeEach(() => {
+  store = new Map();
+  redisClient.hSet = vi.fn(async (key, values) => store.set(key, { ...(store.get(key) || {}), ...values }));
+  redisClient.hGetAll = vi.fn(async (key) => ({ ...(store.get(key) || {}) }));
+  redisClient.hIncrBy = vi.fn(async (key, field, increment) => {
+    const hash = store.get(key) || {};
+    hash[field] = String((Number(hash[field]) || 0) + increment);
+    store.set(key, hash);
+    return Number(hash[field]);
+  });
+  redisClient.del = vi.fn(async (keys) => [].concat(keys).filter((key) => store.delete(key)).length);
+  redisClient.set = vi.fn(async (key, value, options = {}) => {
+    if (options.NX && store.has(key)) {
+      return null;
+    }
+    store.set(key, value);
+    return 'OK';
+  });
+  // Scripts del lock de sesión: liberar/extender solo si el token coincide
+  redisClient.eval = vi.fn(async (script, { keys, arguments: args }) => {
+    if (store.get(keys[0]) !== args[0]) {
+      return 0;
+    }
+    if (script.includes('DEL')) {
+      store.delete(keys[0]);
+    }
+    return 1;
+  });
+  redisClient.get = vi.fn(async (key) => store.get(key) ?? null);
+  redisClient.expire = vi.fn(async () => 1);
+  redisClient.exists = vi.fn(async (key) => (store.has(key) ? 1 : 0));
+  redisClient.rPush = vi.fn(async (key, values) => {
+    const list = store.get(key) || [];
+    list.push(...[].concat(values));
+    store.set(key, list);
+    return list.length;
+  });
+  redisClient.lRange = vi.fn(async (key) => store.get(key) || []);
+  redisClient.lTrim = vi.fn(async (key, start, stop) => {
+    store.set(key, (store.get(key) || []).slice(start, stop + 1));
+  });
+  redisClient.lIndex = vi.fn(async (key, index) => (store.get(key) || [])[index] ?? null);
+  // SCAN con MATCH: solo se usan patrones «prefijo*», con los caracteres glob del prefijo escapados
+  redisClient.scanIterator = vi.fn(async function* ({ MATCH }) {
+    const prefix = MATCH.slice(0, -1).replace(/\\(.)/g, '$1');
+    yield* [...store.keys()].filter((key) => key.startsWith(prefix));
+  });
+
+  providers = {
+    'openai-responses': createFakeProvider('openai-responses', { supportsTools: true }),
+    ollama: createFakeProvider('ollama'),
+  };
+  modelManager.getModel = vi.fn(async (provider) => providers[provider]);
+  modelManager.getAvailableModels = vi.fn(() => Object.keys(providers));
+});
+
+afterEach(() => {
+  for (const method of REDIS_METHODS) {
+    redisClient[method] = original[method];
+  }
+  modelManager.getModel = original.getModel;
+  modelManager.getAvailableModels = original.getAvailableModels;
+});
+
+// LEIA mínima para darla de alta con leiaService.createLeia
+function buildLeia(problemSpec = {}) {
+  return {
+    id: 'leia-1',
+    spec: {
+      persona: { spec: { fullName: 'Ana García' } },
+      behaviour: { spec: { role: 'cliente' } },
+      problem: { spec: { details: 'Necesita una web', ...problemSpec } },
+    },
+  };
+}
+
+const runnerConfiguration = { provider: 'openai-responses', modelName: 'model-a', apiKeyId: 'key-a', apiKeyRequesterId: 'user-a' };
+
+// Tools que declaran los widgets de las LEIAs de prueba (leia:meta widgetTools)
+const widgetTools = JSON.stringify([
+  { name: 'read_editor', widget: 'code-editor' },
+  { name: 'edit_editor', widget: 'code-editor' },
+]);
+
+async function createSessionWithTurns(sessionId, provider = 'openai-responses') {
+  await sessionService.createSession(sessionId, 'Eres Ana', 'model-a', provider, 'key-a', 'user-a');
+  await sessionService.storeLeiaMeta(sessionId, { leiaId: 'leia-1', toolFunctionsEnabled: 'true', widgetTools });
+  await sessionService.sendMessage(sessionId, 'Hola');
+  await sessionService.sendMessage(sessionId, '¿Qué necesitas?');
+}
+
+describe('Deshacer el último turno', () => {
+  test('elimina el turno del transcript y reconstruye el contexto con el resto', async () => {
+    await createSessionWithTurns('s1');
+
+    const { removedEntries } = await sessionService.rewindLastTurn('s1');
+
+    expect(removedEntries.map((entry) => entry.role)).toEqual(['user', 'assistant']);
+    expect(removedEntries[0].content).toBe('¿Qué necesitas?');
+    expect((await transcriptService.getTranscript('s1')).map((entry) => entry.content)).toEqual([
+      'Hola',
+      'openai-responses reply 1 to Hola',
+    ]);
+    expect(providers['openai-responses'].restoreHistory.mock.calls[0][0].history).toEqual([
+      { role: 'user', content: 'Hola' },
+      { role: 'assistant', content: 'openai-responses reply 1 to Hola' },
+    ]);
+  });
+
+  test('responde 409 si la sesión todavía no tiene turnos', async () => {
+    await sessionService.createSession('s2', 'Eres Ana', 'model-a', 'ollama', 'key-a', 'user-a');
+
+    await expect(sessionService.rewindLastTurn('s2')).rejects.toMatchObject({ status: 409 });
+  });
+});
+
+describe('Cambio de proveedor de una sesión en curso', () => {
+  test('reconstruye el historial en el nuevo proveedor y reescribe la sesión', async () => {
+    await createSessionWithTurns('s3');
+
+    const sessionData = await sessionService.switchRunner('s3', { provider: 'ollama', modelName: 'llama3.1:8b' });
+
+    expect(sessionData).toMatchObject({ provider: 'ollama', modelName: 'llama3.1:8b', apiKeyId: undefined, threadId: 'ollama-thread' });
+    expect(providers.ollama.createSession).toHaveBeenCalledWith({ instructions: 'Eres Ana' });
+    expect(providers.ollama.restoreHistory.mock.calls[0][0].history).toHaveLength(4);
+    expect(providers['openai-responses'].deleteSession).toHaveBeenCalled();
+
+    const stored = await sessionService.getSession('s3');
+    expect(stored.provider).toBe('ollama');
+    expect(stored.providerState).toEqual({ systemInstruction: 'Eres Ana', restored: 4 });
+  });
+
+  test('las tools solo se habilitan si el proveedor actual las soporta', async () => {
+    await createSessionWithTurns('s4');
+    await sessionService.switchRunner('s4', { provider: 'ollama' });
+
+    const response = await sessionService.sendMessage('s4', 'Sigue', { tools: [{ name: 'read_editor' }] });
+
+    expect(response.allowTools).toBe(false);
+    expect(providers['openai-responses'].sendMessage.mock.calls[0][0].allowTools).toBe(true);
+  });
+
+  test('rechaza con 400 un proveedor no disponible', async () => {
+    await createSessionWithTurns('s5');
+
+    await expect(sessionService.switchRunner('s5', { provider: 'inexistente' })).rejects.toMatchObject({ status: 400 });
+  });
+
+  test('un proveedor que no reconstruye el historial responde 400 sin tocar la sesión', async () => {
+    providers['openai-assistant'] = { ...createFakeProvider('openai-assistant'), supportsHistoryRestore: false };
+    await createSessionWithTurns('s5b');
+    const before = await sessionService.getSession('s5b');
+
+    await expect(sessionService.switchRunner('s5b', { provider: 'openai-assistant' })).rejects.toMatchObject({ status: 400 });
+    expect(providers['openai-assistant'].createSession).not.toHaveBeenCalled();
+    expect(await sessionService.getSession('s5b')).toEqual(before);
+
+    await createSessionWithTurns('s5c', 'openai-assistant');
+    await expect(sessionService.rewindLastTurn('s5c')).rejects.toMatchObject({ status: 400 });
+    await expect(sessionService.forkSession('s5c', { turn: 2, newSessionId: 's5d' })).rejects.toMatchObject({ status: 400 });
+    await expect(sessionService.generateOpeningMessage('s5c')).rejects.toMatchObject({ status: 400 });
+    expect(await transcriptService.getTranscript('s5c')).toHaveLength(4);
+    expect(await sessionService.getSession('s5d')).toBeNull();
+  });
+});
+
+describe('Serialización de mensajes concurrentes', () => {
+  test('dos mensajes simultáneos se procesan uno detrás de otro', async () => {
+    await sessionService.createSession('s6', 'Eres Ana', 'model-a', 'ollama', 'key-a', 'user-a');
+    const provider = providers.ollama;
+    let inFlight = 0;
+    let maxInFlight = 0;
+    provider.sendMessage = vi.fn(async ({ message, sessionData }) => {
+      inFlight += 1;
+      maxInFlight = Math.max(maxInFlight, inFlight);
+      await new Promise((resolve) => setTimeout(resolve, 20));
+      inFlight -= 1;
+      const turns = (sessionData.providerState.turns || 0) + 1;
+      return { message: `reply to ${message}`, sessionData: { providerState: { ...sessionData.providerState, turns } } };
+    });
+
+    await Promise.all([
+      sessionService.sendMessage('s6', 'Primero'),
+      sessionService.sendMessage('s6', 'Segundo'),
+    ]);
+
+    expect(maxInFlight).toBe(1);
+    expect((await sessionService.getSession('s6')).providerState.turns).toBe(2);
+    expect((await transcriptService.getTranscript('s6')).map((entry) => entry.role)).toEqual([
+      'user', 'assistant', 'user', 'assistant',
+    ]);
+  });
+});
+
+describe('Copia de una sesión (fork)', () => {
+  test('un fork durante un turno espera a que acabe y copia el turno completo', async () => {
+    await createSessionWithTurns('s43', 'ollama');
+    const reply = providers.ollama.sendMessage;
+    providers.ollama.sendMessage = vi.fn(async (options) => {
+      await new Promise((resolve) => setTimeout(resolve, 20));
+      return reply(options);
+    });
+
+    const turn = sessionService.sendMessage('s43', 'Tercero');
+    await new Promise((resolve) => setTimeout(resolve, 5));
+    const { entries } = await sessionService.forkSession('s43', { turn: 4, newSessionId: 's43b' });
+    await turn;
+
+    expect(entries.map((entry) => entry.content)).toEqual([
+      'Hola', 'ollama reply 1 to Hola', '¿Qué necesitas?', 'ollama reply 2 to ¿Qué necesitas?', 'Tercero', 'ollama reply 3 to Tercero',
+    ]);
+  });
+});
+
+describe('Borrado de sesiones', () => {
+  test('borra todas las claves de la sesión y el estado remoto del proveedor', async () => {
+    await createSessionWithTurns('s30', 'ollama');
+    const sessionData = await sessionService.getSession('s30');
+
+    expect(await sessionService.deleteSession('s30')).toBe(true);
+
+    expect(providers.ollama.deleteSession).toHaveBeenCalledWith({ sessionId: 's30', sessionData });
+    expect(sessionService.getSessionKeys('s30').filter((key) => store.has(key))).toEqual([]);
+    expect(await sessionService.getSession('s30')).toBeNull();
+  });
+
+  test('borra también las Idempotency-Key de la sesión, pero no las de otras', async () => {
+    await createSessionWithTurns('s32');
+    await idempotencyService.begin('s32', 'k1', { message: 'Hola' });
+    await idempotencyService.complete('s32', 'k1', { message: 'Hola' }, { message: 'Hola, soy Ana' });
+    await idempotencyService.begin('s32b', 'k1', { message: 'Hola' });
+
+    expect(await sessionService.deleteSession('s32')).toBe(true);
+
+    expect(store.has(idempotencyService.getIdempotencyKey('s32', 'k1'))).toBe(false);
+    expect(store.has(idempotencyService.getIdempotencyKey('s32b', 'k1'))).toBe(true);
+  });
+
+  test('un fallo del proveedor no impide el borrado y una sesión desconocida devuelve false', async () => {
+    const consoleWarn = vi.spyOn(console, 'warn').mockImplementation(() => {});
+    await createSessionWithTurns('s31');
+    providers['openai-responses'].deleteSession = vi.fn(async () => {
+      throw new Error('conversation not found');
+    });
+
+    expect(await sessionService.deleteSession('s31')).toBe(true);
+    expect(sessionService.getSessionKeys('s31').filter((key) => store.has(key))).toEqual([]);
+    expect(consoleWarn).toHaveBeenCalled();
+
+    expect(await sessionService.deleteSession('s31')).toBe(false);
+    consoleWarn.mockRestore();
+  });
+
+  test('un borrado durante un turno espera a que acabe y no deja claves huérfanas', async () => {
+    await sessionService.createSession('s6b', 'Eres Ana', 'model-a', 'ollama', 'key-a', 'user-a');
+    providers.ollama.sendMessage = vi.fn(async ({ message }) => {
+      await new Promise((resolve) => setTimeout(resolve, 20));
+      return { message: `reply to ${message}`, usage: { totalTokens: 10 } };
+    });
+
+    const turn = sessionService.sendMessage('s6b', 'Hola');
+    await new Promise((resolve) => setTimeout(resolve, 5));
+    const [reply, deleted] = await Promise.all([turn, sessionService.deleteSession('s6b')]);
+
+    expect(reply.message).toBe('reply to Hola');
+    expect(deleted).toBe(true);
+    expect(sessionService.getSessionKeys('s6b').filter((key) => store.has(key))).toEqual([]);
+    await expect(sessionService.requireSession('s6b')).rejects.toMatchObject({ status: 404 });
+  });
+
+  test('un mensaje que esperaba al borrado responde 404 sin llegar al proveedor', async () => {
+    await sessionService.createSession('s6c', 'Eres Ana', 'model-a', 'ollama', 'key-a', 'user-a');
+    providers.ollama.deleteSession = vi.fn(() => new Promise((resolve) => setTimeout(resolve, 20)));
+
+    const deleted = sessionService.deleteSession('s6c');
+    await new Promise((resolve) => setTimeout(resolve, 5));
+
+    await expect(sessionService.sendMessage('s6c', 'Hola')).rejects.toMatchObject({ status: 404 });
+    expect(await deleted).toBe(true);
+    expect(providers.ollama.sendMessage).not.toHaveBeenCalled();
+  });
+});
+
+describe('Caducidad de sesiones', () => {
+  const tombstoneKey = (sessionId) => `${sessionService.expiredPrefix}${sessionId}`;
+
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  test('responde 410 al pasar la vida máxima y borra las claves dejando la marca de caducada', async () => {
+    vi.useFakeTimers({ toFake: ['Date'] });
+    await sessionService.createSession('s20', 'Eres Ana', 'model-a', 'ollama', 'key-a', 'user-a', { sessionTtlSeconds: 60 });
+    await sessionService.sendMessage('s20', 'Hola');
+    await idempotencyService.begin('s20', 'k1', { message: 'Hola' });
+
+    await expect(sessionService.requireSession('s20')).resolves.toMatchObject({ sessionId: 's20' });
+
+    vi.setSystemTime(Date.now() + 61 * 1000);
+
+    await expect(sessionService.requireSession('s20')).rejects.toMatchObject({ status: 410 });
+    expect(sessionService.getSessionKeys('s20').filter((key) => store.has(key))).toEqual([]);
+    expect(store.has(idempotencyService.getIdempotencyKey('s20', 'k1'))).toBe(false);
+    expect(store.has(tombstoneKey('s20'))).toBe(true);
+  });
+
+  test('distingue una sesión que Redis dejó caducar (410) de una que nunca existió (404)', async () => {
+    await sessionService.createSession('s21', 'Eres Ana', 'model-a', 'ollama', 'key-a', 'user-a', { idleTimeoutSeconds: 300 });
+
+    // Redis borra las claves al vencer el idle timeout; la marca sobrevive
+    for (const key of sessionService.getSessionKeys('s21')) {
+      store.delete(key);
+    }
+
+    await expect(sessionService.requireSession('s21')).rejects.toMatchObject({ status: 410 });
+    await expect(sessionService.requireSession('s21-nunca')).rejects.toMatchObject({ status: 404 });
+
+    // Sin marca (la retención también venció) vuelve a ser desconocida
+    store.delete(tombstoneKey('s21'));
+    await expect(sessionService.requireSession('s21')).rejects.toMatchObject({ status: 404 });
+  });
+
+  test('cada turno renueva el idle timeout de todas las claves, sin pasar de la vida máxima', async () => {
+    vi.useFakeTimers({ toFake: ['Date'] });
+    await sessionService.createSession('s22', 'Eres Ana', 'model-a', 'ollama', 'key-a', 'user-a', {
+      sessionTtlSeconds: 600,
+      idleTimeoutSeconds: 300,
+    });
+    const expirationsOf = () => redisClient.expire.mock.calls.filter(([key]) => sessionService.getSessionKeys('s22').includes(key));
+
+    vi.setSystemTime(Date.now() + 200 * 1000);
+    redisClient.expire.mockClear();
+    redisClient.set.mockClear();
+    await sessionService.sendMessage('s22', 'Hola');
+
+    expect(expirationsOf()).toEqual(sessionService.getSessionKeys('s22').map((key) => [key, 300]));
+    expect(redisClient.set).toHaveBeenCalledWith(tombstoneKey('s22'), expect.any(String), {
+      EX: 300 + sessionService.expiredRetentionSeconds,
+    });
+
+    // A 150 s del final de su vida, la sesión no se alarga otros 300 s
+    vi.setSystemTime(Date.now() + 250 * 1000);
+    redisClient.expire.mockClear();
+    await sessionService.sendMessage('s22', '¿Sigues ahí?');
+
+    expect(expirationsOf().map(([, ttl]) => ttl)).toEqual(sessionService.getSessionKeys('s22').map(() => 150));
+  });
+});
+
+describe('Imágenes adjuntas', () => {
+  const images = [{ mimeType: 'image/png', data: Buffer.from('boceto').toString('base64') }];
+
+  test('se reenvían al proveedor y el transcript guarda solo su descripción', async () => {
+    providers['openai-responses'].supportsImages = true;
+    await sessionService.createSession('s7', 'Eres Ana', 'model-a', 'openai-responses', 'key-a', 'user-a');
+
+    await sessionService.sendMessage('s7', 'Mira mi boceto', { images });
+
+    expect(providers['openai-responses'].sendMessage.mock.calls[0][0].images).toEqual(images);
+    const [userEntry] = await transcriptService.getTranscript('s7');
+    expect(userEntry.attachments).toEqual([{ type: 'image', mimeType: 'image/png', bytes: 6 }]);
+  });
+
+  test('responde 400 si el proveedor de la sesión no acepta imágenes', async () => {
+    await sessionService.createSession('s8', 'Eres Ana', 'model-a', 'ollama', 'key-a', 'user-a');
+
+    await expect(sessionService.sendMessage('s8', 'Mira mi boceto', { images })).rejects.toMatchObject({ status: 400 });
+    expect(providers.ollama.sendMessage).not.toHaveBeenCalled();
+  });
+});
+
+describe('Límites de uso por sesión', () => {
+  const createLimitedSession = (sessionId, limits) => sessionService.createSession(
+    sessionId, 'Eres Ana', 'model-a', 'ollama', 'key-a', 'user-a', {}, sessionService.parseLimits({ limits })
+  );
+
+  test('cuenta turnos y tokens y devuelve el presupuesto restante', async () => {
+    await createLimitedSession('s9', { maxTurns: 3, maxTotalTokens: 1000 });
+
+    const response = await sessionService.sendMessage('s9', 'Hola');
+
+    expect(response.quota).toEqual({
+      turns: { limit: 3, used: 1, remaining: 2 },
+      tokens: { limit: 1000, used: 100, remaining: 900 },
+    });
+  });
+
+  test('responde 429 con el presupuesto cuando se agotan los turnos', async () => {
+    await createLimitedSession('s10', { maxTurns: 1 });
+    await sessionService.sendMessage('s10', 'Hola');
+
+    await expect(sessionService.sendMessage('s10', 'Otra vez')).rejects.toMatchObject({
+      status: 429,
+      quota: { turns: { limit: 1, used: 1, remaining: 0 } },
+    });
+    expect(providers.ollama.sendMessage).toHaveBeenCalledTimes(1);
+  });
+
+  test('responde 429 cuando se agotan los tokens y 413 con un mensaje demasiado largo', async () => {
+    await createLimitedSession('s11', { maxTotalTokens: 100, maxMessageChars: 10 });
+
+    await expect(sessionService.sendMessage('s11', 'Un mensaje muy largo')).rejects.toMatchObject({ status: 413 });
+    await sessionService.sendMessage('s11', 'Hola');
+    await expect(sessionService.sendMessage('s11', 'Hola')).rejects.toMatchObject({ status: 429 });
+  });
+
+  test('deshacer un turno devuelve el turno al presupuesto pero no sus tokens', async () => {
+    await createLimitedSession('s42', { maxTurns: 1, maxTotalTokens: 1000 });
+    await sessionService.sendMessage('s42', 'Hola');
+
+    const { sessionData } = await sessionService.rewindLastTurn('s42');
+
+    expect(sessionService.getQuota(sessionData)).toEqual({
+      turns: { limit: 1, used: 0, remaining: 1 },
+      tokens: { limit: 1000, used: 100, remaining: 900 },
+    });
+    const response = await sessionService.sendMessage('s42', 'Hola otra vez');
+    expect(response.quota.tokens.used).toBe(200);
+  });
+
+  test('rechaza con 400 límites que no son enteros positivos', () => {
+    expect(() => sessionService.parseLimits({ limits: { maxTurns: 0 } })).toThrow(expect.objectContaining({ status: 400 }));
+    expect(() => sessionService.parseLimits({ limits: { maxTotalTokens: 'mucho' } })).toThrow(expect.objectContaining({ status: 400 }));
+    expect(sessionService.parseLimits({})).toEqual({ maxTurns: null, maxTotalTokens: null, maxMessageChars: null });
+  });
+});
+
+describe('Consumo de un turno con varias rondas', () => {
+  test('la respuesta suma el consumo de todas las llamadas y el transcript guarda el de cada una', async () => {
+    await createSessionWithTurns('s40');
+    const provider = providers['openai-responses'];
+    provider.sendMessage = vi.fn()
+      .mockResolvedValueOnce({
+        toolCalls: [{ callId: 'c1', name: 'edit_editor', arguments: '{"find":3}' }],
+        usage: { model: 'model-a', inputTokens: 100, outputTokens: 20, reasoningTokens: null, totalTokens: 120, latencyMs: 300, finishReason: 'tool_calls' },
+      })
+      .mockResolvedValueOnce({
+        message: 'Hecho',
+        usage: { model: 'model-a', inputTokens: 150, outputTokens: 10, reasoningTokens: null, totalTokens: 160, latencyMs: 200, finishReason: 'stop' },
+      });
+
+    const response = await sessionService.sendMessage('s40', 'Añade un comentario', {
+      tools: [{ name: 'edit_editor', parameters: { type: 'object', properties: { find: { type: 'string' } } } }],
+    });
+
+    expect(response.usage).toEqual({
+      model: 'model-a', inputTokens: 250, outputTokens: 30, reasoningTokens: null, totalTokens: 280, latencyMs: 500, finishReason: 'stop',
+    });
+    expect((await sessionService.getSession('s40')).tokensUsed).toBe(String(200 + 280));
+    expect((await transcriptService.getTranscript('s40')).slice(4).map((entry) => entry.usage?.totalTokens)).toEqual([
+      undefined, 120, undefined, 160,
+    ]);
+  });
+});
+
+describe('Mensaje de apertura de la LEIA', () => {
+  test('la LEIA habla primero y el contexto queda solo con su apertura', async () => {
+    await sessionService.createSession('s12', 'Eres Ana', 'model-a', 'ollama', 'key-a', 'user-a');
+
+    const opening = await sessionService.generateOpeningMessage('s12', 'Saluda y presenta el problema');
+
+    expect(providers.ollama.sendMessage.mock.calls[0][0].message).toContain('For this opening: Saluda y presenta el problema');
+    expect(providers.ollama.restoreHistory.mock.calls[0][0].history).toEqual([
+      { role: 'assistant', content: opening.message },
+    ]);
+    const transcript = await transcriptService.getTranscript('s12');
+    expect(transcript).toHaveLength(1);
+    expect(transcript[0]).toMatchObject({ role: 'assistant', turn: 0, content: opening.message });
+  });
+
+  test('el primer mensaje del estudiante abre el turno 1 tras la apertura', async () => {
+    await sessionService.createSession('s13', 'Eres Ana', 'model-a', 'ollama', 'key-a', 'user-a');
+    await sessionService.generateOpeningMessage('s13');
+
+    await sessionService.sendMessage('s13', 'Hola');
+
+    expect((await transcriptService.getTranscript('s13')).map((entry) => entry.turn)).toEqual([0, 1, 1]);
+  });
+});
+
+describe('Estado de la sesión', () => {
+  test('una sesión entregada o cerrada no admite mensajes ni deshacer turnos', async () => {
+    await createSessionWithTurns('s14');
+
+    await sessionService.setStatus('s14', 'submitted');
+    await expect(sessionService.sendMessage('s14', 'Una cosa más')).rejects.toMatchObject({ status: 409, sessionStatus: 'submitted' });
+    await expect(sessionService.rewindLastTurn('s14')).rejects.toMatchObject({ status: 409 });
+
+    await sessionService.setStatus('s14', 'closed');
+    await expect(sessionService.sendMessage('s14', 'Hola')).rejects.toMatchObject({ sessionStatus: 'closed' });
+  });
+
+  test('reabrir una sesión vuelve a permitir mensajes', async () => {
+    await createSessionWithTurns('s15');
+    await sessionService.setStatus('s15', 'closed');
+
+    const reopened = await sessionService.setStatus('s15', 'active');
+
+    expect(reopened.status).toBe('active');
+    await expect(sessionService.sendMessage('s15', 'Sigo')).resolves.toMatchObject({ message: expect.any(String) });
+  });
+
+  test('rechaza transiciones no permitidas y estados desconocidos', async () => {
+    await createSessionWithTurns('s16');
+    await sessionService.setStatus('s16', 'closed');
+
+    await expect(sessionService.setStatus('s16', 'submitted')).rejects.toMatchObject({ status: 409 });
+    await expect(sessionService.setStatus('s16', 'archived')).rejects.toMatchObject({ status: 400 });
+  });
+
+  test('con from solo cambia el estado si la sesión sigue en ese estado', async () => {
+    await createSessionWithTurns('s16b');
+    await sessionService.setStatus('s16b', 'submitted');
+    await sessionService.setStatus('s16b', 'closed');
+
+    expect(await sessionService.setStatus('s16b', 'active', { from: 'submitted' })).toBeNull();
+    expect((await sessionService.getSession('s16b')).status).toBe('closed');
+
+    await sessionService.setStatus('s16b', 'active');
+    await sessionService.setStatus('s16b', 'submitted');
+    await expect(sessionService.setStatus('s16b', 'active', { from: 'submitted' })).resolves.toMatchObject({ status: 'active' });
+  });
+});
+
+function pendingCallsState(callIds) {
+  return {
+    providerState: {
+      systemInstruction: 'Eres Ana',
+      pendingToolCalls: callIds.map((callId) => ({ callId, name: 'read_editor' })),
+    },
+  };
+}
+
+// Como los proveedores reales, rechaza un mensaje normal mientras haya
+// llamadas a tools sin respuesta en su historial
+function replyUnlessCallsPending(toolCallsResponse) {
+  return vi.fn(async ({ message, toolResults, sessionData }) => {
+    if (toolResults || message === 'Calcula' || message === 'Añade un comentario') {
+      return toolCallsResponse();
+    }
+    if (sessionData.providerState?.pendingToolCalls?.length) {
+      throw new Error('No tool output found for function call');
+    }
+    return { message: `reply to ${message}`, usage: { totalTokens: 10 } };
+  });
+}
+
+describe('Herramientas ejecutadas por el runner', () => {
+  async function createSessionWithRunnerTools(sessionId, meta = {}) {
+    await sessionService.createSession(sessionId, 'Eres Ana', 'model-a', 'openai-responses', 'key-a', 'user-a');
+    await sessionService.storeLeiaMeta(sessionId, {
+      leiaId: 'leia-1',
+      toolFunctionsEnabled: 'false',
+      runnerTools: JSON.stringify(['calculator']),
+      ...meta,
+    });
+  }
+
+  test('ejecuta la llamada, devuelve el resultado al modelo y registra la ronda en el transcript', async () => {
+    await createSessionWithRunnerTools('s12');
+    const provider = providers['openai-responses'];
+    provider.sendMessage = vi.fn()
+      .mockResolvedValueOnce({ toolCalls: [{ callId: 'c1', name: 'calculator', arguments: '{"expression":"6*7"}' }], usage: { totalTokens: 30 } })
+      .mockResolvedValueOnce({ message: 'Son 42', usage: { totalTokens: 20 } });
+
+    const response = await sessionService.sendMessage('s12', '¿Cuánto es 6 por 7?');
+
+    expect(response.message).toBe('Son 42');
+    expect(provider.sendMessage.mock.calls[0][0]).toMatchObject({ allowTools: true, tools: [{ name: 'calculator' }] });
+    expect(provider.sendMessage.mock.calls[1][0]).toMatchObject({
+      message: undefined,
+      toolResults: [{ callId: 'c1', output: { expression: '6*7', result: 42 } }],
+    });
+    expect((await transcriptService.getTranscript('s12')).map((entry) => entry.role)).toEqual([
+      'user', 'assistant', 'tool', 'assistant',
+    ]);
+    expect((await sessionService.getSession('s12')).tokensUsed).toBe('50');
+    expect(response.usage.totalTokens).toBe(50);
+  });
+
+  test('el glosario del problema dado de alta con createLeia responde a la tool glossary', async () => {
+    await leiaService.createLeia({
+      sessionId: 's12b',
+      leia: buildLeia({ glossary: [{ term: 'Caché', definition: 'Copia local de datos frecuentes' }] }),
+      runnerConfiguration: { ...runnerConfiguration, runnerTools: ['glossary'] },
+    });
+    const provider = providers['openai-responses'];
+    provider.sendMessage = vi.fn()
+      .mockResolvedValueOnce({ toolCalls: [{ callId: 'c1', name: 'glossary', arguments: '{"term":"cache"}' }] })
+      .mockResolvedValueOnce({ message: 'Una caché es una copia local' });
+
+    await sessionService.sendMessage('s12b', '¿Qué es una caché?');
+
+    expect(provider.sendMessage.mock.calls[1][0].toolResults).toEqual([
+      { callId: 'c1', output: { found: true, term: 'Caché', definition: 'Copia local de datos frecuentes' } },
+    ]);
+  });
+
+  test('las tools del cliente pasan por la lista de los widgets antes de sumarse a las del runner', async () => {
+    await createSessionWithRunnerTools('s12c', { toolFunctionsEnabled: 'true' });
+
+    await sessionService.sendMessage('s12c', 'Calcula', { tools: [{ name: 'run_shell' }, { name: 'calculator', description: 'falsa' }] });
+
+    expect(providers['openai-responses'].sendMessage.mock.calls[0][0].tools).toEqual(runnerToolRegistry.getDefinitions(['calculator']));
+  });
+
+  test('con llamadas mixtas devuelve solo las del frontend y envía después todos los resultados', async () => {
+    await createSessionWithRunnerTools('s13', { toolFunctionsEnabled: 'true', widgetTools });
+    const provider = providers['openai-responses'];
+    provider.sendMessage = vi.fn()
+      .mockResolvedValueOnce({
+        toolCalls: [
+          { callId: 'c1', name: 'calculator', arguments: '{"expression":"1+1"}' },
+          { callId: 'c2', name: 'read_editor', arguments: '{}' },
+        ],
+        sessionData: pendingCallsState(['c1', 'c2']),
+      })
+      .mockResolvedValueOnce({ message: 'Visto' });
+
+    const first = await sessionService.sendMessage('s13', 'Revisa', { tools: [{ name: 'read_editor' }] });
+    expect(first.toolCalls.map((call) => call.callId)).toEqual(['c2']);
+
+    await sessionService.sendMessage('s13', undefined, { toolResults: [{ callId: 'c2', output: 'codigo' }] });
+
+    expect(provider.sendMessage.mock.calls[1][0].toolResults).toEqual([
+      { callId: 'c2', output: 'codigo' },
+      { callId: 'c1', output: { expression: '1+1', result: 2 } },
+    ]);
+    expect((await sessionService.getSession('s13')).pendingRunnerToolResults).toBe('');
+  });
+
+  test('corta con 502 si el modelo no deja de llamar a herramientas', async () => {
+    await createSessionWithRunnerTools('s14');
+    providers['openai-responses'].sendMessage = vi.fn(async () => ({
+      toolCalls: [{ callId: 'c', name: 'calculator', arguments: '{"expression":"1"}' }],
+    }));
+
+    await expect(sessionService.sendMessage('s14', 'Calcula')).rejects.toMatchObject({ status: 502 });
+  });
+
+  test('tras cortar el bucle la sesión sigue usable y cuenta los tokens de las rondas', async () => {
+    await createSessionWithRunnerTools('s14b');
+    const provider = providers['openai-responses'];
+    provider.sendMessage = replyUnlessCallsPending(() => ({
+      toolCalls: [{ callId: 'c', name: 'calculator', arguments: '{"expression":"1"}' }],
+      usage: { totalTokens: 5 },
+      sessionData: { providerState: { systemInstruction: 'Eres Ana', pendingToolCalls: [{ callId: 'c', name: 'calculator' }] } },
+    }));
+
+    await expect(sessionService.sendMessage('s14b', 'Calcula')).rejects.toMatchObject({ status: 502 });
+
+    const session = await sessionService.getSession('s14b');
+    expect(session.providerState.pendingToolCalls).toBeUndefined();
+    expect(session.tokensUsed).toBe(String(5 * (runnerToolRegistry.maxRounds + 1)));
+
+    const response = await sessionService.sendMessage('s14b', 'Otra cosa');
+    expect(response.message).toBe('reply to Otra cosa');
+  });
+});
+
+describe('Validación de toolResults', () => {
+  async function createSessionWithPendingCalls(sessionId, callIds) {
+    await sessionService.createSession(sessionId, 'Eres Ana', 'model-a', 'openai-responses', 'key-a', 'user-a');
+    await sessionService.storeLeiaMeta(sessionId, { leiaId: 'leia-1', toolFunctionsEnabled: 'true', widgetTools });
+    await sessionService.updateSession(sessionId, pendingCallsState(callIds));
+  }
+
+  test('acepta resultados que responden exactamente a las llamadas pendientes', async () => {
+    await createSessionWithPendingCalls('s15', ['c1', 'c2']);
+
+    await sessionService.sendMessage('s15', undefined, {
+      toolResults: [{ callId: 'c2', output: 'b' }, { callId: 'c1', output: 'a' }],
+    });
+
+    expect(providers['openai-responses'].sendMessage).toHaveBeenCalledTimes(1);
+  });
+
+  test('rechaza con 400 callIds desconocidos, ausentes o repetidos sin llamar al proveedor', async () => {
+    await createSessionWithPendingCalls('s16', ['c1', 'c2']);
+
+    await expect(sessionService.sendMessage('s16', undefined, {
+      toolResults: [{ callId: 'c1', output: 'a' }, { callId: 'c1', output: 'a' }, { callId: 'viejo', output: 'x' }],
+    })).rejects.toMatchObject({
+      status: 400,
+      toolCallMismatch: { unknownCallIds: ['viejo'], missingCallIds: ['c2'], duplicateCallIds: ['c1'] },
+    });
+    await expect(sessionService.sendMessage('s16', undefined, { toolResults: [{ output: 'sin callId' }] }))
+      .rejects.toMatchObject({ status: 400 });
+    expect(providers['openai-responses'].sendMessage).not.toHaveBeenCalled();
+  });
+
+  test('responde 409 si no hay llamadas pendientes', async () => {
+    await createSessionWithTurns('s17');
+
+    await expect(sessionService.sendMessage('s17', undefined, { toolResults: [{ callId: 'c1', output: 'a' }] }))
+      .rejects.toMatchObject({ status: 409 });
+  });
+});
+
+describe('Alta de LEIAs', () => {
+  test('dos altas simultáneas del mismo sessionId crean una sola sesión', async () => {
+    const create = () => leiaService.createLeia({ sessionId: 's41', leia: buildLeia(), runnerConfiguration });
+
+    const results = await Promise.all([create(), create()]);
+
+    expect(results.map((result) => result.created).sort()).toEqual([false, true]);
+    expect(providers['openai-responses'].createSession).toHaveBeenCalledTimes(1);
+  });
+});
+
+describe('Tools permitidas por los widgets', () => {
+  const clientTools = [
+    { name: 'read_editor', description: 'Reads the editor', parameters: { type: 'object', properties: { hack: { type: 'string' } } } },
+    { name: 'run_shell', description: 'Runs a command' },
+  ];
+
+  test('solo llegan al modelo las tools declaradas, con su esquema y nota de uso', async () => {
+    await sessionService.createSession('s18', 'Eres Ana', 'model-a', 'openai-responses', 'key-a', 'user-a');
+    await sessionService.storeLeiaMeta('s18', {
+      leiaId: 'leia-1',
+      toolFunctionsEnabled: 'true',
+      widgetTools: JSON.stringify([
+        { name: 'read_editor', widget: 'code-editor', parameters: { type: 'object', properties: {} }, usage: 'Antes de opinar' },
+      ]),
+    });
+
+    await sessionService.sendMessage('s18', 'Revisa', { tools: clientTools });
+
+    expect(providers['openai-responses'].sendMessage.mock.calls[0][0].tools).toEqual([{
+      name: 'read_editor',
+      description: 'Reads the editor Usage in this activity: Antes de opinar',
+      parameters: { type: 'object', properties: {} },
+    }]);
+  });
+
+  test('si los widgets no declaran tools no llega al modelo ninguna del cliente', async () => {
+    await leiaService.createLeia({
+      sessionId: 's19',
+      leia: buildLeia({ widgets: [{ id: 'code-editor' }] }),
+      runnerConfiguration,
+    });
+
+    await sessionService.sendMessage('s19', 'Revisa', { tools: clientTools });
+
+    expect(providers['openai-responses'].sendMessage.mock.calls[0][0]).toMatchObject({ allowTools: false, tools: undefined });
+  });
+
+  test('sin lista de tools se descartan todas las del cliente aunque las tools estén activadas', async () => {
+    await sessionService.createSession('s19b', 'Eres Ana', 'model-a', 'openai-responses', 'key-a', 'user-a');
+    await sessionService.storeLeiaMeta('s19b', { leiaId: 'leia-1', toolFunctionsEnabled: 'true' });
+
+    await sessionService.sendMessage('s19b', 'Revisa', { tools: clientTools });
+
+    expect(providers['openai-responses'].sendMessage.mock.calls[0][0].tools).toBeUndefined();
+  });
+});
+
+describe('Argumentos de las toolCalls', () => {
+  const tools = [{
+    name: 'edit_editor',
+    parameters: { type: 'object', properties: { find: { type: 'string' } }, required: ['find'] },
+  }];
+
+  test('devuelve al modelo los argumentos inválidos y entrega solo la llamada corregida', async () => {
+    await createSessionWithTurns('s20');
+    const provider = providers['openai-responses'];
+    provider.sendMessage = vi.fn()
+      .mockResolvedValueOnce({ toolCalls: [{ callId: 'c1', name: 'edit_editor', arguments: '{"find":3}' }] })
+      .mockResolvedValueOnce({ toolCalls: [{ callId: 'c2', name: 'edit_editor', arguments: '{"find":"x"}' }] });
+
+    const response = await sessionService.sendMessage('s20', 'Añade un comentario', { tools });
+
+    expect(response.toolCalls).toEqual([{ callId: 'c2', name: 'edit_editor', arguments: '{"find":"x"}' }]);
+    expect(provider.sendMessage.mock.calls[1][0].toolResults).toEqual([
+      { callId: 'c1', output: { error: expect.stringContaining('/find must be string') } },
+    ]);
+    expect((await transcriptService.getTranscript('s20')).slice(4).map((entry) => entry.role)).toEqual([
+      'user', 'assistant', 'tool', 'assistant',
+    ]);
+  });
+
+  test('responde 502 si el modelo agota los reintentos', async () => {
+    await createSessionWithTurns('s21');
+    providers['openai-responses'].sendMessage = vi.fn(async () => ({
+      toolCalls: [{ callId: 'c', name: 'edit_editor', arguments: '{}' }],
+    }));
+
+    await expect(sessionService.sendMessage('s21', 'Añade un comentario', { tools })).rejects.toMatchObject({ status: 502 });
+    expect(providers['openai-responses'].sendMessage).toHaveBeenCalledTimes(3);
+  });
+
+  test('tras el 502 la sesión sigue usable y cuenta los tokens de los intentos', async () => {
+    await createSessionWithTurns('s22');
+    const provider = providers['openai-responses'];
+    provider.sendMessage = replyUnlessCallsPending(() => ({
+      toolCalls: [{ callId: 'c', name: 'edit_editor', arguments: '{}' }],
+      usage: { totalTokens: 7 },
+      sessionData: pendingCallsState(['c']),
+    }));
+
+    await expect(sessionService.sendMessage('s22', 'Añade un comentario', { tools })).rejects.toMatchObject({ status: 502 });
+
+    const session = await sessionService.getSession('s22');
+    expect(session.providerState.pendingToolCalls).toBeUndefined();
+    expect(session.tokensUsed).toBe(String(200 + 3 * 7));
+    expect(session.turnsUsed).toBe('2');
+    expect(provider.restoreHistory.mock.calls[0][0].history).toHaveLength(4);
+
+    const response = await sessionService.sendMessage('s22', 'Sigamos');
+    expect(response.message).toBe('reply to Sigamos');
+    expect((await transcriptService.getTranscript('s22')).map((entry) => entry.content)).toEqual([
+      'Hola', 'openai-responses reply 1 to Hola', '¿Qué necesitas?', 'openai-responses reply 2 to ¿Qué necesitas?',
+      'Sigamos', 'reply to Sigamos',
+    ]);
+  });
+});
@@ -0,0 +1,207 @@
+import { describe, expect, test, beforeEach, afterEach, vi } from 'vitest';
+import { createRequire } from 'module';
+
+// Redis en memoria y supervisorService.observe sustituido por un supervisor
+// falso: se prueba cuándo se lanza, qué ventana recibe y qué se guarda.
+const require = createRequire(import.meta.url);
+const { redisClient } = require('../config/redis');
+const supervisorService = require('../services/supervisorService');
+const supervisionService = require('../services/supervisionService');
+const transcriptService = require('../services/transcriptService');
+const webhookService = require('../services/webhookService');
+const modelManager = require('../models/modelManager');
+
+const REDIS_METHODS = ['rPush', 'lRange', 'del', 'ttl', 'expire'];
+const original = Object.fromEntries(REDIS_METHODS.map((method) => [method, redisClient[method]]));
+original.observe = supervisorService.observe;
+original.emit = webhookService.emit;
+original.apiKeyProviders = modelManager.providerModuleApiKeyProviders;
+
+const SESSION_ID = 'session-1';
+const sessionData = { provider: 'openai-responses', apiKeyId: 'key-1', apiKeyRequesterId: 'teacher-1' };
+
+let store;
+
+function leiaMetaWith(config) {
+  return { supervisorConfig: JSON.stringify(supervisionService.parseConfig(config, { provider: 'openai-responses' })) };
+}
+
+async function storeTurns(count) {
+  const entries = [];
+  for (let turn = 1; turn <= count; turn += 1) {
+    entries.push({ role: 'user', content: `pregunta ${turn}` });
+    entries.push({ role: 'assistant', toolCalls: [{ callId: `call-${turn}`, name: 'lookupTerm' }] });
+    entries.push({ role: 'tool', toolResults: [{ callId: `call-${turn}`, output: 'ok' }] });
+    entries.push({ role: 'assistant', content: `respuesta ${turn}` });
+  }
+  store.set(transcriptService.getTranscriptKey(SESSION_ID), entries.map((entry) => JSON.stringify(entry)));
+}
+
+beforeEach(() => {
+  store = new Map();
+  redisClient.rPush = vi.fn(async (key, values) => {
+    const list = store.get(key) || [];
+    list.push(...[].concat(values));
+    store.set(key, list);
+    return list.length;
+  });
+  redisClient.lRange = vi.fn(async (key) => store.get(key) || []);
+  redisClient.del = vi.fn(async (keys) => [].concat(keys).filter((key) => store.delete(key)).length);
+  redisClient.ttl = vi.fn(async (key) => (store.has(key) ? 3600 : -2));
+  redisClient.expire = vi.fn(async () => 1);
+  supervisorService.observe = vi.fn(async () => ({
+    flags: [{ category: 'frustration', severity: 'medium', note: 'El alumno se atasca', quote: 'no sé' }],
+    nudge: 'Prueba a repasar el enunciado',
+  }));
+  webhookService.emit = vi.fn();
+  modelManager.providerModuleApiKeyProviders = new Map([['openai-responses', 'openai'], ['gemini', 'gemini']]);
+});
+
+afterEach(() => {
+  for (const method of REDIS_METHODS) {
+    redisClient[method] = original[method];
+  }
+  supervisorService.observe = original.observe;
+  webhookService.emit = original.emit;
+  modelManager.providerModuleApiKeyProviders = original.apiKeyProviders;
+});
+
+describe('Configuración del supervisor', () => {
+  test('aplica los valores por defecto y admite la ausencia de configuración', () => {
+    expect(supervisionService.parseConfig(undefined)).toBeNull();
+    expect(supervisionService.parseConfig({ instructions: 'Vigila' }, { provider: 'openai-responses' })).toMatchObject({
+      instructions: 'Vigila',
+      everyTurns: supervisionService.defaultEveryTurns,
+      windowTurns: supervisionService.defaultWindowTurns,
+    });
+  });
+
+  test('rechaza configuraciones inválidas con un 400', () => {
+    for (const config of ['sí', [], { everyTurns: 0 }, { windowTurns: 1.5 }, { sensitivity: 'extreme' }, { categories: [1] }, { apiKeyId: 'key-2' }]) {
+      expect(() => supervisionService.parseConfig(config, { provider: 'openai-responses' })).toThrow(expect.objectContaining({ status: 400 }));
+    }
+  });
+
+  test('exige una clave de OpenAI cuando la LEIA no corre en OpenAI', () => {
+    expect(() => supervisionService.parseConfig({ instructions: 'Vigila' }, { provider: 'gemini' }))
+      .toThrow(expect.objectContaining({ status: 400, message: expect.stringContaining('apiKeyId') }));
+    expect(supervisionService.parseConfig(
+      { instructions: 'Vigila', apiKeyId: 'openai-key', apiKeyRequesterId: 'teacher-1' },
+      { provider: 'gemini' }
+    )).toMatchObject({ apiKeyId: 'openai-key' });
+  });
+});
+
+describe('Supervisión dentro de la sesión', () => {
+  test('se lanza cada everyTurns turnos del alumno con la ventana de la transcripción', async () => {
+    const leiaMeta = leiaMetaWith({ instructions: 'Vigila', everyTurns: 2, windowTurns: 1 });
+
+    await storeTurns(1);
+    expect(await supervisionService.observeIfDue(SESSION_ID, sessionData, leiaMeta)).toBeNull();
+    expect(supervisorService.observe).not.toHaveBeenCalled();
+
+    await storeTurns(2);
+    const observation = await supervisionService.observeIfDue(SESSION_ID, sessionData, leiaMeta);
+
+    expect(observation).toMatchObject({ turn: 2, nudge: 'Prueba a repasar el enunciado' });
+    expect(supervisorService.observe).toHaveBeenCalledWith(expect.objectContaining({
+      runnerConfiguration: { apiKeyId: 'key-1', apiKeyRequesterId: 'teacher-1' },
+      transcript: [
+        { role: 'student', text: 'pregunta 2' },
+        { role: 'leia', text: 'respuesta 2' },
+      ],
+      existingFlags: [],
+    }));
+    expect(redisClient.expire).toHaveBeenCalledWith(supervisionService.getObservationsKey(SESSION_ID), 3600);
+    expect(webhookService.emit).toHaveBeenCalledWith('supervisor.flag_raised', expect.objectContaining({
+      sessionId: SESSION_ID,
+      turn: 2,
+      flags: [expect.objectContaining({ category: 'frustration' })],
+    }));
+  });
+
+  test('conserva los flags y nudges entre ejecuciones y los pasa como existingFlags', async () => {
+    const leiaMeta = leiaMetaWith({ instructions: 'Vigila', everyTurns: 1 });
+
+    await storeTurns(1);
+    await supervisionService.observeIfDue(SESSION_ID, sessionData, leiaMeta);
+    await storeTurns(2);
+    await supervisionService.observeIfDue(SESSION_ID, sessionData, leiaMeta);
+
+    expect(supervisorService.observe.mock.calls[1][0].existingFlags).toEqual([
+      expect.objectContaining({ category: 'frustration', turn: 1 }),
+    ]);
+
+    const { flags, nudges, observations } = await supervisionService.getFlags(SESSION_ID);
+    expect(observations).toBe(2);
+    expect(flags.map((flag) => flag.turn)).toEqual([1, 2]);
+    expect(nudges).toEqual([
+      expect.objectContaining({ text: 'Prueba a repasar el enunciado', turn: 1 }),
+      expect.objectContaining({ text: 'Prueba a repasar el enunciado', turn: 2 }),
+    ]);
+  });
+
+  test('no hace nada sin supervisorConfig y no propaga los errores del supervisor', async () => {
+    await storeTurns(3);
+    expect(await supervisionService.observeIfDue(SESSION_ID, sessionData, { supervisorConfig: '' })).toBeNull();
+
+    supervisorService.observe = vi.fn(async () => {
+      throw new Error('boom');
+    });
+    const consoleError = vi.spyOn(console, 'error').mockImplementation(() => {});
+
+    const leiaMeta = leiaMetaWith({ instructions: 'Vigila', everyTurns: 1 });
+    expect(await supervisionService.observeIfDue(SESSION_ID, sessionData, leiaMeta)).toBeNull();
+    expect(store.has(supervisionService.getObservationsKey(SESSION_ID))).toBe(false);
+
+    consoleError.mockRestore();
+  });
+
+  test('usa la clave de la configuración y se salta la supervisión si la sesión ya no corre en OpenAI', async () => {
+    const consoleWarn = vi.spyOn(console, 'warn').mockImplementation(() => {});
+    await storeTurns(1);
+
+    const geminiSession = { ...sessionData, provider: 'gemini', apiKeyId: 'gemini-key' };
+    expect(await supervisionService.observeIfDue(SESSION_ID, geminiSession, leiaMetaWith({ instructions: 'Vigila', everyTurns: 1 }))).toBeNull();
+    expect(supervisorService.observe).not.toHaveBeenCalled();
+    expect(consoleWarn).toHaveBeenCalled();
+
+    const leiaMeta = leiaMetaWith({ instructions: 'Vigila', everyTurns: 1, apiKeyId: 'openai-key', apiKeyRequesterId: 'teacher-2' });
+    await supervisionService.observeIfDue(SESSION_ID, geminiSession, leiaMeta);
+    expect(supervisorService.observe).toHaveBeenCalledWith(expect.objectContaining({
+      runnerConfiguration: { apiKeyId: 'openai-key', apiKeyRequesterId: 'teacher-2' },
+    }));
+    consoleWarn.mockRestore();
+  });
+
+  test('observa cada turno una sola vez aunque se deshaga y se regenere', async () => {
+    const leiaMeta = leiaMetaWith({ instructions: 'Vigila', everyTurns: 1 });
+    await storeTurns(1);
+
+    const [first, concurrent] = await Promise.all([
+      supervisionService.observeIfDue(SESSION_ID, sessionData, leiaMeta),
+      supervisionService.observeIfDue(SESSION_ID, sessionData, leiaMeta),
+    ]);
+    expect(first).toMatchObject({ turn: 1 });
+    expect(concurrent).toBeNull();
+
+    // Deshacer + regenerar vuelve a cerrar el turno 1
+    await storeTurns(1);
+    expect(await supervisionService.observeIfDue(SESSION_ID, sessionData, leiaMeta)).toBeNull();
+
+    expect(supervisorService.observe).toHaveBeenCalledTimes(1);
+    expect((await supervisionService.getFlags(SESSION_ID)).observations).toBe(1);
+  });
+
+  test('descarta la observación si la sesión se borró mientras se supervisaba', async () => {
+    await storeTurns(1);
+    supervisorService.observe = vi.fn(async () => {
+      store.delete(transcriptService.getTranscriptKey(SESSION_ID));
+      return { flags: [], nudge: null };
+    });
+
+    await supervisionService.observeIfDue(SESSION_ID, sessionData, leiaMetaWith({ instructions: 'Vigila', everyTurns: 1 }));
+
+    expect(store.has(supervisionService.getObservationsKey(SESSION_ID))).toBe(false);
+  });
+});
@@ -0,0 +1,73 @@
+import { describe, expect, test } from 'vitest';
+import { createRequire } from 'module';
+
+const require = createRequire(import.meta.url);
+const { renderTemplate, buildTemplateContext, buildInstructionsFromLeia } = require('../utils/templateRenderer');
+
+const leia = {
+  id: 'leia-1',
+  spec: {
+    persona: {
+      id: 'persona-1',
+      spec: { fullName: 'Ana García', firstName: 'Ana', personality: ['amable', 'despistada'] },
+    },
+    behaviour: {
+      spec: {
+        role: 'cliente',
+        description: 'Eres {{persona.fullName}}, {{behaviour.role}}. Problema: {{problem.details}}',
+      },
+    },
+    problem: {
+      spec: { details: '{{persona.firstName}} necesita una web', solution: '' },
+    },
+  },
+};
+
+describe('Renderizado de placeholders de la LEIA', () => {
+  test('resuelve persona, behaviour y problem, incluidos los placeholders anidados', () => {
+    const { instructions, unknown, missing } = buildInstructionsFromLeia(leia);
+
+    expect(instructions).toBe('Eres Ana García, cliente. Problema: Ana necesita una web');
+    expect(unknown).toEqual([]);
+    expect(missing).toEqual([]);
+  });
+
+  test('busca en el propio componente cuando el campo no está en su spec', () => {
+    const { text } = renderTemplate('{{ persona.id }}', buildTemplateContext(leia));
+
+    expect(text).toBe('persona-1');
+  });
+
+  test('une las listas y serializa los objetos', () => {
+    const { text } = renderTemplate('{{persona.personality}}', buildTemplateContext(leia));
+
+    expect(text).toBe('amable, despistada');
+  });
+
+  test('reporta los placeholders desconocidos y los deja sin tocar', () => {
+    const { text, unknown } = renderTemplate('Hola {{student.name}}', buildTemplateContext(leia));
+
+    expect(text).toBe('Hola {{student.name}}');
+    expect(unknown).toEqual(['student.name']);
+  });
+
+  test('reporta los placeholders sin valor y los sustituye por una cadena vacía', () => {
+    const { text, missing } = renderTemplate(
+      'Solución: {{problem.solution}}{{persona.age}}{{problem.solution}}',
+      buildTemplateContext(leia),
+    );
+
+    expect(text).toBe('Solución: ');
+    expect(missing).toEqual(['problem.solution', 'persona.age']);
+  });
+
+  test('no entra en bucle con referencias circulares', () => {
+    const circular = {
+      spec: { problem: { spec: { details: 'x {{problem.details}}' } } },
+    };
+
+    const { text } = renderTemplate('{{problem.details}}', buildTemplateContext(circular));
+
+    expect(text.startsWith('x x x')).toBe(true);
+  });
+});
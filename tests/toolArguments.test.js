@@ -0,0 +1,54 @@
+import { describe, expect, test } from 'vitest';
+import { createRequire } from 'module';
+
+const require = createRequire(import.meta.url);
+const { validateToolCalls, buildCorrections } = require('../utils/toolArguments');
+
+const tools = [{
+  name: 'edit_editor',
+  parameters: {
+    type: 'object',
+    properties: { find: { type: 'string' }, replace: { type: 'string' } },
+    required: ['find', 'replace'],
+    additionalProperties: false,
+  },
+}, { name: 'read_editor' }];
+
+describe('Argumentos de las toolCalls', () => {
+  test('acepta argumentos que cumplen el esquema y tools sin esquema', () => {
+    expect(validateToolCalls([
+      { callId: 'a', name: 'edit_editor', arguments: '{"find":"x","replace":"y"}' },
+      { callId: 'b', name: 'read_editor', arguments: '' },
+    ], tools)).toEqual([]);
+  });
+
+  test('detecta JSON roto, campos que no cumplen el esquema y tools no enviadas', () => {
+    const invalidCalls = validateToolCalls([
+      { callId: 'a', name: 'edit_editor', arguments: '{"find":"x"' },
+      { callId: 'b', name: 'edit_editor', arguments: '{"find":1,"extra":true}' },
+      { callId: 'c', name: 'run_shell', arguments: '{}' },
+    ], tools);
+
+    expect(invalidCalls.map((call) => call.callId)).toEqual(['a', 'b', 'c']);
+    expect(invalidCalls[0].errors).toEqual(['arguments are not valid JSON']);
+    expect(invalidCalls[1].errors).toEqual(expect.arrayContaining([
+      '/find must be string',
+      '(root) must have required property \'replace\'',
+      '(root) must NOT have additional properties',
+    ]));
+    expect(invalidCalls[2].errors).toEqual(['tool \'run_shell\' is not available']);
+  });
+
+  test('las correcciones responden a todas las llamadas de la respuesta', () => {
+    const toolCalls = [
+      { callId: 'a', name: 'edit_editor', arguments: '{}' },
+      { callId: 'b', name: 'read_editor', arguments: '{}' },
+    ];
+
+    const corrections = buildCorrections(toolCalls, validateToolCalls(toolCalls, tools));
+
+    expect(corrections.map((correction) => correction.callId)).toEqual(['a', 'b']);
+    expect(corrections[0].output.error).toMatch(/^Invalid arguments for edit_editor/);
+    expect(corrections[1].output.error).toMatch(/^Not executed/);
+  });
+});
@@ -0,0 +1,123 @@
+import { describe, expect, test, beforeEach, afterEach, vi } from 'vitest';
+import { createRequire } from 'module';
+
+// El Runner es CommonJS. Sustituimos en caliente los métodos del cliente de Redis (singleton
+// compartido con el SUT) por una lista en memoria para no depender de un Redis real.
+const require = createRequire(import.meta.url);
+const { redisClient } = require('../config/redis');
+const transcriptService = require('../services/transcriptService');
+
+const original = {
+  rPush: redisClient.rPush,
+  lRange: redisClient.lRange,
+  lTrim: redisClient.lTrim,
+  del: redisClient.del,
+};
+
+let lists;
+
+beforeEach(() => {
+  lists = new Map();
+  redisClient.rPush = vi.fn(async (key, values) => {
+    const list = lists.get(key) || [];
+    list.push(...(Array.isArray(values) ? values : [values]));
+    lists.set(key, list);
+    return list.length;
+  });
+  redisClient.lRange = vi.fn(async (key) => lists.get(key) || []);
+  redisClient.lTrim = vi.fn(async (key, start, stop) => {
+    lists.set(key, (lists.get(key) || []).slice(start, stop + 1));
+  });
+  redisClient.del = vi.fn(async (key) => (lists.delete(key) ? 1 : 0));
+});
+
+afterEach(() => {
+  redisClient.rPush = original.rPush;
+  redisClient.lRange = original.lRange;
+  redisClient.lTrim = original.lTrim;
+  redisClient.del = original.del;
+});
+
+describe('Transcripción unificada de la sesión', () => {
+  test('buildEntry descarta los campos vacíos y añade la marca temporal', () => {
+    const date = new Date('2026-05-01T10:00:00.000Z');
+
+    const entry = transcriptService.buildEntry('assistant', { content: 'Hola', toolCalls: [] }, date);
+
+    expect(entry).toEqual({ role: 'assistant', content: 'Hola', timestamp: '2026-05-01T10:00:00.000Z' });
+  });
+
+  test('conserva el orden y numera los turnos a partir de los mensajes del estudiante', async () => {
+    await transcriptService.appendEntries('s1', [
+      transcriptService.buildEntry('user', { content: 'Edita el código' }),
+      transcriptService.buildEntry('assistant', { toolCalls: [{ callId: 'c1', name: 'read', arguments: '{}' }] }),
+    ]);
+    await transcriptService.appendEntries('s1', [
+      transcriptService.buildEntry('tool', { toolResults: [{ callId: 'c1', output: 'x = 1' }] }),
+      transcriptService.buildEntry('assistant', { content: 'Hecho' }),
+    ]);
+    await transcriptService.appendEntries('s1', [
+      transcriptService.buildEntry('user', { content: 'Gracias' }),
+      transcriptService.buildEntry('assistant', { content: 'De nada' }),
+    ]);
+
+    const transcript = await transcriptService.getTranscript('s1');
+
+    expect(transcript.map((e) => [e.index, e.turn, e.role])).toEqual([
+      [0, 1, 'user'],
+      [1, 1, 'assistant'],
+      [2, 1, 'tool'],
+      [3, 1, 'assistant'],
+      [4, 2, 'user'],
+      [5, 2, 'assistant'],
+    ]);
+    expect(redisClient.rPush.mock.calls[0][0]).toBe('transcript:s1');
+  });
+
+  test('ignora las entradas corruptas al leer la transcripción', async () => {
+    lists.set('transcript:s2', ['no-json', JSON.stringify({ role: 'user', content: 'Hola' })]);
+
+    const transcript = await transcriptService.getTranscript('s2');
+
+    expect(transcript).toHaveLength(1);
+    expect(transcript[0]).toMatchObject({ index: 0, turn: 1, role: 'user', content: 'Hola' });
+  });
+
+  test('no escribe en Redis si no hay entradas válidas', async () => {
+    await transcriptService.appendEntries('s3', [null, undefined]);
+
+    expect(redisClient.rPush).not.toHaveBeenCalled();
+  });
+
+  test('buildHistory solo conserva los mensajes de texto de estudiante y LEIA', async () => {
+    await transcriptService.appendEntries('s4', [
+      transcriptService.buildEntry('user', { content: 'Edita el código' }),
+      transcriptService.buildEntry('assistant', { toolCalls: [{ callId: 'c1', name: 'read', arguments: '{}' }] }),
+      transcriptService.buildEntry('tool', { toolResults: [{ callId: 'c1', output: 'x = 1' }] }),
+      transcriptService.buildEntry('assistant', { content: 'Hecho' }),
+    ]);
+
+    const transcript = await transcriptService.getTranscript('s4');
+
+    expect(transcriptService.buildHistory(transcript)).toEqual([
+      { role: 'user', content: 'Edita el código' },
+      { role: 'assistant', content: 'Hecho' },
+    ]);
+    expect(transcriptService.toStoredEntries(transcript)[0]).not.toHaveProperty('turn');
+  });
+
+  test('truncateTranscript conserva solo las primeras entradas', async () => {
+    await transcriptService.appendEntries('s5', [
+      transcriptService.buildEntry('user', { content: 'Hola' }),
+      transcriptService.buildEntry('assistant', { content: 'Buenas' }),
+      transcriptService.buildEntry('user', { content: 'Otra' }),
+      transcriptService.buildEntry('assistant', { content: 'Respuesta mala' }),
+    ]);
+
+    await transcriptService.truncateTranscript('s5', 2);
+    expect((await transcriptService.getTranscript('s5')).map((e) => e.content)).toEqual(['Hola', 'Buenas']);
+
+    await transcriptService.truncateTranscript('s5', 0);
+    expect(await transcriptService.getTranscript('s5')).toEqual([]);
+  });
+});
@@ -0,0 +1,262 @@
+import { describe, expect, test, beforeEach, afterEach, vi } from 'vitest';
+import { createRequire } from 'module';
+import crypto from 'crypto';
+
+// Redis en memoria y fetch sustituido por un receptor falso: se prueba la
+// firma, el filtrado por evento, los reintentos desde Redis y la lista de
+// dead letters.
+const require = createRequire(import.meta.url);
+const { redisClient } = require('../config/redis');
+const webhookService = require('../services/webhookService');
+
+const REDIS_METHODS = ['hSet', 'hGet', 'hGetAll', 'hDel', 'lPush', 'lTrim', 'lRange', 'lRem', 'zAdd', 'zRangeByScore', 'zRem', 'eval'];
+const original = Object.fromEntries(REDIS_METHODS.map((method) => [method, redisClient[method]]));
+original.retryBaseMs = webhookService.retryBaseMs;
+original.pollIntervalMs = webhookService.pollIntervalMs;
+
+let store;
+let fetchMock;
+
+function hash(key) {
+  if (!store.has(key)) {
+    store.set(key, {});
+  }
+  return store.get(key);
+}
+
+function list(key) {
+  if (!store.has(key)) {
+    store.set(key, []);
+  }
+  return store.get(key);
+}
+
+// Sorted set: Map miembro → score
+function sortedSet(key) {
+  if (!store.has(key)) {
+    store.set(key, new Map());
+  }
+  return store.get(key);
+}
+
+// Ejecuta los reintentos pendientes en Redis hasta que no quede ninguno
+async function drainRetries() {
+  for (let round = 0; round < 20 && sortedSet(webhookService.pendingKey).size > 0; round += 1) {
+    await new Promise((resolve) => setTimeout(resolve, 5));
+    await webhookService.processDueDeliveries();
+  }
+}
+
+beforeEach(() => {
+  store = new Map();
+  redisClient.hSet = vi.fn(async (key, field, value) => {
+    hash(key)[field] = value;
+    return 1;
+  });
+  redisClient.hGet = vi.fn(async (key, field) => hash(key)[field] ?? null);
+  redisClient.hGetAll = vi.fn(async (key) => ({ ...hash(key) }));
+  redisClient.hDel = vi.fn(async (key, field) => {
+    if (!(field in hash(key))) {
+      return 0;
+    }
+    delete hash(key)[field];
+    return 1;
+  });
+  redisClient.lPush = vi.fn(async (key, value) => list(key).unshift(value));
+  redisClient.lTrim = vi.fn(async (key, start, stop) => {
+    store.set(key, list(key).slice(start, stop + 1));
+  });
+  redisClient.lRange = vi.fn(async (key) => [...list(key)]);
+  redisClient.lRem = vi.fn(async (key, count, value) => {
+    const index = list(key).indexOf(value);
+    if (index === -1) {
+      return 0;
+    }
+    list(key).splice(index, 1);
+    return 1;
+  });
+  redisClient.zAdd = vi.fn(async (key, { score, value }) => {
+    sortedSet(key).set(value, score);
+  });
+  redisClient.zRangeByScore = vi.fn(async (key, min, max) => [...sortedSet(key)]
+    .filter(([, score]) => score >= min && score <= max)
+    .sort(([, a], [, b]) => a - b)
+    .map(([value]) => value));
+  redisClient.zRem = vi.fn(async (key, value) => (sortedSet(key).delete(value) ? 1 : 0));
+  // Script de reclamación: solo si la entrega sigue pendiente y ya toca
+  redisClient.eval = vi.fn(async (script, { keys, arguments: [deliveryId, now, leaseUntil] }) => {
+    const pending = sortedSet(keys[0]);
+    if (!pending.has(deliveryId) || pending.get(deliveryId) > Number(now)) {
+      return 0;
+    }
+    pending.set(deliveryId, Number(leaseUntil));
+    return 1;
+  });
+  webhookService.retryBaseMs = 1;
+  fetchMock = vi.fn(async () => ({ ok: true, status: 200 }));
+  vi.stubGlobal('fetch', fetchMock);
+});
+
+afterEach(() => {
+  for (const method of REDIS_METHODS) {
+    redisClient[method] = original[method];
+  }
+  webhookService.retryBaseMs = original.retryBaseMs;
+  webhookService.pollIntervalMs = original.pollIntervalMs;
+  webhookService.stopRetries();
+  vi.unstubAllGlobals();
+});
+
+describe('Registro de webhooks', () => {
+  test('genera un secreto que solo se devuelve al registrar', async () => {
+    const webhook = await webhookService.registerWebhook({ url: 'https://analytics.example.com/hooks' });
+
+    expect(webhook).toMatchObject({ events: ['*'], url: 'https://analytics.example.com/hooks' });
+    expect(webhook.secret).toMatch(/^[0-9a-f]{64}$/);
+    expect(await webhookService.listWebhooks()).toEqual([
+      expect.not.objectContaining({ secret: expect.anything() }),
+    ]);
+  });
+
+  test('rechaza urls, eventos y secretos inválidos con un 400', async () => {
+    for (const options of [
+      { url: 'ftp://example.com' },
+      { url: 'no es una url' },
+      { url: 'https://example.com', events: ['session.exploded'] },
+      { url: 'https://example.com', events: [] },
+      { url: 'https://example.com', secret: 'corto' },
+    ]) {
+      await expect(webhookService.registerWebhook(options)).rejects.toMatchObject({ status: 400 });
+    }
+  });
+
+  test('borrar un webhook inexistente devuelve 404', async () => {
+    await expect(webhookService.deleteWebhook('nope')).rejects.toMatchObject({ status: 404 });
+  });
+});
+
+describe('Entrega de eventos', () => {
+  test('envía el evento firmado solo a los webhooks suscritos', async () => {
+    const { secret } = await webhookService.registerWebhook({ url: 'https://designer.example.com/hooks', events: ['session.created'] });
+    await webhookService.registerWebhook({ url: 'https://analytics.example.com/hooks', events: ['session.deleted'] });
+
+    await webhookService.dispatch('session.created', { sessionId: 'session-1' });
+
+    expect(fetchMock).toHaveBeenCalledTimes(1);
+    const [url, request] = fetchMock.mock.calls[0];
+    expect(url).toBe('https://designer.example.com/hooks');
+    expect(JSON.parse(request.body)).toMatchObject({ event: 'session.created', data: { sessionId: 'session-1' } });
+
+    const timestamp = request.headers['X-Leia-Timestamp'];
+    const expected = crypto.createHmac('sha256', secret).update(`${timestamp}.${request.body}`).digest('hex');
+    expect(request.headers['X-Leia-Signature']).toBe(`sha256=${expected}`);
+    expect(request.headers['X-Leia-Event']).toBe('session.created');
+  });
+
+  test('reintenta y deja en dead letters las entregas que siguen fallando', async () => {
+    const consoleWarn = vi.spyOn(console, 'warn').mockImplementation(() => {});
+    await webhookService.registerWebhook({ url: 'https://analytics.example.com/hooks' });
+    fetchMock.mockResolvedValue({ ok: false, status: 503 });
+
+    const [delivered] = await webhookService.dispatch('message.exchanged', { sessionId: 'session-1', reply: 'Hola' });
+    expect(delivered).toBe(false);
+
+    await drainRetries();
+
+    expect(fetchMock).toHaveBeenCalledTimes(webhookService.maxAttempts);
+    const deliveryIds = new Set(fetchMock.mock.calls.map(([, request]) => request.headers['X-Leia-Delivery']));
+    expect(deliveryIds.size).toBe(1);
+
+    const [deadLetter] = await webhookService.listDeadLetters();
+    expect(deadLetter).toMatchObject({
+      event: 'message.exchanged',
+      attempts: webhookService.maxAttempts,
+      lastError: 'Webhook responded with status 503',
+      payload: { data: { sessionId: 'session-1', reply: 'Hola' } },
+    });
+    expect(deadLetter).not.toHaveProperty('secret');
+    expect(sortedSet(webhookService.pendingKey).size).toBe(0);
+    expect(hash(webhookService.deliveriesKey)).toEqual({});
+    consoleWarn.mockRestore();
+  });
+
+  test('un reintento con éxito no deja dead letter', async () => {
+    await webhookService.registerWebhook({ url: 'https://analytics.example.com/hooks' });
+    fetchMock.mockRejectedValueOnce(new Error('ECONNRESET'));
+
+    const [delivered] = await webhookService.dispatch('session.deleted', { sessionId: 'session-1' });
+    expect(delivered).toBe(false);
+
+    await drainRetries();
+
+    expect(fetchMock).toHaveBeenCalledTimes(2);
+    expect(await webhookService.listDeadLetters()).toEqual([]);
+    expect(hash(webhookService.deliveriesKey)).toEqual({});
+  });
+
+  test('guarda la entrega en Redis antes del primer intento y la reintenta desde allí tras un reinicio', async () => {
+    await webhookService.registerWebhook({ url: 'https://analytics.example.com/hooks' });
+    fetchMock.mockImplementationOnce(async (url, request) => {
+      const deliveryId = request.headers['X-Leia-Delivery'];
+      expect(sortedSet(webhookService.pendingKey).has(deliveryId)).toBe(true);
+      expect(JSON.parse(hash(webhookService.deliveriesKey)[deliveryId])).toMatchObject({
+        webhookId: expect.any(String),
+        payload: { event: 'session.created', data: { sessionId: 'session-1' } },
+      });
+      throw new Error('ECONNREFUSED');
+    });
+
+    await webhookService.dispatch('session.created', { sessionId: 'session-1' });
+    expect(JSON.parse(Object.values(hash(webhookService.deliveriesKey))[0])).toMatchObject({ attempts: 1, lastError: 'ECONNREFUSED' });
+
+    // La instancia que arranca después recoge la entrega pendiente
+    webhookService.pollIntervalMs = 5;
+    webhookService.startRetries();
+    await vi.waitFor(() => expect(fetchMock).toHaveBeenCalledTimes(2));
+    await vi.waitFor(() => expect(sortedSet(webhookService.pendingKey).size).toBe(0));
+    expect(fetchMock.mock.calls[1][1].headers['X-Leia-Delivery']).toBe(fetchMock.mock.calls[0][1].headers['X-Leia-Delivery']);
+  });
+
+  test('una entrega pendiente solo la envía quien la reclama', async () => {
+    const { webhookId } = await webhookService.registerWebhook({ url: 'https://analytics.example.com/hooks' });
+    const payload = { id: 'event-1', event: 'session.deleted', createdAt: new Date().toISOString(), data: { sessionId: 'session-1' } };
+    await webhookService.enqueue({ deliveryId: 'delivery-1', webhookId, payload, attempts: 0 });
+
+    const results = await Promise.all([webhookService.attempt('delivery-1'), webhookService.attempt('delivery-1')]);
+
+    expect(results.sort()).toEqual([null, true]);
+    expect(fetchMock).toHaveBeenCalledTimes(1);
+  });
+
+  test('descarta las entregas pendientes de un webhook borrado', async () => {
+    const { webhookId } = await webhookService.registerWebhook({ url: 'https://analytics.example.com/hooks' });
+    fetchMock.mockRejectedValueOnce(new Error('ECONNRESET'));
+    await webhookService.dispatch('session.deleted', { sessionId: 'session-1' });
+
+    await webhookService.deleteWebhook(webhookId);
+    await drainRetries();
+
+    expect(fetchMock).toHaveBeenCalledTimes(1);
+    expect(hash(webhookService.deliveriesKey)).toEqual({});
+    expect(await webhookService.listDeadLetters()).toEqual([]);
+  });
+
+  test('reenvía una dead letter y la saca de la lista', async () => {
+    const consoleWarn = vi.spyOn(console, 'warn').mockImplementation(() => {});
+    await webhookService.registerWebhook({ url: 'https://analytics.example.com/hooks' });
+    fetchMock.mockResolvedValue({ ok: false, status: 500 });
+    await webhookService.dispatch('evaluation.completed', { sessionId: 'session-1', score: 8 });
+    await drainRetries();
+    const [{ deliveryId }] = await webhookService.listDeadLetters();
+
+    fetchMock.mockResolvedValue({ ok: true, status: 200 });
+    fetchMock.mockClear();
+    await webhookService.redeliver(deliveryId);
+    await vi.waitFor(() => expect(fetchMock).toHaveBeenCalledTimes(1));
+
+    expect(fetchMock.mock.calls[0][1].headers['X-Leia-Delivery']).toBe(deliveryId);
+    expect(await webhookService.listDeadLetters()).toEqual([]);
+    await expect(webhookService.redeliver(deliveryId)).rejects.toMatchObject({ status: 404 });
+    consoleWarn.mockRestore();
+  });
+});
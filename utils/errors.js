@@ -40,6 +40,11 @@ const openAI = {
     console.error('Error evaluando solucion con OpenAI:', originalError);
     return createError(500, 'Error evaluando la solucion con OpenAI');
   },
+
+  historyRestoreError: (originalError) => {
+    console.error('Error restaurando el historial en OpenAI Conversations:', originalError);
+    return createError(500, 'Error restaurando el historial de la conversacion');
+  },
 };
 
 const gemini = {
@@ -52,6 +57,9 @@ const gemini = {
   interactionStatusError: (status) =>
     createError(500, `La interaccion de Gemini termino con estado: ${status}`),
 
+  streamError: (message) =>
+    createError(500, message || 'Gemini devolvio un error durante el streaming'),
+
   messageSendError: (originalError) => {
     console.error('Error enviando mensaje a Gemini:', originalError);
     return createError(500, 'Error enviando mensaje a Gemini');
@@ -68,6 +76,9 @@ const ollama = {
   noEvaluationContent: () =>
     createError(500, 'Ollama no devolvio contenido para la evaluacion'),
 
+  streamError: (message) =>
+    createError(500, message || 'Ollama devolvio un error durante el streaming'),
+
   messageSendError: (originalError) => {
     console.error('Error enviando mensaje a Ollama:', originalError);
     return createError(500, 'Error enviando mensaje a Ollama');
@@ -79,8 +90,171 @@ const ollama = {
   },
 };
 
+const session = {
+  notFound: (sessionId) =>
+    createError(404, `Session with ID: ${sessionId} not found`),
+
+  expired: (sessionId) =>
+    createError(410, `Session with ID: ${sessionId} has expired`),
+
+  invalidExpiration: (field) =>
+    createError(400, `${field} must be a positive number of seconds`),
+
+  alreadyExists: (sessionId) =>
+    createError(409, `Session with ID: ${sessionId} already exists`),
+
+  invalidForkTurn: (maxTurn) =>
+    createError(400, `turn must be an integer between 1 and ${maxTurn}`),
+
+  noTurnToRewind: (sessionId) =>
+    createError(409, `Session with ID: ${sessionId} has no student turn to roll back`),
+
+  regenerateWithAttachments: (sessionId) =>
+    createError(409, `The last turn of session ${sessionId} had image attachments, which are not stored: undo it and send the message again with its images`),
+
+  unknownProvider: (provider) =>
+    createError(400, `Provider '${provider}' is not available`),
+
+  invalidExportFormat: (formats) =>
+    createError(400, `format must be one of: ${formats.join(', ')}`),
+
+  busy: (sessionId) =>
+    createError(409, `Session ${sessionId} is busy processing another request, try again later`),
+
+  invalidLimit: (field) =>
+    createError(400, `runnerConfiguration.${field} must be a positive integer`),
+
+  messageTooLong: (maxChars, quota) =>
+    createError(413, `Message exceeds the limit of ${maxChars} characters for this session`, { quota }),
+
+  turnLimitReached: (quota) =>
+    createError(429, `This session has used all of its ${quota.turns.limit} turns`, { quota }),
+
+  tokenLimitReached: (quota) =>
+    createError(429, `This session has used all of its ${quota.tokens.limit} tokens`, { quota }),
+
+  notActive: (sessionId, status) =>
+    createError(409, `Session ${sessionId} is ${status}: its conversation is locked`, { sessionStatus: status }),
+
+  invalidStatus: (statuses) =>
+    createError(400, `status must be one of: ${statuses.join(', ')}`),
+
+  invalidStatusTransition: (sessionId, from, to) =>
+    createError(409, `Session ${sessionId} cannot go from ${from} to ${to}`, { sessionStatus: from }),
+
+  noPendingToolCalls: (sessionId) =>
+    createError(409, `Session ${sessionId} has no pending tool calls to answer`),
+
+  invalidToolResults: () =>
+    createError(400, 'toolResults must be an array of { callId, output } objects'),
+
+  toolResultsMismatch: (mismatch) => {
+    const problems = [
+      mismatch.unknownCallIds.length > 0 && `unknown callIds: ${mismatch.unknownCallIds.join(', ')}`,
+      mismatch.missingCallIds.length > 0 && `missing callIds: ${mismatch.missingCallIds.join(', ')}`,
+      mismatch.duplicateCallIds.length > 0 && `duplicate callIds: ${mismatch.duplicateCallIds.join(', ')}`,
+    ].filter(Boolean);
+
+    return createError(400, `toolResults do not match the pending tool calls (${problems.join('; ')})`, { toolCallMismatch: mismatch });
+  },
+
+  invalidToolArguments: (invalidCalls) =>
+    createError(502, `The LEIA kept calling tools with invalid arguments: ${invalidCalls.map((call) => `${call.name} (${call.errors.join('; ')})`).join(', ')}`),
+
+  runnerToolLoop: (maxRounds) =>
+    createError(502, `The LEIA kept calling runner tools after ${maxRounds} rounds`),
+
+  openingMessageFailed: (sessionId) =>
+    createError(502, `The LEIA did not produce an opening message for session ${sessionId}`),
+
+  imagesNotSupported: (provider) =>
+    createError(400, `Provider '${provider}' does not accept image attachments`),
+
+  historyRestoreNotSupported: (provider) =>
+    createError(400, `Provider '${provider}' cannot rebuild a conversation (fork, undo, regenerate, opening message or runner switch)`),
+};
+
+const attachment = {
+  invalidList: () =>
+    createError(400, 'attachments must be an array'),
+
+  tooMany: (maxImages) =>
+    createError(400, `A message can carry at most ${maxImages} images`),
+
+  unsupportedType: (position, mimeTypes) =>
+    createError(400, `Attachment ${position} must be an image (${mimeTypes.join(', ')})`),
+
+  invalidData: (position) =>
+    createError(400, `Attachment ${position} must be base64 data or a base64 data URL`),
+
+  tooLarge: (position, maxBytes) =>
+    createError(413, `Attachment ${position} exceeds the maximum size of ${maxBytes} bytes`),
+
+  notWithToolResults: () =>
+    createError(400, 'Attachments can only be sent with a student message, not with toolResults'),
+};
+
+const leia = {
+  missingFields: () =>
+    createError(400, 'SessionId and leia are required'),
+
+  invalidBatch: (maxItems) =>
+    createError(400, `A batch needs between 1 and ${maxItems} sessions (sessionIds or items)`),
+
+  constraintViolation: (violations) =>
+    createError(400, `LEIA violates its constrainedTo rules: ${violations.join('; ')}`, { violations }),
+
+  invalidOpeningMessage: () =>
+    createError(400, 'openingMessage must be a boolean or an object like { instruction: string }'),
+
+  invalidRunnerTools: () =>
+    createError(400, 'runnerTools must be an array of tool names'),
+
+  unknownRunnerTools: (names, available) =>
+    createError(400, `Unknown runner tools: ${names.join(', ')} (available: ${available.join(', ')})`),
+
+  invalidJsonField: (field) =>
+    createError(400, `${field} must be valid JSON`),
+
+  invalidSupervisorConfig: (reason) =>
+    createError(400, `Invalid supervisorConfig: ${reason}`),
+};
+
+const idempotency = {
+  invalidKey: (maxLength) =>
+    createError(400, `Idempotency-Key must be a non-empty string of at most ${maxLength} characters`),
+
+  inProgress: (key) =>
+    createError(409, `A request with Idempotency-Key ${key} is still in progress`),
+
+  keyReused: (key) =>
+    createError(422, `Idempotency-Key ${key} was already used with a different request`),
+};
+
+const webhook = {
+  invalidUrl: () =>
+    createError(400, 'url must be an absolute http(s) URL'),
+
+  invalidEvents: (available) =>
+    createError(400, `events must be an array with '*' or any of: ${available.join(', ')}`),
+
+  invalidSecret: () =>
+    createError(400, 'secret must be a string of at least 16 characters'),
+
+  notFound: (webhookId) =>
+    createError(404, `Webhook ${webhookId} not found`),
+
+  deadLetterNotFound: (deliveryId) =>
+    createError(404, `Dead-lettered delivery ${deliveryId} not found`),
+};
+
 const Errors = {
   baseModel,
+  session,
+  leia,
+  idempotency,
+  webhook,
+  attachment,
   openAI,
   gemini,
   ollama,
@@ -0,0 +1,119 @@
+/**
+ * Normalización de las imágenes adjuntas a un mensaje del estudiante.
+ *
+ * Llegan de dos formas:
+ *   - JSON: `attachments: [{ type: 'image', mimeType, data }]`, donde `data` es
+ *     base64 o un data URL (data:image/png;base64,...).
+ *   - multipart/form-data: ficheros en el campo `images` (multer, en memoria).
+ *
+ * Ambas se convierten a `{ mimeType, data }` con `data` en base64 sin prefijo,
+ * que es lo que cada proveedor adapta a su formato multimodal.
+ */
+
+const Errors = require('./errors');
+
+const IMAGE_MIME_TYPES = ['image/png', 'image/jpeg', 'image/webp', 'image/gif'];
+const DATA_URL_PATTERN = /^data:([^;,]+);base64,(.*)$/s;
+const BASE64_PATTERN = /^[A-Za-z0-9+/]+={0,2}$/;
+
+const maxImages = Number.parseInt(process.env.MESSAGE_MAX_IMAGES, 10) || 4;
+const maxImageBytes = Number.parseInt(process.env.MESSAGE_MAX_IMAGE_BYTES, 10) || 5 * 1024 * 1024;
+
+// Cuerpo JSON de un mensaje con el máximo de imágenes: en base64 ocupan 4/3
+// (más el prefijo data URL) y queda 1 MB para el texto, tools y toolResults
+const maxMessageBodyBytes = maxImages * (Math.ceil(maxImageBytes / 3) * 4 + 64) + 1024 * 1024;
+
+/**
+ * Valida y normaliza una imagen
+ * @param {string} mimeType - Tipo MIME declarado
+ * @param {string} data - Contenido en base64
+ * @param {number} position - Posición de la imagen (para los mensajes de error)
+ * @returns {{mimeType: string, data: string}}
+ */
+function normalizeImage(mimeType, data, position) {
+  const normalizedMimeType = typeof mimeType === 'string' ? mimeType.trim().toLowerCase() : '';
+
+  if (!IMAGE_MIME_TYPES.includes(normalizedMimeType)) {
+    throw Errors.attachment.unsupportedType(position, IMAGE_MIME_TYPES);
+  }
+
+  const normalizedData = typeof data === 'string' ? data.replace(/\s+/g, '') : '';
+
+  if (!normalizedData || normalizedData.length % 4 !== 0 || !BASE64_PATTERN.test(normalizedData)) {
+    throw Errors.attachment.invalidData(position);
+  }
+
+  if (Buffer.byteLength(normalizedData, 'base64') > maxImageBytes) {
+    throw Errors.attachment.tooLarge(position, maxImageBytes);
+  }
+
+  return { mimeType: normalizedMimeType, data: normalizedData };
+}
+
+function fromJsonAttachment(attachment, position) {
+  if (!attachment || typeof attachment !== 'object' || (attachment.type && attachment.type !== 'image')) {
+    throw Errors.attachment.unsupportedType(position, IMAGE_MIME_TYPES);
+  }
+
+  const dataUrl = typeof attachment.data === 'string' ? attachment.data.match(DATA_URL_PATTERN) : null;
+
+  return dataUrl
+    ? normalizeImage(attachment.mimeType || dataUrl[1], dataUrl[2], position)
+    : normalizeImage(attachment.mimeType, attachment.data, position);
+}
+
+function fromUploadedFile(file, position) {
+  if (file.size > maxImageBytes) {
+    throw Errors.attachment.tooLarge(position, maxImageBytes);
+  }
+
+  return normalizeImage(file.mimetype, file.buffer.toString('base64'), position);
+}
+
+/**
+ * Reúne las imágenes de una petición (JSON y/o multipart)
+ * @param {Object} options
+ * @param {Array<Object>} [options.attachments] - Adjuntos enviados en el cuerpo JSON
+ * @param {Array<Object>} [options.files] - Ficheros subidos con multer
+ * @returns {Array<{mimeType: string, data: string}>} - Imágenes normalizadas (vacío si no hay)
+ * @throws {HttpError} 400 si algún adjunto no es válido, 413 si una imagen es demasiado grande
+ */
+function collectImageAttachments({ attachments, files } = {}) {
+  if (attachments !== undefined && attachments !== null && !Array.isArray(attachments)) {
+    throw Errors.attachment.invalidList();
+  }
+
+  const jsonAttachments = attachments || [];
+  const uploadedFiles = Array.isArray(files) ? files : [];
+
+  if (jsonAttachments.length + uploadedFiles.length > maxImages) {
+    throw Errors.attachment.tooMany(maxImages);
+  }
+
+  return [
+    ...jsonAttachments.map((attachment, index) => fromJsonAttachment(attachment, index)),
+    ...uploadedFiles.map((file, index) => fromUploadedFile(file, jsonAttachments.length + index)),
+  ];
+}
+
+/**
+ * Resumen de las imágenes para el transcript (sin el contenido)
+ * @param {Array<{mimeType: string, data: string}>} images - Imágenes normalizadas
+ * @returns {Array<{type: string, mimeType: string, bytes: number}>}
+ */
+function describeImageAttachments(images) {
+  return (images || []).map((image) => ({
+    type: 'image',
+    mimeType: image.mimeType,
+    bytes: Buffer.byteLength(image.data, 'base64'),
+  }));
+}
+
+module.exports = {
+  IMAGE_MIME_TYPES,
+  maxImages,
+  maxImageBytes,
+  maxMessageBodyBytes,
+  collectImageAttachments,
+  describeImageAttachments,
+};
@@ -0,0 +1,52 @@
+/**
+ * Lectura de los cuerpos JSON.
+ *
+ * Todas las rutas usan el parser global de express con su límite por defecto
+ * (100kb), salvo el envío de mensajes a LEIA: puede llevar imágenes en base64,
+ * así que su cuerpo lo lee la propia ruta, después de autenticar, con un
+ * límite mayor (JSON_BODY_LIMIT o, por defecto, el que permite el máximo de
+ * imágenes).
+ */
+
+const express = require('express');
+const { maxMessageBodyBytes } = require('./imageAttachments');
+
+const MESSAGE_PATH = /\/leias\/[^/]+\/messages\/?$/;
+
+/**
+ * Indica si la petición es un envío de mensaje a LEIA
+ * @param {Object} req - Solicitud HTTP
+ * @returns {boolean}
+ */
+function isMessageRequest(req) {
+  return req.method === 'POST' && MESSAGE_PATH.test(req.path);
+}
+
+/**
+ * Parser global (server.js): lee todos los cuerpos JSON menos los mensajes
+ * @returns {Function} - Middleware de express
+ */
+function jsonBody() {
+  const parser = express.json();
+  return (req, res, next) => (isMessageRequest(req) ? next() : parser(req, res, next));
+}
+
+/**
+ * Parser de la ruta de mensajes. Sus errores (cuerpo demasiado grande, JSON
+ * mal formado) se responden en JSON en lugar de la página de error de express
+ * @returns {Function} - Middleware de express
+ */
+function messageJsonBody() {
+  const parser = express.json({ limit: process.env.JSON_BODY_LIMIT || maxMessageBodyBytes });
+  return (req, res, next) => parser(req, res, (error) => {
+    if (error?.expose) {
+      return res.status(error.status).send({ error: error.message });
+    }
+    next(error);
+  });
+}
+
+module.exports = {
+  jsonBody,
+  messageJsonBody,
+};
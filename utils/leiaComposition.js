@@ -0,0 +1,164 @@
+const Errors = require('./errors');
+
+/**
+ * Resolución de la composición de una LEIA.
+ *
+ * El spec del problema puede traer tres bloques que personalizan los
+ * componentes con los que se empareja, cada uno indexado por componente
+ * (persona/behaviour/problem) con la forma { spec: {...campos}, apiVersion? }:
+ * - extends: AÑADE al spec (listas concatenadas, textos a continuación,
+ *   objetos fusionados).
+ * - overrides: REEMPLAZA los campos indicados.
+ * - constrainedTo: RESTRINGE los componentes válidos; se comprueba sobre la
+ *   LEIA ya compuesta.
+ */
+
+const COMPOSITION_COMPONENTS = ['persona', 'behaviour', 'problem'];
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function extendValue(base, extension) {
+  if (base === undefined || base === null || base === '') {
+    return extension;
+  }
+
+  if (Array.isArray(base)) {
+    const additions = Array.isArray(extension) ? extension : [extension];
+    return [...base, ...additions.filter((item) => !base.includes(item))];
+  }
+
+  if (isPlainObject(base) && isPlainObject(extension)) {
+    const merged = { ...base };
+    for (const [key, value] of Object.entries(extension)) {
+      merged[key] = extendValue(base[key], value);
+    }
+    return merged;
+  }
+
+  if (typeof base === 'string' && typeof extension === 'string') {
+    return extension.trim() ? `${base}\n${extension}` : base;
+  }
+
+  return extension;
+}
+
+function describeValue(value) {
+  return JSON.stringify(value);
+}
+
+function checkConstraint(path, actual, expected, violations) {
+  if (actual === undefined || actual === null || actual === '' || (Array.isArray(actual) && actual.length === 0)) {
+    violations.push(`${path} is required to be ${describeValue(expected)}`);
+    return;
+  }
+
+  if (Array.isArray(expected)) {
+    const values = Array.isArray(actual) ? actual : [actual];
+    const notAllowed = values.filter((value) => !expected.includes(value));
+    if (notAllowed.length > 0) {
+      violations.push(`${path} only allows ${describeValue(expected)} (got ${describeValue(notAllowed)})`);
+    }
+    return;
+  }
+
+  if (isPlainObject(expected)) {
+    if (!isPlainObject(actual)) {
+      violations.push(`${path} must be an object`);
+      return;
+    }
+    for (const [key, value] of Object.entries(expected)) {
+      checkConstraint(`${path}.${key}`, actual[key], value, violations);
+    }
+    return;
+  }
+
+  if (actual !== expected) {
+    violations.push(`${path} must be ${describeValue(expected)} (got ${describeValue(actual)})`);
+  }
+}
+
+/**
+ * Comprueba los bloques constrainedTo contra los componentes ya compuestos
+ * @param {Object} components - { persona, behaviour, problem }
+ * @param {Object} constrainedTo - Bloque constrainedTo del problema
+ * @returns {string[]} - Lista de incumplimientos (vacía si todo es válido)
+ */
+function findConstraintViolations(components, constrainedTo) {
+  const violations = [];
+
+  for (const componentName of COMPOSITION_COMPONENTS) {
+    const constraint = constrainedTo?.[componentName];
+    if (!isPlainObject(constraint)) {
+      continue;
+    }
+
+    const component = components[componentName];
+    if (!component) {
+      violations.push(`${componentName} is required by constrainedTo`);
+      continue;
+    }
+
+    if (constraint.apiVersion && component.apiVersion !== constraint.apiVersion) {
+      violations.push(
+        `${componentName}.apiVersion must be ${describeValue(constraint.apiVersion)} (got ${describeValue(component.apiVersion)})`
+      );
+    }
+
+    for (const [field, expected] of Object.entries(constraint.spec || {})) {
+      checkConstraint(`${componentName}.spec.${field}`, component.spec?.[field], expected, violations);
+    }
+  }
+
+  return violations;
+}
+
+/**
+ * Aplica extends/overrides del problema y valida constrainedTo
+ * @param {Object} leia - Configuración de la LEIA recibida en createLeia
+ * @returns {Object} - Copia de la LEIA con los componentes compuestos
+ * @throws {HttpError} 400 si la LEIA incumple alguna restricción constrainedTo
+ */
+function resolveLeiaComposition(leia) {
+  const composedLeia = JSON.parse(JSON.stringify(leia || {}));
+  const spec = composedLeia.spec || {};
+  const problemSpec = spec.problem?.spec || {};
+  const { extends: extendsBlock, overrides, constrainedTo } = problemSpec;
+
+  for (const componentName of COMPOSITION_COMPONENTS) {
+    const extension = extendsBlock?.[componentName]?.spec;
+    const override = overrides?.[componentName]?.spec;
+
+    if (!isPlainObject(extension) && !isPlainObject(override)) {
+      continue;
+    }
+
+    const component = spec[componentName] || {};
+    let componentSpec = component.spec || {};
+
+    if (isPlainObject(extension)) {
+      componentSpec = extendValue(componentSpec, extension);
+    }
+
+    if (isPlainObject(override)) {
+      componentSpec = { ...componentSpec, ...override };
+    }
+
+    spec[componentName] = { ...component, spec: componentSpec };
+  }
+
+  composedLeia.spec = spec;
+
+  const violations = findConstraintViolations(spec, constrainedTo);
+  if (violations.length > 0) {
+    throw Errors.leia.constraintViolation(violations);
+  }
+
+  return composedLeia;
+}
+
+module.exports = {
+  resolveLeiaComposition,
+  findConstraintViolations,
+};
@@ -24,6 +24,15 @@ const Prompts = {
     '}',
     ...(evaluationPrompt ? ['', evaluationPrompt] : []),
   ].join('\n'),
+
+  // Sent as the student turn when the LEIA opens the conversation; it is
+  // removed from the provider context once the opening has been generated.
+  openingMessage: (instruction) => [
+    'The conversation is about to start and you speak first.',
+    'Write your opening message to the student, fully in character as described in your instructions.',
+    'Do not mention this request or that you were asked to start.',
+    ...(instruction ? ['', `For this opening: ${instruction}`] : []),
+  ].join('\n'),
 };
 
 module.exports = Prompts;
@@ -0,0 +1,140 @@
+/**
+ * Renderizado de las plantillas de una LEIA.
+ *
+ * Las descripciones de behaviour/problem usan placeholders como
+ * {{persona.fullName}}, {{problem.details}} o {{behaviour.role}}. Se resuelven
+ * contra los componentes enviados en la misma LEIA (leia.spec.persona,
+ * leia.spec.behaviour y leia.spec.problem), buscando primero en su `spec` y
+ * después en el propio componente (p. ej. {{persona.id}}).
+ */
+
+const PLACEHOLDER_PATTERN = /\{\{\s*([^{}]+?)\s*\}\}/g;
+const TEMPLATE_COMPONENTS = ['persona', 'behaviour', 'problem'];
+const MAX_RENDER_DEPTH = 5;
+
+/**
+ * Construye el contexto de renderizado a partir de la LEIA
+ * @param {Object} leia - Configuración de la LEIA
+ * @returns {Object} - { persona, behaviour, problem }
+ */
+function buildTemplateContext(leia) {
+  const context = {};
+
+  for (const component of TEMPLATE_COMPONENTS) {
+    context[component] = leia?.spec?.[component] || null;
+  }
+
+  return context;
+}
+
+function getPath(source, segments) {
+  let current = source;
+
+  for (const segment of segments) {
+    if (current === null || current === undefined || typeof current !== 'object') {
+      return undefined;
+    }
+    current = current[segment];
+  }
+
+  return current;
+}
+
+function resolvePlaceholder(context, path) {
+  const [component, ...segments] = path.split('.');
+
+  if (!Object.prototype.hasOwnProperty.call(context, component) || segments.length === 0) {
+    return { known: false };
+  }
+
+  const source = context[component];
+  const fromSpec = getPath(source?.spec, segments);
+  const value = fromSpec !== undefined ? fromSpec : getPath(source, segments);
+
+  return { known: true, value };
+}
+
+function stringifyValue(value) {
+  if (Array.isArray(value)) {
+    return value
+      .map((item) => (item !== null && typeof item === 'object' ? JSON.stringify(item) : String(item)))
+      .join(', ');
+  }
+
+  if (typeof value === 'object') {
+    return JSON.stringify(value);
+  }
+
+  return String(value);
+}
+
+function isEmptyValue(value) {
+  return value === undefined
+    || value === null
+    || (typeof value === 'string' && value.trim() === '')
+    || (Array.isArray(value) && value.length === 0);
+}
+
+/**
+ * Renderiza los placeholders de una plantilla.
+ * - Los placeholders cuyo componente no existe ({{foo.bar}}) se dejan tal cual
+ *   y se reportan en `unknown`.
+ * - Los placeholders de un componente conocido sin valor se sustituyen por una
+ *   cadena vacía y se reportan en `missing`.
+ * Los valores insertados se renderizan a su vez (p. ej. problem.details puede
+ * contener {{persona.firstName}}), con un límite de profundidad.
+ * @param {string} template - Texto con placeholders
+ * @param {Object} context - Contexto creado con buildTemplateContext
+ * @returns {{text: string, unknown: string[], missing: string[]}}
+ */
+function renderTemplate(template, context) {
+  const unknown = new Set();
+  const missing = new Set();
+
+  const render = (text, depth) => text.replace(PLACEHOLDER_PATTERN, (match, rawPath) => {
+    const path = rawPath.trim();
+    const { known, value } = resolvePlaceholder(context, path);
+
+    if (!known) {
+      unknown.add(path);
+      return match;
+    }
+
+    if (isEmptyValue(value)) {
+      missing.add(path);
+      return '';
+    }
+
+    const rendered = stringifyValue(value);
+    return depth < MAX_RENDER_DEPTH ? render(rendered, depth + 1) : rendered;
+  });
+
+  return {
+    text: render(typeof template === 'string' ? template : '', 0),
+    unknown: Array.from(unknown),
+    missing: Array.from(missing),
+  };
+}
+
+/**
+ * Construye la instrucción de sistema final de la LEIA renderizando la
+ * descripción del behaviour con la persona, el behaviour y el problema.
+ * @param {Object} leia - Configuración de la LEIA
+ * @returns {{instructions: string, unknown: string[], missing: string[]}}
+ */
+function buildInstructionsFromLeia(leia) {
+  const template = leia?.spec?.behaviour?.spec?.description || '';
+  const { text, unknown, missing } = renderTemplate(template, buildTemplateContext(leia));
+
+  return {
+    instructions: text.trim(),
+    unknown,
+    missing,
+  };
+}
+
+module.exports = {
+  buildTemplateContext,
+  renderTemplate,
+  buildInstructionsFromLeia,
+};
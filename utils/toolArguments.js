@@ -0,0 +1,113 @@
+const Ajv = require('ajv');
+
+/**
+ * Validación de los argumentos de las toolCalls contra el JSON Schema
+ * (`parameters`) de la tool enviada al modelo. Los argumentos mal formados
+ * rompen los widgets del frontend, así que se devuelven al modelo como error
+ * para que repita la llamada antes de que lleguen al cliente.
+ */
+
+const ajv = new Ajv({ allErrors: true, strict: false });
+
+// Los esquemas de las tools se repiten en cada turno: se compilan una vez
+const validators = new Map();
+const MAX_CACHED_VALIDATORS = 200;
+
+const maxRetries = (() => {
+  const parsed = Number.parseInt(process.env.TOOL_ARGUMENTS_MAX_RETRIES, 10);
+  return Number.isInteger(parsed) && parsed >= 0 ? parsed : 2;
+})();
+
+function getValidator(schema) {
+  const key = JSON.stringify(schema);
+
+  if (!validators.has(key)) {
+    if (validators.size >= MAX_CACHED_VALIDATORS) {
+      validators.delete(validators.keys().next().value);
+    }
+    validators.set(key, ajv.compile(schema));
+  }
+
+  return validators.get(key);
+}
+
+function describeErrors(errors = []) {
+  return errors.map((error) => `${error.instancePath || '(root)'} ${error.message}`.trim());
+}
+
+/**
+ * Valida las llamadas de una respuesta del modelo
+ * @param {Array<{callId: string, name: string, arguments: string}>} toolCalls - Llamadas del modelo
+ * @param {Array<{name: string, parameters?: Object}>} tools - Tools enviadas en el turno
+ * @returns {Array<{callId: string, name: string, errors: Array<string>}>} - Llamadas inválidas ([] si todas son válidas)
+ */
+function validateToolCalls(toolCalls, tools = []) {
+  const invalidCalls = [];
+
+  for (const call of toolCalls || []) {
+    const tool = (tools || []).find((candidate) => candidate?.name === call.name);
+
+    if (!tool) {
+      invalidCalls.push({ callId: call.callId, name: call.name, errors: [`tool '${call.name}' is not available`] });
+      continue;
+    }
+
+    let args;
+    try {
+      args = call.arguments ? JSON.parse(call.arguments) : {};
+    } catch (error) {
+      invalidCalls.push({ callId: call.callId, name: call.name, errors: ['arguments are not valid JSON'] });
+      continue;
+    }
+
+    if (!tool.parameters || typeof tool.parameters !== 'object') {
+      continue;
+    }
+
+    let validate;
+    try {
+      validate = getValidator(tool.parameters);
+    } catch (error) {
+      // Un esquema que Ajv no compila no debe bloquear la tool
+      console.warn(`No se pudo compilar el esquema de la tool '${tool.name}':`, error.message);
+      continue;
+    }
+
+    if (!validate(args)) {
+      invalidCalls.push({ callId: call.callId, name: call.name, errors: describeErrors(validate.errors) });
+    }
+  }
+
+  return invalidCalls;
+}
+
+/**
+ * toolResults correctivos para una respuesta con llamadas inválidas. El
+ * proveedor necesita una salida por cada llamada, así que las válidas de la
+ * misma respuesta también se devuelven sin ejecutar para que se repitan.
+ * @param {Array<Object>} toolCalls - Todas las llamadas de la respuesta
+ * @param {Array<Object>} invalidCalls - Resultado de validateToolCalls
+ * @returns {Array<{callId: string, output: Object}>}
+ */
+function buildCorrections(toolCalls, invalidCalls) {
+  return toolCalls.map((call) => {
+    const invalid = invalidCalls.find((candidate) => candidate.callId === call.callId);
+
+    return {
+      callId: call.callId,
+      output: invalid
+        ? {
+          error: `Invalid arguments for ${call.name}: ${invalid.errors.join('; ')}. Call the tool again with arguments that match its parameters schema.`,
+        }
+        : {
+          error: `Not executed because another call in the same response had invalid arguments. Call ${call.name} again if you still need it.`,
+        },
+    };
+  });
+}
+
+module.exports = {
+  validateToolCalls,
+  buildCorrections,
+  maxRetries,
+};